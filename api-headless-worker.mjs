@@ -0,0 +1,185 @@
+/**
+ * Strudel Headless Evaluator
+ * Runs in a worker thread of the API server (see api-headless.mjs), so code that loops forever can be stopped
+ * by terminating the worker, without taking the server down with it.
+ * It keeps one repl per key (a headless session) and throwaway repls for one-off evaluations.
+ */
+
+import { isMainThread, parentPort } from 'worker_threads';
+import * as core from '@strudel/core';
+import { evalScope, repl, ref, silence, Pattern, State, TimeSpan } from '@strudel/core';
+import * as mini from '@strudel/mini';
+import * as tonal from '@strudel/tonal';
+import { transpiler } from '@strudel/transpiler';
+// only midi files, the live midi output needs WebMIDI
+import { midifile, toMidiFile } from '@strudel/midi/midifile.mjs';
+
+// Methods that only draw or produce sound in the browser, they pass the pattern through here
+const passthroughMethods = [
+  'pianoroll',
+  'punchcard',
+  'spiral',
+  'scope',
+  'spectrum',
+  'pitchwheel',
+  'wordfall',
+  'draw',
+  'onPaint',
+  'markcss',
+  'hydra',
+  'midi',
+  'osc',
+  'serial',
+  'mqtt',
+  'csound',
+];
+
+// Functions that load resources or talk to devices in the browser
+const browserOnlyFunctions = {
+  samples: async () => {},
+  aliasBank: async () => {},
+  soundAlias: () => {},
+  loadSoundfont: async () => {},
+  initHydra: async () => {},
+  getAudioContext: () => ({ currentTime: 0 }),
+  sliderWithID: (id, value) => ref(() => value),
+  midin: () => () => ref(() => 0),
+};
+
+let scopeReady;
+export function prepareScope() {
+  if (!scopeReady) {
+    passthroughMethods
+      .flatMap((name) => [name, `_${name}`])
+      .filter((name) => !Pattern.prototype[name])
+      .forEach((name) => {
+        Pattern.prototype[name] = function () {
+          return this;
+        };
+      });
+    scopeReady = evalScope(core, mini, tonal, { midifile }, browserOnlyFunctions);
+  }
+  return scopeReady;
+}
+
+// Evaluations share the global scope (and Pattern.prototype.p), so they must not interleave
+let evaluationQueue = Promise.resolve();
+function queued(task) {
+  const result = evaluationQueue.then(task);
+  evaluationQueue = result.catch(() => {});
+  return result;
+}
+
+function createHeadlessRepl() {
+  return repl({
+    defaultOutput: () => {},
+    getTime: () => 0,
+    transpiler,
+  });
+}
+
+// Syntax errors from acorn and located runtime errors carry the position in the user code
+export function serializeError(error) {
+  const { name = 'Error', message = String(error), loc } = error ?? {};
+  return { name, message, line: loc?.line, column: loc?.column };
+}
+
+async function evaluateWith(headlessRepl, code) {
+  await prepareScope();
+  return queued(async () => {
+    let error;
+    try {
+      await headlessRepl.evaluate(code, false);
+      error = headlessRepl.state.evalError;
+    } catch (e) {
+      error = e;
+    }
+    const { miniLocations = [], patternIds = [] } = headlessRepl.state;
+    return {
+      success: !error,
+      error: error ? serializeError(error) : undefined,
+      miniLocations: miniLocations.length,
+      patterns: patternIds,
+    };
+  });
+}
+
+// queryArc logs and swallows errors, a pattern that fails to query must not look like silence here
+function queryWith(headlessRepl, from = 0, to = from + 1) {
+  const { pattern } = headlessRepl.state;
+  if (!pattern) {
+    throw new Error('No pattern has been evaluated yet');
+  }
+  if (to <= from) {
+    throw new Error(`to (${to}) must be after from (${from})`);
+  }
+  const haps = pattern.query(new State(new TimeSpan(from, to), { _cps: headlessRepl.scheduler.cps }));
+  return { from, to, haps: haps.map((hap) => hap.serialize()) };
+}
+
+// a query that throws fails the evaluation, like an error while evaluating would
+function queryFailed(result, error) {
+  return { ...result, success: false, error: serializeError(error) };
+}
+
+const repls = new Map();
+const replFor = (key) => {
+  if (!repls.has(key)) {
+    repls.set(key, createHeadlessRepl());
+  }
+  return repls.get(key);
+};
+
+const status = (headlessRepl) => ({ started: false, cps: headlessRepl.scheduler.cps, cycle: 0 });
+
+const tasks = {
+  // { code, from?, to? } in a throwaway repl, or in the repl of { key }
+  async evaluate({ key, code, from, to }) {
+    const headlessRepl = key !== undefined ? replFor(key) : createHeadlessRepl();
+    const result = await evaluateWith(headlessRepl, code);
+    if (!result.success || (from === undefined && to === undefined)) {
+      return result;
+    }
+    try {
+      return { ...result, ...queryWith(headlessRepl, from, to) };
+    } catch (error) {
+      return queryFailed(result, error);
+    }
+  },
+  query({ key, from, to }) {
+    return queryWith(replFor(key), from, to);
+  },
+  async exportMidi({ code, cps, options }) {
+    const headlessRepl = createHeadlessRepl();
+    const result = await evaluateWith(headlessRepl, code);
+    if (!result.success) {
+      return result;
+    }
+    try {
+      const data = toMidiFile(headlessRepl.state.pattern, { cps: cps ?? headlessRepl.scheduler.cps, ...options });
+      return { ...result, data };
+    } catch (error) {
+      return queryFailed(result, error);
+    }
+  },
+  // transport of a headless session, there is no playback
+  transport({ key, action, cps }) {
+    const headlessRepl = replFor(key);
+    if (action === 'cps') {
+      headlessRepl.setCps(cps);
+    } else if (action === 'hush') {
+      headlessRepl.state.pattern && headlessRepl.setPattern(silence, false);
+    }
+    return status(headlessRepl);
+  },
+};
+
+if (!isMainThread && parentPort) {
+  parentPort.on('message', async ({ id, type, ...message }) => {
+    try {
+      parentPort.postMessage({ id, result: await tasks[type](message) });
+    } catch (error) {
+      parentPort.postMessage({ id, error: serializeError(error) });
+    }
+  });
+}
@@ -0,0 +1,308 @@
+/**
+ * Strudel Headless Engine
+ * Evaluates and queries Strudel code in a Node worker (api-headless-worker.mjs), so the API server works without a browser.
+ * A headless session answers the same messages as the browser client (api-client.mjs).
+ */
+
+import { Worker } from 'worker_threads';
+import { getMiniDiagnostics, lintCode, applyChanges, patternMethods } from '@strudel/transpiler';
+import { prepareScope } from './api-headless-worker.mjs';
+
+// Methods of packages that only load in the browser, lint accepts them although they are missing here
+const browserMethods = [
+  'tune',
+  'xen',
+  'tuning',
+  'animate',
+  'rescale',
+  'moveXY',
+  'zoomIn',
+  'fscope',
+  'tscope',
+  'dough',
+  'play',
+  'csoundm',
+  'soundfont',
+  'piano',
+];
+
+// Code runs in a worker thread (api-headless-worker.mjs), which is terminated when it takes longer than this
+const EVAL_TIMEOUT = Number(process.env.STRUDEL_EVAL_TIMEOUT) || 10000;
+
+let worker;
+let taskCount = 0;
+
+// The worker is started on first use, and again after it was terminated
+function getWorker() {
+  if (worker) {
+    return worker;
+  }
+  const current = new Worker(new URL('./api-headless-worker.mjs', import.meta.url), {
+    // the code must not find the API token or other secrets in the environment
+    env: {},
+    resourceLimits: { maxOldGenerationSizeMb: 512 },
+  });
+  current.tasks = new Map();
+  current.on('message', ({ id, result, error }) => {
+    const task = current.tasks.get(id);
+    current.tasks.delete(id);
+    error ? task?.reject(Object.assign(new Error(error.message), error)) : task?.resolve(result);
+  });
+  const stopped = (reason) => {
+    if (worker === current) {
+      worker = undefined;
+    }
+    current.tasks.forEach(({ reject }) => reject(new Error(reason)));
+    current.tasks.clear();
+  };
+  current.on('error', (error) => stopped(`Evaluation worker failed: ${error.message}`));
+  current.on('exit', () => stopped('Evaluation worker was restarted'));
+  // the server keeps running on its own, scripts that only evaluate should be able to exit
+  current.unref();
+  worker = current;
+  return current;
+}
+
+// Run a task of api-headless-worker.mjs, terminating the worker (and its repls) if it hangs
+function runTask(type, message) {
+  const current = getWorker();
+  const id = ++taskCount;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      current.tasks.delete(id);
+      const error = new Error(`Evaluation timed out after ${EVAL_TIMEOUT / 1000} seconds, does the code loop forever?`);
+      reject(Object.assign(error, { name: 'TimeoutError' }));
+      current.terminate();
+    }, EVAL_TIMEOUT);
+    const done = (settle) => (value) => {
+      clearTimeout(timer);
+      settle(value);
+    };
+    current.tasks.set(id, { resolve: done(resolve), reject: done(reject) });
+    current.postMessage({ id, type, ...message });
+  });
+}
+
+// A worker that timed out or crashed is a failed evaluation
+async function evaluateTask(type, message) {
+  try {
+    return await runTask(type, message);
+  } catch ({ name, message: error }) {
+    return { success: false, error: { name, message: error } };
+  }
+}
+
+/**
+ * Evaluate code in a throwaway repl and optionally query its haps.
+ * Does not touch any editor, so it is safe to use while a browser is playing.
+ * Runs in a worker thread with a timeout (STRUDEL_EVAL_TIMEOUT, ms), but with the permissions of the server.
+ * Errors while querying fail the evaluation.
+ */
+export function evaluateHeadless(code, { from, to } = {}) {
+  return evaluateTask('evaluate', { code, from, to });
+}
+
+/**
+ * Evaluate code in a throwaway repl and render cycles of it to a Standard MIDI File (see toMidiFile).
+ * cps defaults to the tempo the code sets with setcps / setcpm.
+ */
+export function exportMidiHeadless(code, { cps, ...options } = {}) {
+  return evaluateTask('exportMidi', { code, cps, options });
+}
+
+/**
+ * Check code without evaluating it: mini-notation parse errors and unknown pattern methods with suggestions.
+ * Diagnostics get line / column positions next to the offsets.
+ */
+export async function lintHeadless(code) {
+  await prepareScope();
+  const diagnostics = [...getMiniDiagnostics(code), ...lintCode(code, { knownMethods: browserMethods })];
+  return diagnostics
+    .sort((a, b) => a.from - b.from)
+    .map(({ severity = 'error', ...diagnostic }) => ({
+      ...diagnostic,
+      severity,
+      start: toLineColumn(code, diagnostic.from),
+      end: toLineColumn(code, diagnostic.to),
+    }));
+}
+
+/**
+ * The methods patterns have here, with the ones of browser packages that lint accepts.
+ */
+export async function patternMethodNames() {
+  await prepareScope();
+  return [...patternMethods(), ...browserMethods];
+}
+
+// Resolve an API position (offset or { line, column }) to an offset in code
+function resolvePosition(code, position) {
+  if (typeof position === 'number') {
+    if (position < 0 || position > code.length) {
+      throw new Error(`Offset ${position} is out of range (0-${code.length})`);
+    }
+    return position;
+  }
+  const lines = code.split('\n');
+  const { line, column = 0 } = position;
+  if (line < 1 || line > lines.length) {
+    throw new Error(`Line ${line} is out of range (1-${lines.length})`);
+  }
+  const { length } = lines[line - 1];
+  if (column < 0 || column > length) {
+    throw new Error(`Column ${column} is out of range for line ${line} (0-${length})`);
+  }
+  return lines.slice(0, line - 1).reduce((offset, l) => offset + l.length + 1, 0) + column;
+}
+
+function toLineColumn(code, offset) {
+  const lines = code.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length };
+}
+
+let sessionCount = 0;
+
+/**
+ * A server side stand-in for the browser editor: keeps its own code, cursor and repl (in the worker).
+ * The repl is lost when the worker is terminated after a timeout, so evaluate again afterwards.
+ * handle(message) takes browser commands and returns what the browser would send back (if anything).
+ * onEvent receives the same activity events the browser reports (eval, edit, transport).
+ */
+export function createHeadlessSession(initialCode = '', { onEvent = () => {} } = {}) {
+  const key = `session-${++sessionCount}`;
+  let code = initialCode;
+  let anchor = 0;
+  let head = 0;
+
+  const describeSelection = () => {
+    const from = Math.min(anchor, head);
+    const to = Math.max(anchor, head);
+    return {
+      from,
+      to,
+      anchor,
+      head,
+      text: code.slice(from, to),
+      start: toLineColumn(code, from),
+      end: toLineColumn(code, to),
+    };
+  };
+
+  const replaceRange = (from, to, insert) => {
+    code = code.slice(0, from) + insert + code.slice(to);
+    // map the selection through the change, like CodeMirror does
+    const map = (pos) => (pos < from ? pos : pos >= to ? pos + insert.length - (to - from) : from + insert.length);
+    anchor = map(anchor);
+    head = map(head);
+  };
+
+  const edit = (message, run) => {
+    try {
+      const previous = code;
+      run();
+      code !== previous && changed();
+      return { type: 'edit-response', id: message.id, selection: describeSelection(), length: code.length };
+    } catch (e) {
+      return { type: 'edit-response', id: message.id, error: e.message };
+    }
+  };
+
+  // there is no typing here, so every change comes from the API
+  const changed = () => onEvent({ type: 'edit', source: 'api', code, length: code.length });
+
+  const transport = async (message) => {
+    const { action, cps } = message;
+    if (!['status', 'cps', 'hush'].includes(action)) {
+      return { type: 'transport-response', id: message.id, error: 'Playback is not available in headless mode' };
+    }
+    try {
+      const status = await runTask('transport', { key, action, cps });
+      if (action === 'cps') {
+        onEvent({ type: 'transport', ...status });
+      } else if (action === 'hush') {
+        onEvent({ type: 'transport', action: 'hush', ...status });
+      }
+      return { type: 'transport-response', id: message.id, status };
+    } catch (e) {
+      return { type: 'transport-response', id: message.id, error: e.message };
+    }
+  };
+
+  async function handle(message) {
+    switch (message.type) {
+      case 'get-content':
+        return { type: 'content-response', id: message.id, content: code };
+      case 'set-content':
+        code = message.content;
+        anchor = head = Math.min(head, code.length);
+        changed();
+        return;
+      case 'append-content':
+        replaceRange(code.length, code.length, '\n' + message.content);
+        changed();
+        return;
+      case 'replace':
+        code = code.replace(new RegExp(message.find, message.flags || 'g'), message.replace || '');
+        anchor = head = Math.min(head, code.length);
+        changed();
+        return;
+      case 'get-selection':
+        return { type: 'selection-response', id: message.id, selection: describeSelection() };
+      case 'set-cursor':
+        return edit(message, () => {
+          anchor = head = resolvePosition(code, message.position);
+        });
+      case 'set-selection':
+        return edit(message, () => {
+          anchor = resolvePosition(code, message.from);
+          head = resolvePosition(code, message.to);
+        });
+      case 'insert':
+        return edit(message, () => {
+          const at = message.at !== undefined ? resolvePosition(code, message.at) : head;
+          replaceRange(at, at, message.content);
+        });
+      case 'edit':
+        return edit(message, () => {
+          const from = resolvePosition(code, message.from);
+          const to = resolvePosition(code, message.to);
+          if (from > to) {
+            throw new Error(`Range start (${from}) is after range end (${to})`);
+          }
+          replaceRange(from, to, message.content);
+        });
+      case 'apply-changes':
+        return edit(message, () => {
+          message.changes.forEach(({ from, to }) => {
+            if (from < 0 || to > code.length || from > to) {
+              throw new Error(`Change ${from}-${to} is out of range (0-${code.length})`);
+            }
+          });
+          code = applyChanges(code, message.changes);
+          anchor = head = Math.min(head, code.length);
+        });
+      case 'evaluate': {
+        const result = await evaluateTask('evaluate', { key, code });
+        onEvent({ type: 'eval', source: 'api', ...result });
+        return { type: 'eval-result', id: message.id, ...result };
+      }
+      case 'query-haps':
+        try {
+          const { from, to } = message;
+          return { type: 'haps-response', id: message.id, ...(await runTask('query', { key, from, to })) };
+        } catch (e) {
+          return { type: 'haps-response', id: message.id, error: e.message };
+        }
+      case 'transport':
+        return transport(message);
+      case 'render-audio':
+        return { type: 'render-response', id: message.id, error: 'Audio rendering needs WebAudio, connect a browser' };
+      case 'metrics':
+        return { type: 'metrics-response', id: message.id, error: 'There is no scheduler to measure in headless mode' };
+      default:
+        throw new Error(`Unknown command "${message.type}"`);
+    }
+  }
+
+  return { handle, getCode: () => code };
+}
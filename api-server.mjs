@@ -8,11 +8,17 @@ import express from 'express';
 import cors from 'cors';
 import { WebSocket, WebSocketServer } from 'ws';
 import { createServer } from 'http';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
 import chalk from 'chalk';
 import boxen from 'boxen';
 import figlet from 'figlet';
 import gradient from 'gradient-string';
 import ora from 'ora';
+import { applyChanges, getPatternBlocks, patternBlockChanges } from '@strudel/transpiler';
+import { createHeadlessSession, evaluateHeadless, exportMidiHeadless, lintHeadless } from './api-headless.mjs';
 
 // 🎨 Beautiful Logger System
 const logger = {
@@ -149,36 +155,315 @@ const logger = {
   }
 };
 
+// Values of a command line option, e.g. --allow-origin https://strudel.cc (may repeat)
+function optionValues(flag) {
+  return process.argv.flatMap((arg, i) => (arg === flag && process.argv[i + 1] !== undefined ? [process.argv[i + 1]] : []));
+}
+
+// 🔒 Access control: the API runs arbitrary code in the REPL, so only local, allowed origins with the token get in
+const HOST = optionValues('--host')[0] || process.env.STRUDEL_API_HOST || '127.0.0.1';
+const ALLOWED_ORIGINS = [
+  ...(process.env.STRUDEL_API_ORIGINS?.split(',') ?? ['http://localhost:4321', 'http://127.0.0.1:4321']),
+  ...optionValues('--allow-origin')
+].map((origin) => origin.trim()).filter(Boolean);
+const AUTH = !process.argv.includes('--no-auth') && process.env.STRUDEL_API_AUTH !== '0';
+const TOKEN_FILE = optionValues('--token-file')[0] || process.env.STRUDEL_API_TOKEN_FILE || join(homedir(), '.strudel', 'api-token');
+const TOKEN = AUTH ? loadToken() : null;
+
+// Reuse the saved token across restarts, so browsers and tools that know it stay connected
+function loadToken() {
+  if (process.env.STRUDEL_API_TOKEN) {
+    return process.env.STRUDEL_API_TOKEN;
+  }
+  if (existsSync(TOKEN_FILE)) {
+    const saved = readFileSync(TOKEN_FILE, 'utf8').trim();
+    if (saved) {
+      return saved;
+    }
+  }
+  const token = randomBytes(24).toString('hex');
+  mkdirSync(dirname(TOKEN_FILE), { recursive: true, mode: 0o700 });
+  writeFileSync(TOKEN_FILE, token + '\n', { mode: 0o600 });
+  return token;
+}
+
+// Requests without an Origin come from tools (CLI, curl), not web pages
+function isOriginAllowed(origin) {
+  return !origin || ALLOWED_ORIGINS.includes('*') || ALLOWED_ORIGINS.includes(origin);
+}
+
+// Browsers can't set headers on WebSocket or EventSource connections, so ?token= works too
+function tokenFrom(req) {
+  const header = req.headers.authorization;
+  if (header?.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length);
+  }
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+function isAuthorized(req) {
+  if (!AUTH) {
+    return true;
+  }
+  const given = Buffer.from(tokenFrom(req) ?? '');
+  const expected = Buffer.from(TOKEN);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
 const app = express();
 const server = createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({
+  server,
+  verifyClient: ({ origin, req }, done) => {
+    if (!isOriginAllowed(origin)) {
+      logger.warning(`Rejected WebSocket connection from ${origin}`);
+      return done(false, 403, 'Origin not allowed');
+    }
+    if (!isAuthorized(req)) {
+      logger.warning('Rejected WebSocket connection without a valid token');
+      return done(false, 401, 'Missing or invalid API token');
+    }
+    done(true);
+  }
+});
+
+app.use(cors({ origin: (origin, callback) => callback(null, isOriginAllowed(origin)) }));
+
+// Withholding CORS headers is not enough, simple cross-origin POSTs would still run
+app.use((req, res, next) => {
+  const origin = req.get('Origin');
+  if (!isOriginAllowed(origin)) {
+    logger.warning(`Rejected request from ${origin}`);
+    return res.status(403).json({ error: `Origin ${origin} is not allowed (start the server with --allow-origin ${origin})` });
+  }
+  next();
+});
 
-app.use(cors());
 app.use(express.json());
 
-// Store connected clients (browser windows)
-const clients = new Set();
+app.use('/api', (req, res, next) => {
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ error: `Missing or invalid API token, send it as "Authorization: Bearer <token>" (saved in ${TOKEN_FILE})` });
+  }
+  next();
+});
+
+// Store connected sessions (browser tabs) by id
+const sessions = new Map();
+let sessionCount = 0;
+
+// In headless mode (--headless or STRUDEL_API_HEADLESS=1) code is evaluated in Node while no browser is connected
+const HEADLESS = process.argv.includes('--headless') || process.env.STRUDEL_API_HEADLESS === '1';
+const headless = HEADLESS
+  ? {
+      id: 'headless',
+      name: 'headless',
+      headless: true,
+      history: [],
+      position: -1,
+      ...createHeadlessSession('', { onEvent: (event) => publishEvent(headless, event) })
+    }
+  : null;
+
+const NO_EDITOR_ERROR = 'No browsers connected (start the server with --headless to work without one)';
+
+function describeSession({ id, name, connectedAt, headless }) {
+  return { id, name, connectedAt, headless: !!headless };
+}
 
-// Store pending requests waiting for responses
+function findSession(key) {
+  if (sessions.has(key)) {
+    return sessions.get(key);
+  }
+  if (headless && key === headless.id) {
+    return headless;
+  }
+  return [...sessions.values()].find((session) => session.name === key);
+}
+
+// Names identify tabs in ?session=, so keep them unique
+function uniqueSessionName(name, session) {
+  let unique = name;
+  for (let i = 2; [...sessions.values()].some((other) => other !== session && other.name === unique); i++) {
+    unique = `${name}-${i}`;
+  }
+  return unique;
+}
+
+// Pick the session a request is meant for (?session= or X-Strudel-Session, by id or name).
+// Answers the request with an error and returns undefined if there is none or it is ambiguous.
+function resolveSession(req, res) {
+  const key = req.query.session ?? req.get('X-Strudel-Session');
+  if (key !== undefined) {
+    const session = findSession(key);
+    if (!session) {
+      res.status(404).json({ error: `Unknown session "${key}"`, sessions: listSessions() });
+    }
+    return session;
+  }
+  if (sessions.size === 1) {
+    return sessions.values().next().value;
+  }
+  if (sessions.size > 1) {
+    res.status(409).json({
+      error: 'Several sessions are connected, choose one with ?session= or the X-Strudel-Session header',
+      sessions: listSessions()
+    });
+    return;
+  }
+  if (headless) {
+    return headless;
+  }
+  res.status(503).json({ error: NO_EDITOR_ERROR });
+}
+
+function listSessions() {
+  const list = [...sessions.values()].map(describeSession);
+  return headless ? [...list, describeSession(headless)] : list;
+}
+
+// Store pending requests waiting for responses, by session and request id, so only the asked tab can answer
 const pendingRequests = new Map();
+const pendingKey = (session, id) => `${session.id}:${id}`;
+
+// Longest span of cycles that can be queried for haps at once
+const MAX_QUERY_CYCLES = 64;
 
 // Store recent errors for retrieval
 const recentErrors = [];
 
-// WebSocket connection handler
-wss.on('connection', (ws) => {
-  logger.connection('Browser connected to API server', 'connected');
-  clients.add(ws);
+// Activity stream (eval results, logs, edits, transport) for tools, over SSE (/api/events) or WebSocket (/events)
+const eventSubscribers = new Set();
+const recentEvents = [];
+const MAX_RECENT_EVENTS = 100;
+let eventCount = 0;
+
+function publishEvent(session, event) {
+  if (event.type === 'edit') {
+    recordSnapshot(session, event.code, event.source);
+  } else if (event.type === 'eval') {
+    recordEvalOutcome(session, event);
+  }
+  const entry = { ...event, id: ++eventCount, time: new Date().toISOString(), session: session.id, sessionName: session.name };
+  recentEvents.push(entry);
+  if (recentEvents.length > MAX_RECENT_EVENTS) {
+    recentEvents.shift();
+  }
+  eventSubscribers.forEach((subscriber) => subscriber.accepts(entry) && subscriber.send(entry));
+}
+
+// Code snapshots per session, so API changes can be rolled back (/api/history, /api/undo).
+// position points at the snapshot the editor shows, undo walks back from there
+const MAX_HISTORY = 50;
+let snapshotCount = 0;
+
+function recordSnapshot(session, code, source) {
+  if (typeof code !== 'string' || code === session.history[session.position]?.code) {
+    return;
+  }
+  session.history.push({ id: ++snapshotCount, time: new Date().toISOString(), source, code });
+  if (session.history.length > MAX_HISTORY) {
+    session.history.shift();
+  }
+  session.position = session.history.length - 1;
+}
+
+function recordEvalOutcome(session, { success, error }) {
+  const snapshot = session.history[session.position];
+  if (snapshot) {
+    snapshot.eval = { success, error };
+  }
+}
+
+function describeSnapshot(session, snapshot) {
+  const { id, time, source, code } = snapshot;
+  const preview = code.split('\n').find((line) => line.trim()) ?? '';
+  return {
+    id,
+    time,
+    source,
+    eval: snapshot.eval ?? null,
+    length: code.length,
+    preview: preview.length > 60 ? preview.substring(0, 60) + '...' : preview,
+    current: session.history[session.position] === snapshot
+  };
+}
+
+// Subscribers can narrow the stream with ?types=eval,log and ?session=<id|name>
+function createSubscriber({ types, session }, send) {
+  const wanted = types ? String(types).split(',') : null;
+  const accepts = (event) =>
+    (!wanted || wanted.includes(event.type)) && (!session || event.session === session || event.sessionName === session);
+  return { accepts, send };
+}
+
+function subscribe(subscriber, lastEventId) {
+  // replay what a reconnecting subscriber missed
+  if (lastEventId !== undefined) {
+    recentEvents.filter((event) => event.id > lastEventId && subscriber.accepts(event)).forEach(subscriber.send);
+  }
+  eventSubscribers.add(subscriber);
+  return () => eventSubscribers.delete(subscriber);
+}
+
+// WebSocket connection handler, every browser tab becomes a session (ws://host:port/?name=drums)
+wss.on('connection', (ws, req) => {
+  const url = new URL(req.url, 'http://localhost');
+  
+  // Tools watching the activity stream (ws://host:port/events?types=eval) are not sessions
+  if (url.pathname === '/events') {
+    const query = Object.fromEntries(url.searchParams);
+    const unsubscribe = subscribe(createSubscriber(query, (event) => ws.send(JSON.stringify(event))));
+    logger.connection('Event stream subscriber connected', 'connected');
+    ws.on('close', unsubscribe);
+    return;
+  }
+  
+  sessionCount++;
+  const requestedName = url.searchParams.get('name');
+  const session = { id: `s${sessionCount}`, ws, connectedAt: new Date().toISOString(), history: [], position: -1 };
+  session.name = uniqueSessionName(requestedName || `tab-${sessionCount}`, session);
+  sessions.set(session.id, session);
+  ws.send(JSON.stringify({ type: 'session', id: session.id, name: session.name }));
+  logger.connection(`Browser connected to API server as "${session.name}" (${session.id})`, 'connected');
+  publishEvent(session, { type: 'session', connected: true });
+  
+  // Start the history with the code the tab already has
+  requestFromSession(session, { type: 'get-content' })
+    .then(({ content }) => recordSnapshot(session, content, 'user'))
+    .catch(() => logger.warning(`Could not read the code of "${session.name}" for its history`));
   
   ws.on('close', () => {
-    clients.delete(ws);
-    logger.connection('Browser disconnected from API server', 'disconnected');
+    sessions.delete(session.id);
+    // requests the tab can no longer answer fail now instead of timing out
+    pendingRequests.forEach(({ reject }, key) => {
+      if (key.startsWith(`${session.id}:`)) {
+        pendingRequests.delete(key);
+        reject(new Error(`Session "${session.name}" disconnected`));
+      }
+    });
+    logger.connection(`Browser "${session.name}" disconnected from API server`, 'disconnected');
+    publishEvent(session, { type: 'session', connected: false });
   });
   
   ws.on('message', (data) => {
     try {
       const message = JSON.parse(data);
-      logger.websocket(`Received: ${message.type}`, 'received');
+      
+      // Activity from the browser goes straight to the event stream
+      if (message.type === 'event') {
+        publishEvent(session, message.event);
+        return;
+      }
+      
+      logger.websocket(`[${session.name}] Received: ${message.type}`, 'received');
+      
+      // Let the tab pick its own name
+      if (message.type === 'set-session-name' && message.name) {
+        session.name = uniqueSessionName(message.name, session);
+        ws.send(JSON.stringify({ type: 'session', id: session.id, name: session.name }));
+        logger.info(`Session ${session.id} is now called "${session.name}"`);
+      }
       
       // Handle responses from browser
       if (message.type === 'content-response') {
@@ -186,13 +471,14 @@ wss.on('connection', (ws) => {
           message.content.substring(0, 100) + '...' : 
           message.content;
         logger.music(`Editor content received (${message.content.length} chars)\n${chalk.gray(preview)}`, 'content');
-        
-        // If there's a pending request waiting for this response, resolve it
-        if (message.id && pendingRequests.has(message.id)) {
-          const { resolve } = pendingRequests.get(message.id);
-          resolve(message.content);
-          pendingRequests.delete(message.id);
-        }
+      }
+      
+      // If there's a pending request waiting for this response, resolve it
+      const key = pendingKey(session, message.id);
+      if (message.id && pendingRequests.has(key)) {
+        const { resolve } = pendingRequests.get(key);
+        resolve(message);
+        pendingRequests.delete(key);
       }
       
       // Handle error reports from browser
@@ -200,7 +486,8 @@ wss.on('connection', (ws) => {
         const errorInfo = {
           message: message.error,
           timestamp: new Date().toISOString(),
-          source: message.source || 'unknown'
+          source: message.source || 'unknown',
+          session: session.id
         };
         recentErrors.push(errorInfo);
         
@@ -209,7 +496,8 @@ wss.on('connection', (ws) => {
           recentErrors.shift();
         }
         
-        logger.error('JavaScript error reported from browser', message.error);
+        logger.error(`JavaScript error reported from browser "${session.name}"`, message.error);
+        publishEvent(session, { type: 'error', message: message.error, source: errorInfo.source });
       }
     } catch (e) {
       logger.error('Invalid message from browser', e.message);
@@ -217,53 +505,89 @@ wss.on('connection', (ws) => {
   });
 });
 
-// Broadcast message to all connected browsers
-function broadcast(message) {
-  if (clients.size === 0) {
-    logger.warning('No browsers connected');
-    return false;
+// Send a command to one session
+function sendToSession(session, message) {
+  logger.websocket(`[${session.name}] ${message.type}`, 'sent');
+  if (session.headless) {
+    session.handle(message).catch((e) => logger.error('Headless command failed', e.message));
+    return;
+  }
+  if (session.ws.readyState === WebSocket.OPEN) {
+    session.ws.send(JSON.stringify(message));
   }
-  
-  const data = JSON.stringify(message);
-  logger.websocket(`Broadcasting: ${message.type}`, 'sent');
-  clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(data);
-    }
-  });
-  return true;
 }
 
-// API Routes
-
-// Get current editor content
-app.get('/api/editor/content', async (req, res) => {
-  logger.api('GET', '/api/editor/content', 'Requesting current code from browser');
+// Send a command to a session and wait for the response carrying the same id
+function requestFromSession(session, message, timeout = 5000) {
+  const requestId = Date.now() + Math.random();
   
-  if (clients.size === 0) {
-    return res.status(503).json({ error: 'No browsers connected' });
+  // The headless session answers right away
+  if (session.headless) {
+    logger.websocket(`[${session.name}] ${message.type}`, 'sent');
+    return session.handle({ ...message, id: requestId });
   }
   
-  const requestId = Date.now() + Math.random();
-  
   // Create a promise that resolves when browser responds
-  const contentPromise = new Promise((resolve, reject) => {
-    pendingRequests.set(requestId, { resolve, reject });
+  const key = pendingKey(session, requestId);
+  const responsePromise = new Promise((resolve, reject) => {
+    pendingRequests.set(key, { resolve, reject });
     
-    // Timeout after 5 seconds
     setTimeout(() => {
-      if (pendingRequests.has(requestId)) {
-        pendingRequests.delete(requestId);
+      if (pendingRequests.has(key)) {
+        pendingRequests.delete(key);
         reject(new Error('Timeout waiting for browser response'));
       }
-    }, 5000);
+    }, timeout);
   });
   
-  // Send request to browser
-  broadcast({ type: 'get-content', id: requestId });
+  sendToSession(session, { ...message, id: requestId });
+  return responsePromise;
+}
+
+// Positions are either a document offset or { line, column } (line is 1-based, column is 0-based)
+function isPosition(position) {
+  if (typeof position === 'number') {
+    return Number.isInteger(position) && position >= 0;
+  }
+  return (
+    typeof position === 'object' &&
+    position !== null &&
+    Number.isInteger(position.line) &&
+    (position.column === undefined || Number.isInteger(position.column))
+  );
+}
+
+// Send an editing command and answer with the resulting selection
+async function editorRequest(req, res, message, description) {
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
   
   try {
-    const content = await contentPromise;
+    const response = await requestFromSession(session, message);
+    if (response.error) {
+      return res.status(400).json({ error: response.error });
+    }
+    res.json({ message: description, selection: response.selection, length: response.length });
+  } catch (error) {
+    res.status(408).json({ error: error.message });
+  }
+}
+
+// API Routes
+
+// Get current editor content
+app.get('/api/editor/content', async (req, res) => {
+  logger.api('GET', '/api/editor/content', 'Requesting current code from browser');
+  
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  
+  try {
+    const { content } = await requestFromSession(session, { type: 'get-content' });
     res.json({ content, length: content.length });
   } catch (error) {
     res.status(408).json({ error: 'Timeout waiting for browser response' });
@@ -280,13 +604,14 @@ app.post('/api/editor/content', (req, res) => {
   const preview = content.length > 50 ? content.substring(0, 50) + '...' : content;
   logger.api('POST', '/api/editor/content', `Setting new code (${content.length} chars)\n${chalk.gray(preview)}`);
   
-  const sent = broadcast({ type: 'set-content', content });
-  if (sent) {
-    logger.music(`Code updated successfully! New pattern loaded.`, 'update');
-    res.json({ message: 'Content updated', length: content.length });
-  } else {
-    res.status(503).json({ error: 'No browsers connected' });
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
   }
+  
+  sendToSession(session, { type: 'set-content', content });
+  logger.music(`Code updated successfully! New pattern loaded.`, 'update');
+  res.json({ message: 'Content updated', length: content.length });
 });
 
 // Append content to editor
@@ -296,12 +621,13 @@ app.post('/api/editor/append', (req, res) => {
     return res.status(400).json({ error: 'Content is required' });
   }
   
-  const sent = broadcast({ type: 'append-content', content });
-  if (sent) {
-    res.json({ message: 'Content appended', length: content.length });
-  } else {
-    res.status(503).json({ error: 'No browsers connected' });
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
   }
+  
+  sendToSession(session, { type: 'append-content', content });
+  res.json({ message: 'Content appended', length: content.length });
 });
 
 // Replace text by pattern/range
@@ -313,28 +639,573 @@ app.post('/api/editor/replace', (req, res) => {
   
   logger.api('POST', '/api/editor/replace', `Replace: "${find}" → "${replace || ''}"`);
   
-  const sent = broadcast({ type: 'replace', find, replace: replace || '', flags });
-  if (sent) {
-    logger.music(`Pattern replaced: "${chalk.red(find)}" → "${chalk.green(replace || '')}"`, 'update');
-    res.json({ message: 'Text replacement sent', find, replace, flags });
-  } else {
-    res.status(503).json({ error: 'No browsers connected' });
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  
+  sendToSession(session, { type: 'replace', find, replace: replace || '', flags });
+  logger.music(`Pattern replaced: "${chalk.red(find)}" → "${chalk.green(replace || '')}"`, 'update');
+  res.json({ message: 'Text replacement sent', find, replace, flags });
+});
+
+// Get current cursor position and selection
+app.get('/api/editor/selection', async (req, res) => {
+  logger.api('GET', '/api/editor/selection', 'Requesting selection from browser');
+  
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  
+  try {
+    const { selection } = await requestFromSession(session, { type: 'get-selection' });
+    res.json({ selection });
+  } catch (error) {
+    res.status(408).json({ error: 'Timeout waiting for browser response' });
+  }
+});
+
+// Move the cursor to an offset or line/column
+app.post('/api/editor/cursor', (req, res) => {
+  const { offset, line, column } = req.body;
+  const position = offset ?? (line !== undefined ? { line, column } : undefined);
+  if (!isPosition(position)) {
+    return res.status(400).json({ error: 'offset or line (and optional column) is required' });
+  }
+  
+  logger.api('POST', '/api/editor/cursor', `Cursor → ${JSON.stringify(position)}`);
+  editorRequest(req, res, { type: 'set-cursor', position }, 'Cursor moved');
+});
+
+// Select a range of text
+app.post('/api/editor/select', (req, res) => {
+  const { from, to } = req.body;
+  if (!isPosition(from) || !isPosition(to)) {
+    return res.status(400).json({ error: 'from and to positions are required' });
+  }
+  
+  logger.api('POST', '/api/editor/select', `Select ${JSON.stringify(from)} → ${JSON.stringify(to)}`);
+  editorRequest(req, res, { type: 'set-selection', from, to }, 'Selection set');
+});
+
+// Insert text at a position (defaults to the cursor)
+app.post('/api/editor/insert', (req, res) => {
+  const { content, at } = req.body;
+  if (!content && content !== '') {
+    return res.status(400).json({ error: 'Content is required' });
+  }
+  if (at !== undefined && !isPosition(at)) {
+    return res.status(400).json({ error: 'at must be an offset or { line, column }' });
+  }
+  
+  logger.api('POST', '/api/editor/insert', `Insert at ${at !== undefined ? JSON.stringify(at) : 'cursor'}: "${content}"`);
+  editorRequest(req, res, { type: 'insert', content, at }, 'Content inserted');
+});
+
+// Replace a range of text
+app.post('/api/editor/edit', (req, res) => {
+  const { from, to, content } = req.body;
+  if (!isPosition(from) || !isPosition(to)) {
+    return res.status(400).json({ error: 'from and to positions are required' });
+  }
+  if (!content && content !== '') {
+    return res.status(400).json({ error: 'Content is required' });
+  }
+  
+  logger.api('POST', '/api/editor/edit', `Edit ${JSON.stringify(from)} → ${JSON.stringify(to)}: "${content}"`);
+  editorRequest(req, res, { type: 'edit', from, to, content }, 'Range edited');
+});
+
+// Actions for POST /api/editor/block/:id
+const BLOCK_ACTIONS = ['replace', 'mute', 'unmute', 'solo'];
+
+// Parse failures answer with the location of the syntax error
+function structureError(res, error) {
+  const { name = 'Error', message, loc } = error;
+  res.status(422).json({ error: { name, message, line: loc?.line, column: loc?.column } });
+}
+
+// List the $: / .p() blocks of the editor code with their ranges, mini-notation strings and method chains
+app.get('/api/editor/structure', async (req, res) => {
+  logger.api('GET', '/api/editor/structure', 'Reading pattern blocks');
+  
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  
+  let code;
+  try {
+    ({ content: code } = await requestFromSession(session, { type: 'get-content' }));
+  } catch (error) {
+    return res.status(408).json({ error: error.message });
+  }
+  try {
+    const blocks = getPatternBlocks(code);
+    res.json({ count: blocks.length, blocks });
+  } catch (error) {
+    structureError(res, error);
+  }
+});
+
+// Replace, mute, unmute or solo one block, e.g. POST /api/editor/block/bass { action: 'mute' }
+app.post('/api/editor/block/:id', async (req, res) => {
+  const { id } = req.params;
+  const { action, content, evaluate = false } = req.body;
+  if (!BLOCK_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of ${BLOCK_ACTIONS.join(', ')}` });
+  }
+  if (action === 'replace' && typeof content !== 'string') {
+    return res.status(400).json({ error: 'replace needs the new pattern code as content' });
+  }
+  
+  logger.api('POST', `/api/editor/block/${id}`, `${action} ${id}`);
+  
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  
+  let code;
+  try {
+    ({ content: code } = await requestFromSession(session, { type: 'get-content' }));
+  } catch (error) {
+    return res.status(408).json({ error: error.message });
+  }
+  let blocks;
+  try {
+    blocks = getPatternBlocks(code);
+  } catch (error) {
+    return structureError(res, error);
+  }
+  if (!blocks.some((block) => block.id === id)) {
+    return res.status(404).json({ error: `No pattern block "${id}"`, blocks: blocks.map((block) => block.id) });
+  }
+  
+  const changes = patternBlockChanges(code, id, { action, content });
+  // don't break working code with a replacement that does not parse
+  let updatedBlocks;
+  try {
+    updatedBlocks = getPatternBlocks(applyChanges(code, changes));
+  } catch (error) {
+    return structureError(res, error);
+  }
+  
+  try {
+    if (changes.length) {
+      const response = await requestFromSession(session, { type: 'apply-changes', changes });
+      if (response.error) {
+        return res.status(400).json({ error: response.error });
+      }
+    }
+    const result = evaluate ? await requestFromSession(session, { type: 'evaluate', selection: false }, 15000) : undefined;
+    logger.music(`Block ${id}: ${action}`, 'update');
+    res.json({
+      message: changes.length ? `Block ${id}: ${action}` : `Block ${id} unchanged`,
+      changes: changes.length,
+      blocks: updatedBlocks,
+      eval: result && { success: result.success, error: result.error, patterns: result.patterns }
+    });
+  } catch (error) {
+    res.status(408).json({ error: error.message });
   }
 });
 
-// Evaluate current selection/all
-app.post('/api/editor/eval', (req, res) => {
-  const { selection = false } = req.body;
+// Evaluate current selection/all and wait for the outcome
+app.post('/api/editor/eval', async (req, res) => {
+  const { selection = false, quantize, crossfade } = req.body;
   
   logger.api('POST', '/api/editor/eval', selection ? 'Evaluating selection' : 'Evaluating all code');
   
-  const sent = broadcast({ type: 'evaluate', selection });
-  if (sent) {
-    logger.music('🎵 MUSIC IS PLAYING! Code evaluation triggered 🎵', 'eval');
-    res.json({ message: 'Code evaluation triggered', selection });
+  // cycles to keep the old pattern playing for, see launch quantization
+  if (quantize !== undefined && !(quantize >= 0)) {
+    return res.status(400).json({ error: 'quantize must be a number of cycles (0 or more)' });
+  }
+  if (crossfade !== undefined && !(crossfade >= 0)) {
+    return res.status(400).json({ error: 'crossfade must be a number of cycles (0 or more)' });
+  }
+  
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  
+  let result;
+  try {
+    // first evaluation may need to load samples, so allow more time than for editor commands
+    result = await requestFromSession(session, { type: 'evaluate', selection, quantize, crossfade }, 15000);
+  } catch (error) {
+    return res.status(408).json({ error: error.message });
+  }
+  
+  const { success, error, miniLocations, patterns, launchCycle } = result;
+  if (success) {
+    logger.music(`🎵 MUSIC IS PLAYING! ${patterns.length ? `Patterns: ${patterns.join(', ')}` : 'Code evaluated'} 🎵`, 'eval');
   } else {
-    res.status(503).json({ error: 'No browsers connected' });
+    const location = error.line !== undefined ? ` (line ${error.line}, column ${error.column})` : '';
+    logger.error('Evaluation failed' + location, error.message);
   }
+  res.json({ message: success ? 'Code evaluated' : 'Evaluation failed', success, error, miniLocations, patterns, launchCycle, selection });
+});
+
+// Query the haps of the scheduled pattern, e.g. /api/pattern/haps?from=0&to=4
+app.get('/api/pattern/haps', async (req, res) => {
+  const from = req.query.from !== undefined ? Number(req.query.from) : undefined;
+  const to = req.query.to !== undefined ? Number(req.query.to) : undefined;
+  if ([from, to].some((n) => n !== undefined && !Number.isFinite(n))) {
+    return res.status(400).json({ error: 'from and to must be numbers (cycles)' });
+  }
+  if (from !== undefined && to !== undefined && (to <= from || to - from > MAX_QUERY_CYCLES)) {
+    return res.status(400).json({ error: `to must be after from and at most ${MAX_QUERY_CYCLES} cycles later` });
+  }
+  
+  logger.api('GET', '/api/pattern/haps', `Querying cycles ${from ?? 'now'} → ${to ?? '+1'}`);
+  
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  
+  try {
+    const response = await requestFromSession(session, { type: 'query-haps', from, to });
+    if (response.error) {
+      return res.status(409).json({ error: response.error });
+    }
+    const { haps } = response;
+    res.json({ from: response.from, to: response.to, count: haps.length, haps });
+  } catch (error) {
+    res.status(408).json({ error: error.message });
+  }
+});
+
+// Run a transport action in the browser and answer with { started, cps, cycle }
+async function transportRequest(req, res, message) {
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  
+  try {
+    const response = await requestFromSession(session, { type: 'transport', ...message });
+    if (response.error) {
+      return res.status(409).json({ error: response.error });
+    }
+    res.json(response.status);
+  } catch (error) {
+    res.status(408).json({ error: error.message });
+  }
+}
+
+// Transport status
+app.get('/api/transport', (req, res) => {
+  transportRequest(req, res, { action: 'status' });
+});
+
+// Start, stop, pause, toggle or hush playback
+['start', 'stop', 'pause', 'toggle', 'hush'].forEach((action) => {
+  app.post(`/api/transport/${action}`, (req, res) => {
+    logger.api('POST', `/api/transport/${action}`);
+    if (action === 'stop' || action === 'hush') {
+      logger.music(action === 'stop' ? '⏹️ Playback stopped' : '🤫 Hushed all patterns', 'update');
+    }
+    transportRequest(req, res, { action });
+  });
+});
+
+// Get tempo
+app.get('/api/transport/cps', (req, res) => {
+  transportRequest(req, res, { action: 'status' });
+});
+
+// Set tempo in cycles per second (or per minute with { cpm })
+app.post('/api/transport/cps', (req, res) => {
+  const { cpm } = req.body;
+  const cps = req.body.cps ?? (cpm !== undefined ? cpm / 60 : undefined);
+  if (typeof cps !== 'number' || !(cps > 0)) {
+    return res.status(400).json({ error: 'cps (or cpm) must be a positive number' });
+  }
+  
+  logger.api('POST', '/api/transport/cps', `Tempo → ${cps} cps (${Math.round(cps * 60 * 100) / 100} cpm)`);
+  transportRequest(req, res, { action: 'cps', cps });
+});
+
+// Timing of the scheduler: query times, haps per tick, slack and late / skipped ticks, ?reset=true starts over afterwards
+app.get('/api/metrics', async (req, res) => {
+  const reset = req.query.reset === 'true';
+  logger.api('GET', '/api/metrics', reset ? 'Reading and resetting scheduler metrics' : 'Reading scheduler metrics');
+  
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  
+  try {
+    const response = await requestFromSession(session, { type: 'metrics', reset });
+    if (response.error) {
+      return res.status(409).json({ error: response.error });
+    }
+    const { metrics } = response;
+    if (metrics.late || metrics.skipped) {
+      logger.warning(`Scheduler fell behind: ${metrics.late} late and ${metrics.skipped} skipped ticks`);
+    }
+    res.json(metrics);
+  } catch (error) {
+    res.status(408).json({ error: error.message });
+  }
+});
+
+// Code sent to the server runs in a Node worker with the permissions of the server (not sandboxed),
+// so evaluating it there is only allowed when headless mode was chosen
+function allowsServerEvaluation(res) {
+  if (!HEADLESS) {
+    res.status(403).json({ error: 'Evaluating code on the server is only enabled in headless mode (start the server with --headless)' });
+  }
+  return HEADLESS;
+}
+
+// Headless evaluation failed: the message as error, so clients can show it like any other
+function evaluationFailed(res, result) {
+  const { message, line, column } = result.error;
+  res.status(422).json({ ...result, error: message, line, column });
+}
+
+// Validate code in Node without touching any editor
+app.post('/api/validate', async (req, res) => {
+  const { code } = req.body;
+  if (typeof code !== 'string') {
+    return res.status(400).json({ error: 'Code is required' });
+  }
+  if (!allowsServerEvaluation(res)) {
+    return;
+  }
+  
+  logger.api('POST', '/api/validate', `Validating ${code.length} chars headlessly`);
+  const result = await evaluateHeadless(code);
+  res.json({ message: result.success ? 'Code is valid' : 'Evaluation failed', ...result });
+});
+
+// Check { code } for mini-notation errors and unknown methods, without evaluating it
+app.post('/api/lint', async (req, res) => {
+  const { code } = req.body;
+  if (typeof code !== 'string') {
+    return res.status(400).json({ error: 'Code is required' });
+  }
+  
+  logger.api('POST', '/api/lint', `Linting ${code.length} chars`);
+  const diagnostics = await lintHeadless(code);
+  res.json({ diagnostics, count: diagnostics.length });
+});
+
+// Evaluate code in Node and return its haps, e.g. { code, from: 0, to: 4 }
+app.post('/api/pattern/haps', async (req, res) => {
+  const { code, from = 0, to = from + 1 } = req.body;
+  if (typeof code !== 'string') {
+    return res.status(400).json({ error: 'Code is required' });
+  }
+  if (![from, to].every(Number.isFinite) || to <= from || to - from > MAX_QUERY_CYCLES) {
+    return res.status(400).json({ error: `to must be after from and at most ${MAX_QUERY_CYCLES} cycles later` });
+  }
+  if (!allowsServerEvaluation(res)) {
+    return;
+  }
+  
+  logger.api('POST', '/api/pattern/haps', `Querying cycles ${from} → ${to} headlessly`);
+  const result = await evaluateHeadless(code, { from, to });
+  if (!result.success) {
+    return evaluationFailed(res, result);
+  }
+  res.json({ ...result, count: result.haps.length });
+});
+
+const MAX_EXPORT_CYCLES = 1024;
+
+// Render { code } (or the code of a session) to a Standard MIDI File, e.g. { cycles: 8, cps: 0.5, ppq: 480 }
+app.post('/api/export/midi', async (req, res) => {
+  const { code, cycles = 4, cps, ppq = 480, beatsPerCycle = 4 } = req.body;
+  if (code !== undefined && typeof code !== 'string') {
+    return res.status(400).json({ error: 'code must be a string' });
+  }
+  if (!(cycles > 0) || cycles > MAX_EXPORT_CYCLES) {
+    return res.status(400).json({ error: `cycles must be a positive number up to ${MAX_EXPORT_CYCLES}` });
+  }
+  if (cps !== undefined && !(cps > 0)) {
+    return res.status(400).json({ error: 'cps must be a positive number' });
+  }
+  if (![ppq, beatsPerCycle].every((n) => Number.isInteger(n) && n > 0 && n < 0x8000)) {
+    return res.status(400).json({ error: 'ppq and beatsPerCycle must be positive integers' });
+  }
+  if (!allowsServerEvaluation(res)) {
+    return;
+  }
+  
+  let source = code;
+  let tempo = cps;
+  if (source === undefined) {
+    const session = resolveSession(req, res);
+    if (!session) {
+      return;
+    }
+    try {
+      source = (await requestFromSession(session, { type: 'get-content' })).content;
+      tempo ??= (await requestFromSession(session, { type: 'transport', action: 'status' })).status?.cps;
+    } catch (error) {
+      return res.status(408).json({ error: error.message });
+    }
+  }
+  
+  logger.api('POST', '/api/export/midi', `Rendering ${cycles} cycles to MIDI`);
+  try {
+    const result = await exportMidiHeadless(source, { cycles, cps: tempo, ppq, beatsPerCycle });
+    if (!result.success) {
+      return evaluationFailed(res, result);
+    }
+    res.set('Content-Type', 'audio/midi');
+    res.set('Content-Disposition', 'attachment; filename="strudel.mid"');
+    res.send(Buffer.from(result.data));
+  } catch (error) {
+    res.status(422).json({ error: error.message });
+  }
+});
+
+const MAX_RENDER_SECONDS = 600;
+
+// Render cycles of the pattern a browser session has evaluated to a WAV file, e.g. { cycles: 8, sampleRate: 44100 }
+app.post('/api/export/audio', async (req, res) => {
+  const { cycles = 4, cps, sampleRate = 48000, tail = 0 } = req.body;
+  if (!(cycles > 0) || (cps !== undefined && !(cps > 0)) || !(tail >= 0)) {
+    return res.status(400).json({ error: 'cycles and cps must be positive numbers, tail at least 0' });
+  }
+  if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 192000) {
+    return res.status(400).json({ error: 'sampleRate must be an integer between 8000 and 192000' });
+  }
+  
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  
+  try {
+    const tempo = cps ?? (await requestFromSession(session, { type: 'transport', action: 'status' })).status?.cps;
+    const seconds = cycles / tempo + tail;
+    if (!(seconds <= MAX_RENDER_SECONDS)) {
+      const length = `${cycles} cycles at ${tempo} cps are ${Math.round(seconds)} seconds`;
+      return res.status(400).json({ error: `Renders are limited to ${MAX_RENDER_SECONDS} seconds, ${length}` });
+    }
+    
+    logger.api('POST', '/api/export/audio', `Rendering ${cycles} cycles (${seconds.toFixed(1)}s) to WAV`);
+    // loading samples and rendering can take a while, offline rendering is usually faster than real time
+    const timeout = Math.max(30000, seconds * 2000);
+    const response = await requestFromSession(session, { type: 'render-audio', cycles, cps: tempo, sampleRate, tail }, timeout);
+    if (response.error) {
+      return res.status(409).json({ error: response.error });
+    }
+    res.set('Content-Type', 'audio/wav');
+    res.set('Content-Disposition', 'attachment; filename="strudel.wav"');
+    res.send(Buffer.from(response.data, 'base64'));
+  } catch (error) {
+    res.status(408).json({ error: error.message });
+  }
+});
+
+// List code snapshots of a session, newest first
+app.get('/api/history', (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  const snapshots = session.history.map((snapshot) => describeSnapshot(session, snapshot)).reverse();
+  res.json({ session: session.name, count: snapshots.length, snapshots });
+});
+
+// Get one snapshot including its code
+app.get('/api/history/:id', (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  const snapshot = session.history.find(({ id }) => id === Number(req.params.id));
+  if (!snapshot) {
+    return res.status(404).json({ error: `No snapshot ${req.params.id} in the history of "${session.name}"` });
+  }
+  res.json({ ...describeSnapshot(session, snapshot), code: snapshot.code });
+});
+
+// Put a snapshot back into the editor, and evaluate it with { evaluate: true }
+async function restoreSnapshot(req, res, session, index) {
+  const snapshot = session.history[index];
+  const { evaluate = false } = req.body;
+  session.position = index;
+  sendToSession(session, { type: 'set-content', content: snapshot.code });
+  logger.music(`Restored snapshot ${snapshot.id} from ${snapshot.time}`, 'update');
+  
+  let result;
+  if (evaluate) {
+    try {
+      result = await requestFromSession(session, { type: 'evaluate', selection: false }, 15000);
+    } catch (error) {
+      return res.status(408).json({ error: error.message });
+    }
+  }
+  res.json({
+    message: `Restored snapshot ${snapshot.id}`,
+    snapshot: describeSnapshot(session, snapshot),
+    eval: result && { success: result.success, error: result.error, patterns: result.patterns }
+  });
+}
+
+app.post('/api/history/:id/restore', (req, res) => {
+  logger.api('POST', `/api/history/${req.params.id}/restore`);
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  const index = session.history.findIndex(({ id }) => id === Number(req.params.id));
+  if (index === -1) {
+    return res.status(404).json({ error: `No snapshot ${req.params.id} in the history of "${session.name}"` });
+  }
+  restoreSnapshot(req, res, session, index);
+});
+
+// Go back to the snapshot before the one in the editor
+app.post('/api/undo', (req, res) => {
+  logger.api('POST', '/api/undo');
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  if (session.position < 1) {
+    return res.status(409).json({ error: 'Nothing to undo' });
+  }
+  restoreSnapshot(req, res, session, session.position - 1);
+});
+
+// Stream activity as server-sent events, e.g. /api/events?types=eval,transport&session=drums
+app.get('/api/events', (req, res) => {
+  logger.api('GET', '/api/events', 'Event stream subscriber connected');
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const send = (event) => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  const query = { ...req.query, session: req.query.session ?? req.get('X-Strudel-Session') };
+  const lastEventId = req.get('Last-Event-ID');
+  const unsubscribe = subscribe(createSubscriber(query, send), lastEventId !== undefined ? Number(lastEventId) : undefined);
+  
+  // keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// List connected sessions
+app.get('/api/sessions', (req, res) => {
+  res.json({ sessions: listSessions(), count: sessions.size });
 });
 
 // Get recent errors
@@ -349,7 +1220,8 @@ app.get('/api/errors', (req, res) => {
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
-    clients: clients.size,
+    clients: sessions.size,
+    headless: HEADLESS,
     errors: recentErrors.length,
     message: 'Strudel API Server is running'
   });
@@ -362,20 +1234,49 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       'GET /api/health': 'Check server status',
+      'GET /api/sessions': 'List connected browser tabs (pass ?session=<id|name> to any endpoint to target one)',
+      'GET /api/editor/structure': 'List $: / .p() blocks with ranges, mini-notation strings and method chains',
+      'POST /api/editor/block/:id': 'Replace, mute, unmute or solo a block { action, content?, evaluate? }',
+      'GET /api/history': 'List code snapshots (timestamp, source, eval outcome), newest first',
+      'GET /api/history/:id': 'Get a snapshot with its code',
+      'POST /api/history/:id/restore': 'Restore a snapshot { evaluate? }',
+      'POST /api/undo': 'Restore the snapshot before the current one { evaluate? }',
+      'GET /api/events': 'Stream eval results, logs, edits and transport changes as server-sent events (also ws://host:port/events)',
       'GET /api/errors': 'Get recent JavaScript errors',
       'GET /api/editor/content': 'Get editor content',
       'POST /api/editor/content': 'Set editor content',
       'POST /api/editor/append': 'Append content to editor',
       'POST /api/editor/replace': 'Replace text patterns',
-      'POST /api/editor/eval': 'Evaluate code'
+      'GET /api/editor/selection': 'Get cursor position and selection',
+      'POST /api/editor/cursor': 'Move cursor to { offset } or { line, column }',
+      'POST /api/editor/select': 'Select { from, to } range',
+      'POST /api/editor/insert': 'Insert content at position (defaults to cursor)',
+      'POST /api/editor/edit': 'Replace { from, to } range with content',
+      'POST /api/editor/eval': 'Evaluate code and wait for the result { quantize?, crossfade? }',
+      'GET /api/pattern/haps?from=&to=': 'Query haps of the scheduled pattern (cycles, defaults to the next cycle)',
+      'POST /api/validate': 'Evaluate { code } in Node and report errors (headless mode only)',
+      'POST /api/lint': 'Check { code } for mini-notation errors and unknown methods, with suggestions',
+      'POST /api/pattern/haps': 'Evaluate { code } in Node and return haps between { from, to } (headless mode only)',
+      'POST /api/export/midi': 'Render { code } or the session code to a .mid file { cycles, cps?, ppq? } (headless mode only)',
+      'POST /api/export/audio': 'Render the pattern of a browser session to a .wav file { cycles, cps?, sampleRate?, tail? }',
+      'GET /api/transport': 'Get transport status { started, cps, cycle }',
+      'POST /api/transport/start': 'Start playback',
+      'POST /api/transport/stop': 'Stop playback',
+      'POST /api/transport/pause': 'Pause playback',
+      'POST /api/transport/toggle': 'Toggle playback',
+      'POST /api/transport/hush': 'Silence all patterns, keep the clock running',
+      'GET /api/transport/cps': 'Get tempo',
+      'POST /api/transport/cps': 'Set tempo { cps } or { cpm }',
+      'GET /api/metrics?reset=': 'Scheduler timing: query ms, haps per tick, slack ms, late and skipped ticks'
     },
-    websocket: `ws://localhost:${process.env.STRUDEL_API_PORT || 3001}`
+    websocket: `ws://localhost:${process.env.STRUDEL_API_PORT || 3001}`,
+    auth: AUTH ? 'Bearer token required on /api and WebSocket connections' : 'disabled'
   });
 });
 
 const PORT = process.env.STRUDEL_API_PORT || 3001;
 
-server.listen(PORT, () => {
+server.listen(PORT, HOST, () => {
   // Cool startup banner
   const banner = `
  ██████ ██   ██ ██ ███████ ███████      ██████ ██       █████  ██    ██ ██████  ███████ 
@@ -387,10 +1288,24 @@ server.listen(PORT, () => {
   console.log('\n' + gradient(['#ff6b35', '#ff8c42', '#ffa726', '#ffcc80'])(banner));
   console.log(chalk.hex('#ff8c42').italic('                    A sensory and combative experience with claude.'));
   
-  logger.system(`API Server running on http://localhost:${PORT}`);
-  logger.system(`WebSocket server running on ws://localhost:${PORT}`);
+  logger.system(`API Server running on http://${HOST}:${PORT}`);
+  logger.system(`WebSocket server running on ws://${HOST}:${PORT}`);
+  if (AUTH) {
+    logger.info(`API token saved in ${TOKEN_FILE}`);
+    logger.info(`Connect the REPL by opening http://localhost:4321/?apiToken=${TOKEN}`);
+  } else {
+    logger.warning('Authentication is disabled (--no-auth), anything that can reach the server can run code');
+  }
+  if (!['127.0.0.1', 'localhost', '::1'].includes(HOST)) {
+    logger.warning(`Listening on ${HOST}, the API can be reached from other machines`);
+  }
+  logger.info(`Allowed origins: ${ALLOWED_ORIGINS.join(', ') || 'none'}`);
+  if (HEADLESS) {
+    logger.info('Headless mode: code is evaluated in Node while no browser is connected');
+    logger.warning('Code sent to the API runs in a Node worker with the permissions of this server, it is not sandboxed');
+  }
   logger.info('Waiting for browser connections...');
-  logger.info(`Try: curl http://localhost:${PORT}/api/health`);
+  logger.info(`Try: curl ${AUTH ? `-H "Authorization: Bearer $(cat ${TOKEN_FILE})" ` : ''}http://localhost:${PORT}/api/health`);
   
   // Start a spinner to show the server is alive
   const spinner = ora({
@@ -13,13 +13,16 @@ import {
   lineNumbers,
   drawSelection,
 } from '@codemirror/view';
-import { repl, registerControl } from '@strudel/core';
+import { logger, repl, registerControl } from '@strudel/core';
 import { Drawer, cleanupDraw } from '@strudel/draw';
+import { formatMiniStrings } from '@strudel/transpiler';
 import { isAutoCompletionEnabled } from './autocomplete.mjs';
 import { isTooltipEnabled } from './tooltip.mjs';
+import { errorLocationField, showErrorLocation } from './error.mjs';
 import { flash, isFlashEnabled } from './flash.mjs';
 import { highlightMiniLocations, isPatternHighlightingEnabled, updateMiniLocations } from './highlight.mjs';
 import { keybindings } from './keybindings.mjs';
+import { patternLinter } from './lint.mjs';
 import { initTheme, activateTheme, theme } from './themes.mjs';
 import { sliderPlugin, updateSliderWidgets } from './slider.mjs';
 import { widgetPlugin, updateWidgets } from './widget.mjs';
@@ -72,7 +75,7 @@ export const codemirrorSettings = persistentAtom('codemirror-settings', defaultS
 });
 
 // https://codemirror.net/docs/guide/
-export function initEditor({ initialCode = '', onChange, onEvaluate, onStop, root, mondo }) {
+export function initEditor({ initialCode = '', onChange, onEvaluate, onStop, onFormat, root, mondo }) {
   const settings = codemirrorSettings.get();
   const initialSettings = Object.keys(compartments).map((key) =>
     compartments[key].of(extensions[key](parseBooleans(settings[key]))),
@@ -85,7 +88,8 @@ export function initEditor({ initialCode = '', onChange, onEvaluate, onStop, roo
       /* search(),
       highlightSelectionMatches(), */
       ...initialSettings,
-      mondo ? [] : javascript(),
+      mondo ? [] : [javascript(), patternLinter],
+      errorLocationField,
       sliderPlugin,
       widgetPlugin,
       // indentOnInput(), // works without. already brought with javascript extension?
@@ -113,6 +117,11 @@ export function initEditor({ initialCode = '', onChange, onEvaluate, onStop, roo
             preventDefault: true,
             run: () => onStop?.(),
           },
+          {
+            key: 'Shift-Alt-f',
+            preventDefault: true,
+            run: () => onFormat?.(),
+          },
           /* {
           key: 'Ctrl-Shift-.',
           run: () => (onPanic ? onPanic() : onStop?.()),
@@ -168,6 +177,13 @@ export class StrudelMirror {
     this.repl = repl({
       ...replOptions,
       id,
+      onUpdateState: (state) => {
+        if (this.editor && state.error !== this.error) {
+          this.error = state.error;
+          showErrorLocation(this.editor, state.error);
+        }
+        replOptions?.onUpdateState?.(state);
+      },
       onToggle: (started) => {
         replOptions?.onToggle?.(started);
         if (started) {
@@ -219,6 +235,7 @@ export class StrudelMirror {
       },
       onEvaluate: () => this.evaluate(),
       onStop: () => this.stop(),
+      onFormat: () => this.formatPatternStrings(),
       mondo: replOptions.mondo,
     });
     const cmEditor = this.root.querySelector('.cm-editor');
@@ -259,9 +276,10 @@ export class StrudelMirror {
       console.warn('first frame could not be painted');
     }
   }
-  async evaluate() {
+  // options as in repl.evaluate, e.g. { quantize: 4 }
+  async evaluate(options) {
     this.flash();
-    await this.repl.evaluate(this.code);
+    await this.repl.evaluate(this.code, options);
   }
   async stop() {
     this.repl.scheduler.stop();
@@ -358,6 +376,33 @@ export class StrudelMirror {
     this.setCode(this.code + code);
     this.setCursorLocation(cursor);
   }
+  getSelection() {
+    const { from, to, anchor, head } = this.editor.state.selection.main;
+    return { from, to, anchor, head, text: this.editor.state.sliceDoc(from, to) };
+  }
+  setSelection(anchor, head = anchor) {
+    this.editor.dispatch({ selection: { anchor, head }, scrollIntoView: true });
+  }
+  // unlike setCode, this keeps the undo history and scroll position of untouched code intact
+  replaceRange(from, to, insert) {
+    this.editor.dispatch({ changes: { from, to, insert } });
+  }
+  // several [{ from, to, insert }] changes as one undo step, positions refer to the code before the changes
+  replaceRanges(changes) {
+    this.editor.dispatch({ changes });
+  }
+  // normalizes the mini notation strings, without touching the rest of the code
+  formatPatternStrings() {
+    try {
+      const changes = formatMiniStrings(this.code);
+      changes.length && this.replaceRanges(changes);
+      return changes.length;
+    } catch (err) {
+      // the code is no valid javascript
+      logger(`[format] ${err.message}`, 'error');
+      return 0;
+    }
+  }
 }
 
 function parseBooleans(value) {
@@ -0,0 +1,42 @@
+import { StateEffect, StateField } from '@codemirror/state';
+import { Decoration, EditorView } from '@codemirror/view';
+
+const errorLine = Decoration.line({ attributes: { style: 'background-color: rgba(255, 0, 0, .15)' } });
+
+// marks the line and the word where an evaluated error came from, until the code changes
+export const setErrorLocation = StateEffect.define();
+export const errorLocationField = StateField.define({
+  create() {
+    return Decoration.none;
+  },
+  update(marks, tr) {
+    marks = tr.docChanged ? Decoration.none : marks;
+    for (let e of tr.effects) {
+      if (e.is(setErrorLocation)) {
+        marks = e.value ? errorMarks(tr.state.doc, e.value) : Decoration.none;
+      }
+    }
+    return marks;
+  },
+  provide: (f) => EditorView.decorations.from(f),
+});
+
+function errorMarks(doc, { line, column, message }) {
+  if (line < 1 || line > doc.lines) {
+    return Decoration.none;
+  }
+  const { from, to, text } = doc.line(line);
+  const start = Math.min(from + column, to);
+  const word = text.slice(start - from).match(/^[\w$]*/)[0];
+  const end = Math.min(start + Math.max(word.length, 1), to);
+  const mark = Decoration.mark({
+    attributes: { style: 'text-decoration: underline wavy red', title: message },
+  });
+  return Decoration.set(end > start ? [errorLine.range(from), mark.range(start, end)] : [errorLine.range(from)]);
+}
+
+// shows where the error was thrown in the code (see locateError of @strudel/core), or clears it without error
+export const showErrorLocation = (view, error) => {
+  const value = error?.loc && { ...error.loc, message: error.message };
+  view.dispatch({ effects: setErrorLocation.of(value) });
+};
@@ -1,5 +1,7 @@
 export * from './codemirror.mjs';
+export * from './error.mjs';
 export * from './highlight.mjs';
+export * from './lint.mjs';
 export * from './flash.mjs';
 export * from './slider.mjs';
 export * from './themes.mjs';
@@ -0,0 +1,22 @@
+import { linter } from '@codemirror/lint';
+import { getMiniDiagnostics, lintCode } from '@strudel/transpiler';
+
+// squiggles under mini notation that does not parse and unknown pattern methods, quick fixes are offered in the tooltip
+export const patternLinter = linter(
+  (view) => {
+    const code = view.state.doc.toString();
+    return [...getMiniDiagnostics(code), ...lintCode(code)].map(({ from, to, message, severity = 'error', fixes }) => ({
+      from,
+      to,
+      message,
+      severity,
+      actions: fixes.map(({ name, changes }) => ({
+        name,
+        // the diagnostic might have moved with edits since it was made
+        apply: (view, at) =>
+          view.dispatch({ changes: changes.map((c) => ({ ...c, from: c.from + at - from, to: c.to + at - from })) }),
+      })),
+    }));
+  },
+  { delay: 500 },
+);
@@ -6,6 +6,7 @@ This program is free software: you can redistribute it and/or modify it under th
 
 import createClock from './zyklus.mjs';
 import { errorLogger, logger } from './logger.mjs';
+import { SchedulerMetrics } from './metrics.mjs';
 
 export class Cyclist {
   constructor({
@@ -31,6 +32,7 @@ export class Cyclist {
     this.seconds_at_cps_change; // clock phase when cps was changed
     this.onToggle = onToggle;
     this.latency = latency; // fixed trigger time offset
+    this.metrics = new SchedulerMetrics({ name: 'cyclist' });
     this.clock = createClock(
       getTime,
       // called slightly before each cycle
@@ -52,12 +54,15 @@ export class Cyclist {
 
           if (phase < t) {
             // avoid querying haps that are in the past anyway
-            console.log(`skip query: too late`);
+            this.metrics.skip();
             return;
           }
 
           // query the pattern for events
-          const haps = this.pattern.queryArc(begin, end, { _cps: this.cps });
+          const haps = this.metrics.measure(() => this.pattern.queryArc(begin, end, { _cps: this.cps }));
+          const now = getTime();
+          let triggered = 0;
+          let slack;
 
           haps.forEach((hap) => {
             if (hap.hasOnset()) {
@@ -69,15 +74,18 @@ export class Cyclist {
               const deadline = targetTime - phase;
               // this onTrigger has another signature
               onTrigger?.(hap, deadline, duration, this.cps, targetTime);
+              triggered++;
+              slack = Math.min(slack ?? Infinity, targetTime - now);
               if (hap.value.cps !== undefined && this.cps != hap.value.cps) {
                 this.cps = hap.value.cps;
                 this.num_ticks_since_cps_change = 0;
               }
             }
           });
+          this.metrics.tick(triggered, slack);
         } catch (e) {
-          errorLogger(e);
           onError?.(e);
+          errorLogger(e);
         }
       },
       interval, // duration of each cycle
@@ -4,6 +4,8 @@ Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/
 This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
 */
 
+import { originalPosition } from './sourcemap.mjs';
+
 export const strudelScope = {};
 
 export const evalScope = async (...args) => {
@@ -26,18 +28,64 @@ export const evalScope = async (...args) => {
   return modules;
 };
 
+// the evaluated code is named, so its frames can be found in stack traces
+const sourceURL = 'strudel-code.js';
+
 function safeEval(str, options = {}) {
   const { wrapExpression = true, wrapAsync = true } = options;
-  if (wrapExpression) {
-    str = `{${str}}`;
-  }
+  // the code starts on the second line of the function body
+  str = wrapExpression ? `{\n${str}\n}` : `(\n${str}\n)`;
   if (wrapAsync) {
     str = `(async ()=>${str})()`;
   }
-  const body = `"use strict";return (${str})`;
+  const body = `"use strict";return (${str})\n//# sourceURL=${sourceURL}`;
   return Function(body)();
 }
 
+// line and column of the innermost frame of the evaluated code, as the stack trace tells it
+function stackPosition(err) {
+  const match = String(err?.stack).match(/strudel-code\.js:(\d+):(\d+)/);
+  return match && { line: Number(match[1]), column: Number(match[2]) };
+}
+
+// engines put the function body at different lines, so an error on its second line finds out where
+let firstLine;
+function getFirstLine() {
+  if (firstLine === undefined) {
+    try {
+      Function(`"use strict";\nthrow new Error()\n//# sourceURL=${sourceURL}`)();
+    } catch (err) {
+      firstLine = stackPosition(err)?.line ?? null;
+    }
+  }
+  return firstLine;
+}
+
+/**
+ * Finds the place in the user code an error was thrown at, if it came from evaluated code.
+ * The source map is the one of the transpiled code, see the transpiler.
+ * Sets err.loc to { line, column } (like acorn does for syntax errors) and adds the position to the message.
+ * @param {Error} err
+ * @param {object} [sourceMap]
+ * @returns {Error} the same error
+ */
+export function locateError(err, sourceMap) {
+  const position = sourceMap && !err?.loc && stackPosition(err);
+  if (!position || !getFirstLine()) {
+    return err;
+  }
+  const loc = originalPosition(sourceMap, position.line - firstLine + 1, position.column - 1);
+  if (loc) {
+    err.loc = loc;
+    try {
+      err.message += ` (${loc.line}:${loc.column})`;
+    } catch {
+      // some errors, like DOMExceptions, have a read only message
+    }
+  }
+  return err;
+}
+
 export const evaluate = async (code, transpiler, transpilerOptions) => {
   let meta = {};
 
@@ -49,6 +97,11 @@ export const evaluate = async (code, transpiler, transpilerOptions) => {
   }
   // if no transpiler is given, we expect a single instruction (!wrapExpression)
   const options = { wrapExpression: !!transpiler };
-  let evaluated = await safeEval(code, options);
+  let evaluated;
+  try {
+    evaluated = await safeEval(code, options);
+  } catch (err) {
+    throw locateError(err, meta.sourceMap);
+  }
   return { mode: 'javascript', pattern: evaluated, meta };
 };
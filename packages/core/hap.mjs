@@ -152,6 +152,18 @@ export class Hap {
     return `${this.whole == undefined ? '~' : this.whole.show()}: ${stringifyValues(this.value, compact)}`;
   }
 
+  // plain object version of the hap, e.g. for sending it over a websocket
+  serialize() {
+    const span = (timespan) => timespan && { begin: timespan.begin.valueOf(), end: timespan.end.valueOf() };
+    return {
+      whole: span(this.whole),
+      part: span(this.part),
+      value: this.value,
+      onset: this.hasOnset(),
+      patternId: this.context.patternId,
+    };
+  }
+
   combineContext(b) {
     const a = this;
     return { ...a.context, ...b.context, locations: (a.context.locations || []).concat(b.context.locations || []) };
@@ -20,8 +20,12 @@ export * from './timespan.mjs';
 export * from './util.mjs';
 export * from './speak.mjs';
 export * from './evaluate.mjs';
+export * from './sourcemap.mjs';
 export * from './repl.mjs';
 export * from './cyclist.mjs';
+export * from './metrics.mjs';
+export * from './midiclockcyclist.mjs';
+export * from './networkcyclist.mjs';
 export * from './logger.mjs';
 export * from './time.mjs';
 export * from './ui.mjs';
@@ -7,7 +7,7 @@ let debounce = 1000,
 export function errorLogger(e, origin = 'cyclist') {
   //TODO: add some kind of debug flag that enables this  while in dev mode
   // console.error(e);
-  logger(`[${origin}] error: ${e.message}`);
+  logger(`[${origin}] error: ${e.message}`, 'error', { origin });
 }
 
 export function logger(message, type, data = {}) {
@@ -0,0 +1,104 @@
+/*
+metrics.mjs - timing measurements of the scheduler, to find patterns that are too heavy to play in time
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/core/metrics.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { logger } from './logger.mjs';
+
+// late and skipped ticks are logged at most this often, in seconds
+const WARN_INTERVAL = 2;
+
+const round = (x, digits = 2) => (x === undefined ? undefined : Number(x.toFixed(digits)));
+const average = (xs) => (xs.length ? xs.reduce((sum, x) => sum + x, 0) / xs.length : undefined);
+const max = (xs) => (xs.length ? Math.max(...xs) : undefined);
+const min = (xs) => (xs.length ? Math.min(...xs) : undefined);
+
+/**
+ * Collects what happens in each tick of a scheduler: how long the pattern query took, how many haps were triggered,
+ * and the slack of the earliest one (targetTime - now, negative means the hap was due before it could be scheduled).
+ * Ticks with a negative slack are late, ticks that came too late to query at all are skipped.
+ * Keeps the last `size` ticks for the averages, counts since the last reset and warns through the logger.
+ */
+export class SchedulerMetrics {
+  constructor({ name = 'scheduler', size = 200, getTime = () => performance.now() / 1000 } = {}) {
+    this.name = name; // prefix of the log messages
+    this.size = size;
+    this.getTime = getTime; // wall clock, to measure queries and throttle warnings
+    this.reset();
+  }
+  reset() {
+    this.recent = []; // { queryTime, haps, slack } of the last ticks
+    this.ticks = 0;
+    this.late = 0;
+    this.skipped = 0;
+    this.haps = 0;
+    this.since = this.getTime();
+    this.unreported = { late: 0, skipped: 0 };
+    this.lastWarning = -Infinity;
+  }
+  // runs the query of a tick and measures how long it took
+  measure(query) {
+    const begin = this.getTime();
+    const result = query();
+    this.queryTime = this.getTime() - begin;
+    return result;
+  }
+  /**
+   * Records a tick that has been queried with measure
+   * @param {number} haps number of triggered haps
+   * @param {number} [slack] seconds between now and the target time of the earliest triggered hap
+   */
+  tick(haps, slack) {
+    this.ticks++;
+    this.haps += haps;
+    this.recent.push({ queryTime: this.queryTime, haps, slack });
+    this.recent.length > this.size && this.recent.shift();
+    if (slack < 0) {
+      this.late++;
+      this.unreported.late++;
+      this.warn();
+    }
+  }
+  // records a tick that was skipped, because its time had passed already
+  skip() {
+    this.ticks++;
+    this.skipped++;
+    this.unreported.skipped++;
+    this.warn();
+  }
+  warn() {
+    const now = this.getTime();
+    if (now - this.lastWarning < WARN_INTERVAL) {
+      return;
+    }
+    const { late, skipped } = this.unreported;
+    const { queryMs } = this.summary();
+    logger(
+      `[${this.name}] ${late} late and ${skipped} skipped ticks, queries take up to ${queryMs.max ?? 0}ms`,
+      'warning',
+    );
+    this.unreported = { late: 0, skipped: 0 };
+    this.lastWarning = now;
+  }
+  /**
+   * Everything measured so far: counts since the last reset, query time (ms), haps per tick and slack (ms) of the last ticks
+   * @returns {object}
+   */
+  summary() {
+    const queryTimes = this.recent.map((t) => t.queryTime * 1000);
+    const haps = this.recent.map((t) => t.haps);
+    const slacks = this.recent.filter((t) => t.slack !== undefined).map((t) => t.slack * 1000);
+    return {
+      seconds: round(this.getTime() - this.since),
+      ticks: this.ticks,
+      late: this.late,
+      skipped: this.skipped,
+      haps: this.haps,
+      recentTicks: this.recent.length,
+      queryMs: { avg: round(average(queryTimes)), max: round(max(queryTimes)) },
+      hapsPerTick: { avg: round(average(haps)), max: max(haps) },
+      slackMs: { min: round(min(slacks)), avg: round(average(slacks)) },
+    };
+  }
+}
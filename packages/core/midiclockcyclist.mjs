@@ -0,0 +1,189 @@
+/*
+midiclockcyclist.mjs - event scheduler that follows an external MIDI clock instead of running its own. see cyclist.mjs for the free running one.
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/core/midiclockcyclist.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { errorLogger, logger } from './logger.mjs';
+import { ClockCollator } from './util.mjs';
+import { SchedulerMetrics } from './metrics.mjs';
+
+const PULSES_PER_QUARTER = 24;
+// the song position pointer counts sixteenth notes
+const PULSES_PER_SIXTEENTH = 6;
+// longer gaps between pulses mean the clock was stopped, they say nothing about the tempo
+const MAX_PULSE_INTERVAL = 0.5;
+
+export const midiClockMessages = {
+  clock: 0xf8,
+  start: 0xfa,
+  continue: 0xfb,
+  stop: 0xfc,
+  songPosition: 0xf2,
+};
+
+/**
+ * Scheduler that takes cps and phase from 24 ppqn MIDI clock and start / stop / continue / song position messages.
+ * Feed it the raw messages of an input with receive(data, timestamp), e.g. with midiClockScheduler from @strudel/midi.
+ * start() only arms it: haps play while it is started and the external transport is running.
+ * A cycle lasts beatsPerCycle quarter notes, so the first beat of a bar is the start of a cycle.
+ */
+export class MidiClockCyclist {
+  constructor({
+    onTrigger,
+    onToggle,
+    onError,
+    getTime,
+    latency = 0.1,
+    beforeStart,
+    beatsPerCycle = 4,
+    smoothing = 24,
+  }) {
+    this.started = false;
+    this.running = false; // transport state of the clock source
+    this.beforeStart = beforeStart;
+    this.cps = 0.5;
+    this.getTime = getTime; // get absolute time
+    this.onToggle = onToggle;
+    this.onTrigger = onTrigger;
+    this.onError = onError;
+    this.latency = latency; // how far ahead of the clock haps are scheduled
+    this.pulsesPerCycle = PULSES_PER_QUARTER * beatsPerCycle;
+    this.smoothing = smoothing; // number of pulse intervals the tempo is averaged over
+    this.intervals = [];
+    this.pulse = -1; // song position of the last clock pulse
+    this.lastPulseTime = undefined; // absolute time of the last clock pulse
+    this.lastEnd = 0; // query end of last pulse
+    // message timestamps come from another clock than getTime (e.g. performance.now vs the audio context)
+    this.collator = new ClockCollator({ getTargetClockTime: getTime });
+    this.metrics = new SchedulerMetrics({ name: 'midiclock' });
+  }
+  /**
+   * Handles a MIDI message.
+   * @param {number[]|Uint8Array} data raw bytes of the message
+   * @param {number} [timestamp] when the message was received, in seconds. defaults to getTime()
+   */
+  receive(data, timestamp) {
+    const time = timestamp === undefined ? this.getTime() : this.collator.calculateOffset(timestamp) + timestamp;
+    switch (data[0]) {
+      case midiClockMessages.clock:
+        return this.tick(time);
+      case midiClockMessages.start:
+        // the next pulse is the first one of the song
+        this.moveTo(0);
+        return this.setRunning(true);
+      case midiClockMessages.continue:
+        return this.setRunning(true);
+      case midiClockMessages.stop:
+        return this.setRunning(false);
+      case midiClockMessages.songPosition:
+        return this.moveTo((data[1] | (data[2] << 7)) * PULSES_PER_SIXTEENTH);
+    }
+  }
+  // sets the song position of the next pulse
+  moveTo(pulse) {
+    this.pulse = pulse - 1;
+    this.lastEnd = pulse / this.pulsesPerCycle;
+  }
+  setRunning(running) {
+    if (this.running !== running) {
+      logger(`[midiclock] ${running ? 'running' : 'stopped'} at cycle ${this.now().toFixed(2)}`);
+    }
+    this.running = running;
+  }
+  updateTempo(time) {
+    const interval = time - this.lastPulseTime;
+    this.lastPulseTime = time;
+    if (!(interval > 0 && interval < MAX_PULSE_INTERVAL)) {
+      return;
+    }
+    this.intervals.push(interval);
+    if (this.intervals.length > this.smoothing) {
+      this.intervals.shift();
+    }
+    const secondsPerPulse = this.intervals.reduce((sum, i) => sum + i, 0) / this.intervals.length;
+    this.cps = 1 / (secondsPerPulse * this.pulsesPerCycle);
+  }
+  tick(time) {
+    // the tempo is followed while stopped too, so it is known on start
+    this.updateTempo(time);
+    if (!this.running) {
+      return;
+    }
+    this.pulse++;
+    const cycle = this.pulse / this.pulsesPerCycle;
+    // everything until the next pulse, plus the latency
+    const begin = this.lastEnd;
+    const end = cycle + (1 / this.pulsesPerCycle + this.latency) * this.cps;
+    if (end <= begin) {
+      // the tempo dropped, the range is already scheduled
+      return;
+    }
+    this.lastEnd = end;
+    if (!this.started) {
+      return;
+    }
+    try {
+      const haps = this.metrics.measure(() => this.pattern.queryArc(begin, end, { _cps: this.cps }));
+      const now = this.getTime();
+      let triggered = 0;
+      let slack;
+      haps.forEach((hap) => {
+        if (hap.hasOnset()) {
+          // haps that should have started already (e.g. right after start) are played as soon as possible
+          const targetTime = Math.max(now, time + (hap.whole.begin - cycle) / this.cps);
+          const duration = hap.duration / this.cps;
+          this.onTrigger?.(hap, targetTime - now, duration, this.cps, targetTime);
+          triggered++;
+          slack = Math.min(slack ?? Infinity, targetTime - now);
+        }
+      });
+      this.metrics.tick(triggered, slack);
+    } catch (e) {
+      errorLogger(e);
+      this.onError?.(e);
+    }
+  }
+  now() {
+    if (this.lastPulseTime === undefined) {
+      return 0;
+    }
+    const cycle = Math.max(0, this.pulse / this.pulsesPerCycle);
+    if (!this.running) {
+      return cycle;
+    }
+    // don't run ahead more than one pulse if the clock stalls
+    const secondsSincePulse = Math.min(this.getTime() - this.lastPulseTime, 1 / (this.cps * this.pulsesPerCycle));
+    return cycle + Math.max(0, secondsSincePulse) * this.cps;
+  }
+  setStarted(v) {
+    this.started = v;
+    this.onToggle?.(v);
+  }
+  async start() {
+    await this.beforeStart?.();
+    if (!this.pattern) {
+      throw new Error('Scheduler: no pattern set! call .setPattern first.');
+    }
+    logger(`[midiclock] start${this.running ? '' : ', waiting for the MIDI clock to start'}`);
+    this.setStarted(true);
+  }
+  pause() {
+    logger('[midiclock] pause');
+    this.setStarted(false);
+  }
+  stop() {
+    logger('[midiclock] stop');
+    this.setStarted(false);
+  }
+  async setPattern(pat, autostart = false) {
+    this.pattern = pat;
+    if (autostart && !this.started) {
+      await this.start();
+    }
+  }
+  setCps() {
+    // the tempo comes from the clock
+    logger('[midiclock] setcps is ignored while following a MIDI clock', 'warning');
+  }
+}
@@ -6,6 +6,7 @@ This program is free software: you can redistribute it and/or modify it under th
 
 import { logger } from './logger.mjs';
 import { ClockCollator, cycleToSeconds } from './util.mjs';
+import { SchedulerMetrics } from './metrics.mjs';
 
 export class NeoCyclist {
   constructor({ onTrigger, onToggle, getTime }) {
@@ -20,6 +21,7 @@ export class NeoCyclist {
     this.collator = new ClockCollator({ getTargetClockTime: getTime });
     this.onToggle = onToggle;
     this.latency = 0.1; // fixed trigger time offset
+    this.metrics = new SchedulerMetrics({ name: 'neocyclist' });
     this.cycle = 0;
     this.id = Math.round(Date.now() * Math.random());
     this.worker = new SharedWorker(new URL('./clockworker.js', import.meta.url));
@@ -39,15 +41,21 @@ export class NeoCyclist {
         return;
       }
 
-      const haps = this.pattern.queryArc(begin, end, { _cps: this.cps });
+      const haps = this.metrics.measure(() => this.pattern.queryArc(begin, end, { _cps: this.cps }));
+      const now = getTime();
+      let triggered = 0;
+      let slack;
       haps.forEach((hap) => {
         if (hap.hasOnset()) {
           const timeUntilTrigger = cycleToSeconds(hap.whole.begin - this.cycle, this.cps);
           const targetTime = timeUntilTrigger + currentTime + this.latency;
           const duration = cycleToSeconds(hap.duration, this.cps);
           onTrigger?.(hap, 0, duration, this.cps, targetTime);
+          triggered++;
+          slack = Math.min(slack ?? Infinity, targetTime - now);
         }
       });
+      this.metrics.tick(triggered, slack);
     };
 
     // receive messages from worker clock and process them
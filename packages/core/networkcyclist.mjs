@@ -0,0 +1,236 @@
+/*
+networkcyclist.mjs - event scheduler like cyclist, except that tempo and cycle phase come from a sync server, so instances on different machines play in time.
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/core/networkcyclist.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import createClock from './zyklus.mjs';
+import { errorLogger, logger } from './logger.mjs';
+import { ClockCollator } from './util.mjs';
+import { SchedulerMetrics } from './metrics.mjs';
+
+// timeline changes smaller than this (in cycles) are clock jitter, bigger ones move the start to the next quantum
+const JUMP_TOLERANCE = 0.01;
+
+/**
+ * Scheduler that joins the timeline of a sync server (see sync-server.mjs) over WebSocket.
+ * The server owns one timeline (cps, and the cycle at a point of its clock) that all peers share, like Ableton Link.
+ * Peers estimate the offset to the server clock from ping round trips, smoothed by a ClockCollator,
+ * and start on the next multiple of `quantum` cycles, so they are in phase with the ones already playing.
+ * Until the server answers, it runs on a local timeline.
+ */
+export class NetworkCyclist {
+  constructor({
+    url,
+    onTrigger,
+    onToggle,
+    onError,
+    getTime,
+    latency = 0.1,
+    quantum = 1,
+    interval = 0.05,
+    pingInterval = 1,
+    setInterval = globalThis.setInterval,
+    clearInterval = globalThis.clearInterval,
+    beforeStart,
+    WebSocket = globalThis.WebSocket,
+  }) {
+    this.url = url;
+    this.started = false;
+    this.beforeStart = beforeStart;
+    this.getTime = getTime; // get absolute time
+    this.onToggle = onToggle;
+    this.latency = latency; // how far ahead haps are scheduled
+    this.quantum = quantum; // cycles to align the start to
+    this.timeline = { cps: 0.5, cycle: 0, time: 0 }; // cycle at time of the server clock
+    this.offset = getTime(); // local time - server time
+    this.synced = { offset: false, timeline: false }; // what the server has told already
+    this.lastEnd = 0; // query end of last tick
+    this.WebSocket = WebSocket;
+    this.setInterval = setInterval;
+    this.clearInterval = clearInterval;
+    this.pingInterval = pingInterval;
+    this.collator = new ClockCollator({ getTargetClockTime: getTime });
+    this.metrics = new SchedulerMetrics({ name: 'sync' });
+    this.clock = createClock(
+      getTime,
+      (phase, duration, _, t) => {
+        try {
+          // haps that should have started already are skipped
+          const begin = Math.max(this.lastEnd, this.cycleAt(t));
+          const end = this.cycleAt(phase + duration + this.latency);
+          if (end <= begin) {
+            return;
+          }
+          this.lastEnd = end;
+          const haps = this.metrics.measure(() => this.pattern.queryArc(begin, end, { _cps: this.cps }));
+          const now = getTime();
+          let triggered = 0;
+          let slack;
+          haps.forEach((hap) => {
+            if (hap.hasOnset()) {
+              const targetTime = this.timeAt(hap.whole.begin);
+              const duration = hap.duration / this.cps;
+              onTrigger?.(hap, targetTime - phase, duration, this.cps, targetTime);
+              triggered++;
+              slack = Math.min(slack ?? Infinity, targetTime - now);
+              if (hap.value.cps !== undefined && this.cps != hap.value.cps) {
+                this.setCps(hap.value.cps);
+              }
+            }
+          });
+          this.metrics.tick(triggered, slack);
+        } catch (e) {
+          onError?.(e);
+          errorLogger(e);
+        }
+      },
+      interval,
+      0.1,
+      0.1,
+      setInterval,
+      clearInterval,
+    );
+    url && this.connect();
+  }
+  get isSynced() {
+    return this.synced.offset && this.synced.timeline;
+  }
+  get cps() {
+    return this.timeline.cps;
+  }
+  // cycle of the shared timeline at the given local time
+  cycleAt(time) {
+    const { cps, cycle, time: anchor } = this.timeline;
+    return cycle + (time - this.offset - anchor) * cps;
+  }
+  // local time of the given cycle of the shared timeline
+  timeAt(cycle) {
+    const { cps, cycle: anchor, time } = this.timeline;
+    return (cycle - anchor) / cps + time + this.offset;
+  }
+  // the first cycle that is a multiple of quantum and can still be scheduled in time
+  nextStart() {
+    const cycle = this.cycleAt(this.getTime() + this.latency);
+    return Math.ceil(cycle / this.quantum) * this.quantum;
+  }
+  connect() {
+    const socket = new this.WebSocket(this.url);
+    this.socket = socket;
+    socket.onopen = () => {
+      logger(`[sync] connected to ${this.url}`);
+      this.ping();
+      this.pinger = this.setInterval(() => this.ping(), this.pingInterval * 1000);
+    };
+    socket.onmessage = (e) => {
+      try {
+        this.receive(JSON.parse(e.data));
+      } catch (err) {
+        errorLogger(err, 'sync');
+      }
+    };
+    socket.onclose = () => {
+      this.pinger !== undefined && this.clearInterval(this.pinger);
+      this.pinger = undefined;
+      if (this.socket !== socket) {
+        return;
+      }
+      // keep playing on the last known timeline and try again
+      logger(`[sync] lost connection to ${this.url}, retrying..`, 'warning');
+      this.reconnect = setTimeout(() => this.connect(), 2000);
+    };
+  }
+  disconnect() {
+    clearTimeout(this.reconnect);
+    const { socket } = this;
+    this.socket = undefined;
+    socket?.close();
+  }
+  ping() {
+    this.send({ type: 'ping', id: this.getTime() });
+  }
+  send(message) {
+    this.socket?.readyState === this.WebSocket.OPEN && this.socket.send(JSON.stringify(message));
+  }
+  receive(message) {
+    switch (message.type) {
+      case 'pong': {
+        const now = this.getTime();
+        // assume the answer took half of the round trip
+        const serverTime = message.time + (now - message.id) / 2;
+        this.moveTimeline('offset', () => {
+          this.offset = this.collator.calculateOffset(serverTime);
+        });
+        break;
+      }
+      case 'timeline': {
+        const { cps, cycle, time, peers } = message;
+        this.moveTimeline('timeline', () => {
+          this.timeline = { cps, cycle, time };
+        });
+        if (peers !== this.peers) {
+          logger(`[sync] ${peers} peer${peers === 1 ? '' : 's'} connected`);
+          this.peers = peers;
+        }
+        break;
+      }
+    }
+  }
+  // applies news about the timeline or clock offset, a playing instance moves to the next quantum if the phase jumped
+  moveTimeline(key, change) {
+    const time = this.getTime();
+    const before = this.cycleAt(time);
+    change();
+    this.synced[key] = true;
+    const jumped = Math.abs(this.cycleAt(time) - before) > JUMP_TOLERANCE;
+    if (this.started && jumped) {
+      this.lastEnd = this.nextStart();
+      logger(`[sync] joined the shared timeline at cycle ${this.lastEnd}`);
+    }
+  }
+  now() {
+    if (!this.started) {
+      return 0;
+    }
+    return this.cycleAt(this.getTime());
+  }
+  setStarted(v) {
+    this.started = v;
+    this.onToggle?.(v);
+  }
+  async start() {
+    await this.beforeStart?.();
+    if (!this.pattern) {
+      throw new Error('Scheduler: no pattern set! call .setPattern first.');
+    }
+    this.lastEnd = this.nextStart();
+    logger(`[sync] start at cycle ${this.lastEnd}${this.isSynced ? '' : ' (not synced yet)'}`);
+    this.clock.start();
+    this.setStarted(true);
+  }
+  pause() {
+    logger('[sync] pause');
+    this.clock.pause();
+    this.setStarted(false);
+  }
+  stop() {
+    logger('[sync] stop');
+    this.clock.stop();
+    this.setStarted(false);
+  }
+  async setPattern(pat, autostart = false) {
+    this.pattern = pat;
+    if (autostart && !this.started) {
+      await this.start();
+    }
+  }
+  // changes the tempo for all peers, the phase stays where it is
+  setCps(cps = 0.5) {
+    if (this.cps === cps) {
+      return;
+    }
+    const time = this.getTime() - this.offset;
+    this.timeline = { cps, cycle: this.cycleAt(this.getTime()), time };
+    this.send({ type: 'cps', cps });
+  }
+}
@@ -1,10 +1,110 @@
 import { NeoCyclist } from './neocyclist.mjs';
 import { Cyclist } from './cyclist.mjs';
-import { evaluate as _evaluate } from './evaluate.mjs';
+import { evaluate as _evaluate, locateError } from './evaluate.mjs';
 import { errorLogger, logger } from './logger.mjs';
 import { setTime } from './time.mjs';
 import { evalScope } from './evaluate.mjs';
 import { register, Pattern, isPattern, silence, stack } from './pattern.mjs';
+import Fraction from './fraction.mjs';
+import TimeSpan from './timespan.mjs';
+import { getSeed, setSeed, timeToRand } from './signal.mjs';
+
+function assertPattern(evaluated) {
+  if (!isPattern(evaluated)) {
+    const message = `got "${typeof evaluated}" instead of pattern`;
+    throw new Error(message + (typeof evaluated === 'function' ? ', did you forget to call a function?' : '.'));
+  }
+}
+
+// plays from until the given cycle, to from then on
+function switchAt(from, to, cycle) {
+  const at = Fraction(cycle);
+  return new Pattern((state) => {
+    const { begin, end } = state.span;
+    if (end.lte(at)) {
+      return from.query(state);
+    }
+    if (begin.gte(at)) {
+      return to.query(state);
+    }
+    return from.query(state.setSpan(new TimeSpan(begin, at))).concat(to.query(state.setSpan(new TimeSpan(at, end))));
+  });
+}
+
+// numeric controls (by their main names) that glide from the old to the new value during a crossfade
+const crossfadeControls = [
+  'gain',
+  'velocity',
+  'postgain',
+  'cutoff',
+  'resonance',
+  'hcutoff',
+  'hresonance',
+  'bandf',
+  'bandq',
+  'pan',
+  'room',
+  'size',
+  'roomsize',
+  'delay',
+  'delaytime',
+  'delayfeedback',
+  'shape',
+  'distort',
+];
+
+// moves the value of hap towards the one other plays at its onset, by amount
+function blendControls(hap, other, amount, state) {
+  if (typeof hap.value !== 'object') {
+    return hap;
+  }
+  const at = hap.wholeOrPart().begin;
+  const others = other.query(state.setSpan(new TimeSpan(at, at))).map((o) => o.value);
+  const value = { ...hap.value };
+  crossfadeControls.forEach((key) => {
+    const target = others.find((o) => typeof o?.[key] === 'number')?.[key];
+    if (typeof value[key] === 'number' && target !== undefined) {
+      value[key] += (target - value[key]) * amount;
+    }
+  });
+  return hap.withValue(() => value);
+}
+
+// plays from until begin and to from end, in between each hap of either side plays with the chance of its side
+// (to gets more likely the further the crossfade is), with its controls moved towards the ones of the other side
+function crossfadeBetween(from, to, begin, end) {
+  const start = Fraction(begin);
+  const progress = (hap) => Math.min(1, Math.max(0, (hap.wholeOrPart().begin.valueOf() - begin) / (end - begin)));
+  // the same hap is kept or dropped in every query
+  const chance = (hap) => timeToRand(hap.wholeOrPart().begin.valueOf());
+  const fading = new Pattern((state) => {
+    const olds = from
+      .query(state)
+      .filter((hap) => chance(hap) >= progress(hap))
+      .map((hap) => blendControls(hap, to, progress(hap), state));
+    const news = to
+      .query(state)
+      .filter((hap) => chance(hap) < progress(hap))
+      .map((hap) => blendControls(hap, from, 1 - progress(hap), state));
+    return olds.concat(news);
+  });
+  return switchAt(switchAt(from, fading, start), to, end);
+}
+
+// a copy of pat with the options of launch / crossfade, for .p() or evaluate to read
+function withLaunchOptions(pat, options) {
+  return Object.assign(new Pattern(pat.query), pat, options);
+}
+
+// methods injectPatternMethods adds to patterns, they only exist once a repl has evaluated code
+export const replPatternMethods = [
+  'p',
+  'q',
+  'launch',
+  'crossfade',
+  'cpm',
+  ...[1, 2, 3, 4, 5, 6, 7, 8, 9].flatMap((i) => [`d${i}`, `p${i}`, `q${i}`]),
+];
 
 export function repl({
   defaultOutput,
@@ -18,10 +118,13 @@ export function repl({
   editPattern,
   onUpdateState,
   sync = false,
+  createScheduler,
   setInterval,
   clearInterval,
   id,
   mondo = false,
+  quantize = 0,
+  crossfade = 0,
 }) {
   const state = {
     schedulerError: undefined,
@@ -31,8 +134,10 @@ export function repl({
     pattern: undefined,
     miniLocations: [],
     widgets: [],
+    patternIds: [],
     pending: false,
     started: false,
+    launchCycle: undefined,
   };
 
   const transpilerOptions = {
@@ -46,8 +151,19 @@ export function repl({
     onUpdateState?.(state);
   };
 
+  // source map of the code that is playing, to locate errors while scheduling
+  let sourceMap;
+  const onSchedulerError = (err) => {
+    locateError(err, sourceMap);
+    // the same error tends to be thrown on every tick
+    if (err.message !== state.schedulerError?.message) {
+      updateState({ schedulerError: err });
+    }
+  };
+
   const schedulerOptions = {
-    onTrigger: getTrigger({ defaultOutput, getTime }),
+    onTrigger: getTrigger({ defaultOutput, getTime, onError: onSchedulerError }),
+    onError: onSchedulerError,
     getTime,
     onToggle: (started) => {
       updateState({ started });
@@ -58,9 +174,11 @@ export function repl({
     beforeStart,
   };
 
+  // createScheduler can swap in another clock source, e.g. midiClockScheduler from @strudel/midi
   // NeoCyclist uses a shared worker to communicate between instances, which is not supported on mobile chrome
   const scheduler =
-    sync && typeof SharedWorker != 'undefined' ? new NeoCyclist(schedulerOptions) : new Cyclist(schedulerOptions);
+    createScheduler?.(schedulerOptions) ??
+    (sync && typeof SharedWorker != 'undefined' ? new NeoCyclist(schedulerOptions) : new Cyclist(schedulerOptions));
   let pPatterns = {};
   let anonymousIndex = 0;
   let allTransform;
@@ -77,15 +195,71 @@ export function repl({
   const setPattern = async (pattern, autostart = true) => {
     pattern = editPattern?.(pattern) || pattern;
     await scheduler.setPattern(pattern, autostart);
+    updateState({ pattern });
     return pattern;
   };
   setTime(() => scheduler.now()); // TODO: refactor?
 
-  const stop = () => scheduler.stop();
+  // the clock starts over from 0 after stopping, where switches and crossfades still ahead would play the old versions
+  // again, so the blocks settle on their new patterns
+  const stop = () => {
+    scheduler.stop();
+    const pending = Object.values(launched).some(({ pattern, playing }) => pattern !== playing);
+    launched = Object.fromEntries(
+      Object.entries(launched).map(([id, { pattern }]) => [id, { pattern, playing: pattern, cycle: 0 }]),
+    );
+    if (pending && settled) {
+      setPattern(settled, false);
+    }
+    updateState({ launchCycle: undefined });
+  };
   const start = () => scheduler.start();
   const pause = () => scheduler.pause();
-  const toggle = () => scheduler.toggle();
+  const toggle = () => (scheduler.started ? stop() : start());
   const setCps = (cps) => scheduler.setCps(cps);
+  // cycles to wait for on evaluation, see launchBlocks
+  const setQuantize = (cycles = 0) => {
+    quantize = cycles;
+  };
+  // cycles to crossfade over on evaluation, see launchBlocks
+  const setCrossfade = (cycles = 0) => {
+    crossfade = cycles;
+  };
+
+  // what plays per block id ('' for code without blocks): { pattern, playing, cycle }
+  // playing switches (or crossfades) from the previous pattern to pattern until cycle
+  let launched = {};
+  // the launched patterns once every block has switched, with the all() transforms
+  let settled;
+  // Switches each block from what it plays now to its new pattern on the next multiple of its launch quantization
+  // (.launch(cycles) of the block, or options.quantize), crossfading over .crossfade(cycles) of the block or
+  // options.crossfade while playing. Returns what to keep in launched once the evaluation succeeded,
+  // the patterns to stack and the last switch still ahead
+  const launchBlocks = (blocks, options) => {
+    // haps until lastEnd are scheduled already
+    const scheduled = Math.max(scheduler.now(), scheduler.lastEnd ?? 0);
+    const boundary = (q) => (scheduler.started && q > 0 ? Math.ceil(scheduled / q) * q : 0);
+    const ids = new Set([...Object.keys(launched), ...Object.keys(blocks)]);
+    let launchCycle;
+    const next = Object.fromEntries(
+      [...ids].flatMap((id) => {
+        const { pattern = silence, quantize = options.quantize, crossfade = options.crossfade } = blocks[id] ?? {};
+        const begin = Math.max(boundary(quantize), scheduled);
+        const fade = scheduler.started && crossfade > 0 ? crossfade : 0;
+        const cycle = begin + fade;
+        const previous = launched[id];
+        if (cycle <= scheduled) {
+          // right away, stopped blocks are gone
+          return blocks[id] ? [[id, { pattern, playing: pattern, cycle }]] : [];
+        }
+        const from = !previous ? silence : scheduled >= previous.cycle ? previous.pattern : previous.playing;
+        const playing = fade ? crossfadeBetween(from, pattern, begin, cycle) : switchAt(from, pattern, cycle);
+        launchCycle = Math.max(launchCycle ?? cycle, cycle);
+        return [[id, { pattern, playing, cycle }]];
+      }),
+    );
+    return { launched: next, patterns: Object.values(next).map(({ playing }) => playing), launchCycle };
+  };
 
   /**
    * Changes the global tempo to the given cycles per minute
@@ -146,6 +320,34 @@ export function repl({
       pPatterns[id] = this;
       return this;
     };
+    /**
+     * Waits with the new version of a block until the next multiple of the given cycles when it is evaluated,
+     * the previous version keeps playing until then. Overrides the launch quantization of the REPL, 0 switches right away.
+     * It belongs to the pattern it is called on, so put it at the end of the block: methods called after it leave it out.
+     * @name launch
+     * @param {number} cycles
+     * @example
+     * $: s("bd*4").launch(4)
+     * $: s("hh*8").launch(1)
+     */
+    Pattern.prototype.launch = function (cycles) {
+      return withLaunchOptions(this, { _launch: cycles });
+    };
+    /**
+     * Crossfades from the previous version of a block to the new one over the given cycles when it is evaluated while playing.
+     * In between, the haps of both versions are interleaved by chance, the new ones getting more likely as the crossfade goes on,
+     * and controls like gain, cutoff or pan glide from the old values to the new ones.
+     * The crossfade starts on the launch quantization (see launch). Overrides the crossfade of the REPL, 0 switches.
+     * Like launch, put it at the end of the block.
+     * @name crossfade
+     * @param {number} cycles
+     * @example
+     * $: s("bd*4").lpf(800).crossfade(8)
+     * $: s("hh*8").gain(.5).launch(4).crossfade(4)
+     */
+    Pattern.prototype.crossfade = function (cycles) {
+      return withLaunchOptions(this, { _crossfade: cycles });
+    };
     Pattern.prototype.q = function (id) {
       return silence;
     };
@@ -187,63 +389,118 @@ export function repl({
     if (!code) {
       throw new Error('no code to evaluate');
     }
+    let launchOptions = { quantize, crossfade };
+    if (typeof autostart === 'object') {
+      // evaluate(code, { autostart, shouldHush, quantize, crossfade })
+      const { quantize: q = quantize, crossfade: c = crossfade } = autostart;
+      launchOptions = { quantize: q, crossfade: c };
+      ({ autostart = true, shouldHush = true } = autostart);
+    }
+    const previousSeed = getSeed();
     try {
       updateState({ code, pending: true });
       await injectPatternMethods();
       setTime(() => scheduler.now()); // TODO: refactor?
       await beforeEval?.({ code });
       allTransforms = []; // reset all transforms
+      setSeed(); // code without setSeed gets the default seed
       shouldHush && hush();
 
       if (mondo) {
         code = `mondolang\`${code}\``;
       }
       let { pattern, meta } = await _evaluate(code, transpiler, transpilerOptions);
+      // the patterns keep the seed their code set, whatever is evaluated later, here or in other repls
+      const codeSeed = getSeed();
+      setSeed(previousSeed);
+      const seeded = (pat) => pat._seed(codeSeed);
+      let blocks;
       if (Object.keys(pPatterns).length) {
-        let patterns = Object.values(pPatterns);
-        if (eachTransform) {
-          // Explicit lambda so only element (not index and array) are passed
-          patterns = patterns.map((x) => eachTransform(x));
-        }
-        pattern = stack(...patterns);
-      } else if (eachTransform) {
-        pattern = eachTransform(pattern);
+        // tag haps with the id of their pattern, so they can be told apart after stacking
+        blocks = Object.fromEntries(
+          Object.entries(pPatterns).map(([id, pat]) => {
+            let block = pat.withContext((context) => ({ ...context, patternId: id }));
+            if (eachTransform) {
+              block = eachTransform(block);
+            }
+            return [id, { pattern: block, quantize: pat._launch, crossfade: pat._crossfade }];
+          }),
+        );
+      } else {
+        blocks = {
+          '': {
+            pattern: eachTransform ? eachTransform(pattern) : pattern,
+            quantize: pattern?._launch,
+            crossfade: pattern?._crossfade,
+          },
+        };
       }
-      if (allTransforms.length) {
+      // before launching, so a broken evaluation does not replace what is playing
+      Object.values(blocks).forEach((block) => {
+        assertPattern(block.pattern);
+        block.pattern = seeded(block.pattern);
+      });
+      const { launched: next, patterns, launchCycle } = launchBlocks(blocks, launchOptions);
+      const combine = (patterns) => {
+        let pattern = patterns.length === 1 ? patterns[0] : stack(...patterns);
         for (let i in allTransforms) {
           pattern = allTransforms[i](pattern);
         }
-      }
-      if (!isPattern(pattern)) {
-        const message = `got "${typeof evaluated}" instead of pattern`;
-        throw new Error(message + (typeof evaluated === 'function' ? ', did you forget to call a function?' : '.'));
-      }
+        return pattern;
+      };
+      pattern = combine(patterns);
+      assertPattern(pattern);
+      // the all() transforms are seeded too, the blocks keep their own seeds
+      pattern = seeded(pattern);
+      const nextSettled =
+        launchCycle === undefined ? undefined : seeded(combine(Object.values(next).map((block) => block.pattern)));
       logger(`[eval] code updated`);
+      sourceMap = meta?.sourceMap;
       pattern = await setPattern(pattern, autostart);
+      // only now the new blocks are playing, a failed evaluation keeps the previous ones
+      launched = next;
+      settled = nextSettled;
       updateState({
         miniLocations: meta?.miniLocations || [],
         widgets: meta?.widgets || [],
+        patternIds: Object.keys(pPatterns),
         activeCode: code,
         pattern,
         evalError: undefined,
         schedulerError: undefined,
         pending: false,
+        launchCycle,
       });
       afterEval?.({ code, pattern, meta });
       return pattern;
     } catch (err) {
       logger(`[eval] error: ${err.message}`, 'error');
       console.error(err);
+      // setSeed of the failed code must not stay
+      setSeed(previousSeed);
       updateState({ evalError: err, pending: false });
       onEvalError?.(err);
     }
   };
   const setCode = (code) => updateState({ code });
-  return { scheduler, evaluate, start, stop, pause, setCps, setPattern, setCode, toggle, state };
+  return {
+    scheduler,
+    evaluate,
+    start,
+    stop,
+    pause,
+    setCps,
+    setQuantize,
+    setCrossfade,
+    setPattern,
+    setCode,
+    toggle,
+    state,
+  };
 }
 
 export const getTrigger =
-  ({ getTime, defaultOutput }) =>
+  ({ getTime, defaultOutput, onError }) =>
   async (hap, deadline, duration, cps, t) => {
     //   ^ this signature is different from hap.context.onTrigger, as set by Pattern.onTrigger(onTrigger)
     // TODO: get rid of deadline after https://codeberg.org/uzu/strudel/pulls/1004
@@ -256,6 +513,8 @@ export const getTrigger =
         await hap.context.onTrigger(hap, getTime(), cps, t);
       }
     } catch (err) {
+      // before logging, onError might add the position in the user code to the message
+      onError?.(err);
       errorLogger(err, 'getTrigger');
     }
   };
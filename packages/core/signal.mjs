@@ -197,11 +197,15 @@ const xorwise = (x) => {
 // stretch 300 cycles over the range of [0,2**29 == 536870912) then apply the xorshift algorithm
 const _frac = (x) => x - Math.trunc(x);
 
-const timeToIntSeed = (x) => xorwise(Math.trunc(_frac(x / 300) * 536870912));
+// a seed moves to another point of the 300 cycles (by the golden ratio, so seeds don't repeat),
+// seed 0 leaves the time as it is, so unseeded patterns keep their random sequences
+const seedTime = (x, seed) => (seed ? Number(x) + _frac(seed * 0.6180339887498949) * 300 : x);
+
+const timeToIntSeed = (x, seed = 0) => xorwise(Math.trunc(_frac(seedTime(x, seed) / 300) * 536870912));
 
 const intSeedToRand = (x) => (x % 536870912) / 536870912;
 
-const timeToRand = (x) => Math.abs(intSeedToRand(timeToIntSeed(x)));
+export const timeToRand = (x, seed) => Math.abs(intSeedToRand(timeToIntSeed(x, seed)));
 
 const timeToRandsPrime = (seed, n) => {
   const result = [];
@@ -213,7 +217,52 @@ const timeToRandsPrime = (seed, n) => {
   return result;
 };
 
-const timeToRands = (t, n) => timeToRandsPrime(timeToIntSeed(t), n);
+const timeToRands = (t, n, seed) => timeToRandsPrime(timeToIntSeed(t, seed), n);
+
+let globalSeed = 0;
+
+/**
+ * Sets the seed of all random functions (rand, perlin, choose, degradeBy, shuffle, sometimesBy..) for patterns without their own `seed`.
+ * Each seed gives another random sequence, which is the same every time it plays. 0 is the default, and every evaluation starts with it.
+ * The patterns of the code keep the seed it set, later evaluations don't change them.
+ *
+ * @name setSeed
+ * @param {number} n the seed
+ * @example
+ * setSeed(42)
+ * s("hh*8").degradeBy(.5).pan(rand)
+ */
+export const setSeed = (n = 0) => {
+  globalSeed = Number(n) || 0;
+};
+
+// the seed set with setSeed, the repl seeds the patterns of the code with it (see seed)
+export const getSeed = () => globalSeed;
+
+// the seed of the pattern being queried, see seed
+const querySeed = (state) => state.controls.randSeed ?? globalSeed;
+
+// like signal, but func gets the seed of the query as second argument
+const seededSignal = (func) =>
+  new Pattern((state) => [new Hap(undefined, state.span, func(state.span.begin, querySeed(state)))]);
+
+/**
+ * Uses the given seed for the random functions (rand, perlin, choose, degradeBy, shuffle, sometimesBy..) inside the pattern,
+ * instead of the one set with `setSeed`. Try different seeds to audition variations, and keep the number of a good one to get it back.
+ *
+ * @name seed
+ * @param {number | Pattern} n the seed
+ * @example
+ * s("hh*8").degradeBy(.5).pan(rand).seed("<1 2 3 4>")
+ * @example
+ * n(irand(8).segment(8)).scale("C:minor").seed(7)
+ */
+export const seed = register('seed', (n, pat) => {
+  return new Pattern(
+    (state) => pat.query(state.setControls({ ...state.controls, randSeed: Number(n) || 0 })),
+    pat._steps,
+  );
+});
 
 /**
  *
@@ -259,9 +308,9 @@ export const binaryN = (n, nBits = 16) => {
 };
 
 export const randrun = (n) => {
-  return signal((t) => {
+  return seededSignal((t, seed) => {
     // Without adding 0.5, the first cycle is always 0,1,2,3,...
-    const rands = timeToRands(t.floor().add(0.5), n);
+    const rands = timeToRands(t.floor().add(0.5), n, seed);
     const nums = rands
       .map((n, i) => [n, i])
       .sort((a, b) => (a[0] > b[0]) - (a[0] < b[0]))
@@ -311,7 +360,7 @@ export const scramble = register('scramble', (n, pat) => {
  * s("bd*4,hh*8").cutoff(rand.range(500,8000))
  *
  */
-export const rand = signal(timeToRand);
+export const rand = seededSignal(timeToRand);
 /**
  * A continuous pattern of random numbers, between -1 and 1
  */
@@ -488,24 +537,29 @@ export const wchooseCycles = (...pairs) => _wchooseWith(rand.segment(1), ...pair
 
 export const wrandcat = wchooseCycles;
 
-function _perlin(t) {
+function _perlin(t, seed) {
   let ta = Math.floor(t);
   let tb = ta + 1;
   const smootherStep = (x) => 6.0 * x ** 5 - 15.0 * x ** 4 + 10.0 * x ** 3;
   const interp = (x) => (a) => (b) => a + smootherStep(x) * (b - a);
-  const v = interp(t - ta)(timeToRand(ta))(timeToRand(tb));
+  const v = interp(t - ta)(timeToRand(ta, seed))(timeToRand(tb, seed));
   return v;
 }
+
+// applies func(value, seed) to the values of tpat
+const withSeed = (tpat, func) =>
+  tpat.withHaps((haps, state) => haps.map((hap) => hap.withValue((t) => func(t, querySeed(state)))));
+
 export const perlinWith = (tpat) => {
-  return tpat.fmap(_perlin);
+  return withSeed(tpat, _perlin);
 };
 
-function _berlin(t) {
+function _berlin(t, seed) {
   const prevRidgeStartIndex = Math.floor(t);
   const nextRidgeStartIndex = prevRidgeStartIndex + 1;
 
-  const prevRidgeBottomPoint = timeToRand(prevRidgeStartIndex);
-  const nextRidgeTopPoint = timeToRand(nextRidgeStartIndex) + prevRidgeBottomPoint;
+  const prevRidgeBottomPoint = timeToRand(prevRidgeStartIndex, seed);
+  const nextRidgeTopPoint = timeToRand(nextRidgeStartIndex, seed) + prevRidgeBottomPoint;
 
   const currentPercent = (t - prevRidgeStartIndex) / (nextRidgeStartIndex - prevRidgeStartIndex);
   const interp = (a, b, t) => {
@@ -515,7 +569,7 @@ function _berlin(t) {
 }
 
 export const berlinWith = (tpat) => {
-  return tpat.fmap(_berlin);
+  return withSeed(tpat, _berlin);
 };
 
 /**
@@ -0,0 +1,74 @@
+/*
+sourcemap.mjs - reads source maps, to find the places in the user code that transpiled code came from
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/core/sourcemap.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+const base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const digits = Object.fromEntries([...base64].map((char, i) => [char, i]));
+
+// base64 VLQ: 5 bits per digit, the 6th bit continues the number, the lowest bit of the result is the sign
+function decodeSegment(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of segment) {
+    const digit = digits[char];
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = shift = 0;
+    }
+  }
+  return values;
+}
+
+/**
+ * Decodes the mappings of a version 3 source map.
+ * Returns one array per generated line with segments [generatedColumn, source, originalLine, originalColumn], all zero based.
+ * @param {string} mappings
+ * @returns {number[][][]}
+ */
+export function decodeMappings(mappings) {
+  let source = 0;
+  let line = 0;
+  let column = 0;
+  return mappings.split(';').map((group) => {
+    let generated = 0;
+    const segments = [];
+    for (const segment of group.split(',').filter(Boolean)) {
+      const values = decodeSegment(segment);
+      generated += values[0];
+      // segments of only one value map to nothing
+      if (values.length >= 4) {
+        source += values[1];
+        line += values[2];
+        column += values[3];
+        segments.push([generated, source, line, column]);
+      }
+    }
+    return segments;
+  });
+}
+
+const decoded = new WeakMap();
+
+/**
+ * Finds the position in the original code of a position in the generated code.
+ * Lines count from 1 and columns from 0, like in acorn locations.
+ * @param {object} sourceMap version 3 source map, like the sourceMap of the transpiler
+ * @param {number} line
+ * @param {number} column
+ * @returns {{ line: number, column: number } | undefined}
+ */
+export function originalPosition(sourceMap, line, column) {
+  if (!decoded.has(sourceMap)) {
+    decoded.set(sourceMap, decodeMappings(sourceMap.mappings));
+  }
+  const segments = decoded.get(sourceMap)[line - 1] ?? [];
+  // the last segment that starts before the column, or the first one for the indentation
+  const segment = segments.findLast(([generated]) => generated <= column) ?? segments[0];
+  return segment && { line: segment[2] + 1, column: segment[3] };
+}
@@ -0,0 +1,65 @@
+/*
+metrics.test.mjs - Tests for the scheduler metrics
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/core/test/metrics.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect } from 'vitest';
+import { SchedulerMetrics } from '../metrics.mjs';
+import { Cyclist } from '../cyclist.mjs';
+import { seq } from '../pattern.mjs';
+
+describe('SchedulerMetrics', () => {
+  it('measures queries, haps and slack of the last ticks', () => {
+    let time = 0;
+    const metrics = new SchedulerMetrics({ size: 2, getTime: () => time });
+    [
+      [0.002, 1, 0.1],
+      [0.004, 3, 0.05],
+      [0.006, 2, 0.2],
+    ].forEach(([queryTime, haps, slack]) => {
+      metrics.measure(() => (time += queryTime));
+      metrics.tick(haps, slack);
+    });
+    const summary = metrics.summary();
+    expect(summary).toMatchObject({ ticks: 3, haps: 6, late: 0, skipped: 0, recentTicks: 2 });
+    expect(summary.queryMs).toEqual({ avg: 5, max: 6 });
+    expect(summary.hapsPerTick).toEqual({ avg: 2.5, max: 3 });
+    expect(summary.slackMs).toEqual({ min: 50, avg: 125 });
+  });
+  it('counts late and skipped ticks until reset', () => {
+    let time = 0;
+    const metrics = new SchedulerMetrics({ getTime: () => time });
+    metrics.measure(() => {});
+    metrics.tick(1, -0.01);
+    metrics.tick(0);
+    metrics.skip();
+    expect(metrics.summary()).toMatchObject({ ticks: 3, late: 1, skipped: 1, slackMs: { min: -10 } });
+    time = 1;
+    metrics.reset();
+    expect(metrics.summary()).toMatchObject({ seconds: 0, ticks: 0, late: 0, skipped: 0, recentTicks: 0 });
+  });
+});
+
+describe('Cyclist metrics', () => {
+  it('records the ticks of the clock', async () => {
+    let time = 0;
+    const intervals = [];
+    const scheduler = new Cyclist({
+      getTime: () => time,
+      setInterval: (fn) => intervals.push(fn),
+      clearInterval: () => {},
+    });
+    await scheduler.setPattern(seq(1, 2, 3, 4), true);
+    for (let i = 0; i < 20; i++) {
+      time += 0.1;
+      intervals.forEach((fn) => fn());
+    }
+    const { ticks, haps, late, skipped, slackMs } = scheduler.metrics.summary();
+    expect(ticks).toBeGreaterThan(0);
+    expect(haps).toBeGreaterThan(0);
+    expect(late + skipped).toBe(0);
+    expect(slackMs.min).toBeGreaterThan(0);
+    scheduler.stop();
+  });
+});
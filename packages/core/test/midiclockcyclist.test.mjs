@@ -0,0 +1,74 @@
+/*
+midiclockcyclist.test.mjs - Tests for the MIDI clock scheduler
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/core/test/midiclockcyclist.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect } from 'vitest';
+import { MidiClockCyclist, midiClockMessages } from '../midiclockcyclist.mjs';
+import { seq } from '../pattern.mjs';
+
+const { clock, start, stop, songPosition } = midiClockMessages;
+
+// a scheduler on a fake clock, with a send function that advances time like a clock source would
+function setup(options = {}) {
+  let time = 10;
+  const triggered = [];
+  const scheduler = new MidiClockCyclist({
+    getTime: () => time,
+    latency: 0,
+    onTrigger: (hap, deadline, duration, cps, targetTime) => triggered.push({ value: hap.value, targetTime, cps }),
+    ...options,
+  });
+  const pulses = (n, bpm = 120) => {
+    for (let i = 0; i < n; i++) {
+      time += 60 / bpm / 24;
+      scheduler.receive([clock]);
+    }
+  };
+  return { scheduler, triggered, pulses, time: () => time };
+}
+
+describe('MidiClockCyclist', () => {
+  it('follows the tempo of the clock', () => {
+    const { scheduler, pulses } = setup();
+    pulses(48, 150);
+    // 4 beats per cycle
+    expect(scheduler.cps).toBeCloseTo(150 / 60 / 4);
+    pulses(48, 90);
+    expect(scheduler.cps).toBeCloseTo(90 / 60 / 4);
+  });
+  it('plays haps in time with the clock once started', async () => {
+    const { scheduler, triggered, pulses } = setup();
+    await scheduler.setPattern(seq(1, 2, 3, 4), true);
+    pulses(24);
+    expect(triggered).toEqual([]);
+    scheduler.receive([start]);
+    // the first pulse after start is the beginning of cycle 0
+    const startTime = 10 + 0.5 + 0.5 / 24;
+    pulses(96);
+    expect(triggered.map((t) => t.value)).toEqual([1, 2, 3, 4]);
+    triggered.forEach(({ targetTime }, i) => expect(targetTime).toBeCloseTo(startTime + 0.5 * i));
+  });
+  it('stops with the transport and continues at the song position', async () => {
+    const { scheduler, triggered, pulses } = setup();
+    await scheduler.setPattern(seq(1, 2, 3, 4), true);
+    scheduler.receive([start]);
+    pulses(24);
+    scheduler.receive([stop]);
+    pulses(48);
+    expect(triggered.map((t) => t.value)).toEqual([1]);
+    // 8 sixteenths = the third beat
+    scheduler.receive([songPosition, 8, 0]);
+    scheduler.receive([midiClockMessages.continue]);
+    pulses(25);
+    expect(triggered.map((t) => t.value)).toEqual([1, 3, 4]);
+    expect(scheduler.now()).toBeCloseTo(0.75);
+  });
+  it('ignores setcps', () => {
+    const { scheduler, pulses } = setup();
+    pulses(24);
+    scheduler.setCps(2);
+    expect(scheduler.cps).toBeCloseTo(0.5);
+  });
+});
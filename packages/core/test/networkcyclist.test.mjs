@@ -0,0 +1,110 @@
+/*
+networkcyclist.test.mjs - Tests for the network sync scheduler
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/core/test/networkcyclist.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect } from 'vitest';
+import { NetworkCyclist } from '../networkcyclist.mjs';
+import { seq } from '../pattern.mjs';
+
+class FakeSocket {
+  static OPEN = 1;
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.last = this;
+  }
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+  open() {
+    this.readyState = 1;
+    this.onopen();
+  }
+  deliver(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+
+// a peer whose clock is ahead of the server clock by offset seconds, on a fake clock with manual intervals
+function setup({ offset = 100, ...options } = {}) {
+  let time = 5;
+  let serverTime = time - offset;
+  const intervals = [];
+  const triggered = [];
+  const scheduler = new NetworkCyclist({
+    url: 'ws://sync',
+    getTime: () => time,
+    onTrigger: (hap, deadline, duration, cps, targetTime) => triggered.push({ value: hap.value, targetTime }),
+    setInterval: (fn) => intervals.push(fn) - 1,
+    clearInterval: (id) => (intervals[id] = undefined),
+    WebSocket: FakeSocket,
+    ...options,
+  });
+  const socket = FakeSocket.last;
+  socket.open();
+  // answer the ping after a round trip of 20ms
+  const pong = () => {
+    const { id } = socket.sent.filter((m) => m.type === 'ping').pop();
+    time += 0.01;
+    serverTime += 0.01;
+    const message = { type: 'pong', id, time: serverTime };
+    time += 0.01;
+    serverTime += 0.01;
+    socket.deliver(message);
+  };
+  const advance = (seconds) => {
+    const end = time + seconds;
+    while (time < end) {
+      time += 0.05;
+      serverTime += 0.05;
+      intervals.forEach((fn) => fn?.());
+    }
+  };
+  return { scheduler, socket, triggered, pong, advance, serverTime: () => serverTime };
+}
+
+describe('NetworkCyclist', () => {
+  it('maps the shared timeline to the local clock', () => {
+    const { scheduler, socket, pong, serverTime } = setup({ offset: 100 });
+    pong();
+    expect(scheduler.offset).toBeCloseTo(100);
+    socket.deliver({ type: 'timeline', cps: 1, cycle: 10, time: serverTime(), peers: 2 });
+    expect(scheduler.isSynced).toBe(true);
+    expect(scheduler.cps).toBe(1);
+    expect(scheduler.cycleAt(serverTime() + 100 + 2.5)).toBeCloseTo(12.5);
+    expect(scheduler.timeAt(12)).toBeCloseTo(serverTime() + 102);
+  });
+  it('starts on the next cycle of the shared timeline', async () => {
+    const { scheduler, socket, pong, advance, triggered, serverTime } = setup();
+    pong();
+    socket.deliver({ type: 'timeline', cps: 1, cycle: 0.5, time: serverTime(), peers: 1 });
+    await scheduler.setPattern(seq(1, 2), true);
+    expect(scheduler.lastEnd).toBe(1);
+    advance(2);
+    expect(triggered.map((t) => t.value)).toEqual([1, 2, 1, 2]);
+    // cycle 1 is half a second after the anchor
+    expect(triggered[0].targetTime).toBeCloseTo(scheduler.timeAt(1));
+    expect(triggered[1].targetTime - triggered[0].targetTime).toBeCloseTo(0.5);
+  });
+  it('sends tempo changes to the server without moving the phase', () => {
+    const { scheduler, socket, pong, serverTime } = setup();
+    pong();
+    socket.deliver({ type: 'timeline', cps: 0.5, cycle: 4, time: serverTime(), peers: 1 });
+    const cycle = scheduler.cycleAt(serverTime() + 100);
+    scheduler.setCps(1);
+    expect(socket.sent.pop()).toEqual({ type: 'cps', cps: 1 });
+    expect(scheduler.cycleAt(serverTime() + 100)).toBeCloseTo(cycle);
+    expect(scheduler.cycleAt(serverTime() + 101)).toBeCloseTo(cycle + 1);
+  });
+  it('moves to the next cycle when the timeline jumps while playing', async () => {
+    const { scheduler, socket, pong, serverTime } = setup();
+    await scheduler.setPattern(seq(1), true);
+    pong();
+    socket.deliver({ type: 'timeline', cps: 1, cycle: 7.2, time: serverTime(), peers: 2 });
+    expect(scheduler.lastEnd).toBe(8);
+    scheduler.stop();
+  });
+});
@@ -145,6 +145,21 @@ describe('Hap', () => {
       expect(continuousHap.wholeOrPart()).toStrictEqual(ts1);
     });
   });
+  describe('serialize()', () => {
+    it('Turns spans into numbers', () => {
+      const fragment = new Hap(ts(0, 1), ts(0.5, 1), { s: 'bd' }, { patternId: 'drums' });
+      expect(fragment.serialize()).toStrictEqual({
+        whole: { begin: 0, end: 1 },
+        part: { begin: 0.5, end: 1 },
+        value: { s: 'bd' },
+        onset: false,
+        patternId: 'drums',
+      });
+    });
+    it('Leaves out the whole of continuous haps', () => {
+      expect(new Hap(undefined, ts(0, 1), 0.5).serialize().whole).toBeUndefined();
+    });
+  });
 });
 describe('Pattern', () => {
   describe('pure', () => {
@@ -0,0 +1,233 @@
+/*
+repl.test.mjs - Tests for the repl launch quantization
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/core/test/repl.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { repl } from '../repl.mjs';
+import { evalScope } from '../evaluate.mjs';
+import { pure, stack, sequence } from '../pattern.mjs';
+import { gain, s } from '../controls.mjs';
+import { getSeed, rand, setSeed } from '../signal.mjs';
+
+// a scheduler that has scheduled haps until lastEnd
+// (cps 1 keeps the repl's cpm and setcps, which end up in the global scope, in line with the defaults for other tests)
+function fakeScheduler(cycle) {
+  return {
+    started: false,
+    cps: 1,
+    setCps() {},
+    lastEnd: cycle,
+    now() {
+      return this.lastEnd;
+    },
+    setPattern(pattern, autostart) {
+      this.pattern = pattern;
+      autostart && (this.started = true);
+    },
+    start() {
+      this.started = true;
+    },
+    stop() {
+      this.started = false;
+      this.lastEnd = 0;
+    },
+  };
+}
+
+function setup({ cycle = 1.5, ...options } = {}) {
+  const scheduler = fakeScheduler(cycle);
+  const { evaluate, start, stop, setQuantize, setCrossfade, state } = repl({
+    createScheduler: () => scheduler,
+    ...options,
+  });
+  const valuesAt = (c) =>
+    scheduler.pattern
+      .queryArc(c, c + 0.01)
+      .filter((hap) => hap.hasOnset())
+      .map((hap) => hap.value)
+      .sort();
+  return { scheduler, evaluate, start, stop, setQuantize, setCrossfade, state, valuesAt };
+}
+
+describe('repl launch quantization', () => {
+  beforeAll(() => evalScope({ pure, stack }));
+  it('switches right away by default', async () => {
+    const { evaluate, valuesAt, state } = setup();
+    await evaluate('pure(1)');
+    await evaluate('pure(2)');
+    expect(valuesAt(2)).toEqual([2]);
+    expect(state.launchCycle).toBe(undefined);
+  });
+  it('keeps the old pattern until the next multiple of quantize', async () => {
+    const { evaluate, valuesAt, state } = setup({ quantize: 4 });
+    await evaluate('pure(1)');
+    await evaluate('pure(2)');
+    expect(valuesAt(2)).toEqual([1]);
+    expect(valuesAt(3)).toEqual([1]);
+    expect(valuesAt(4)).toEqual([2]);
+    expect(state.launchCycle).toBe(4);
+  });
+  it('takes quantize as an evaluate option', async () => {
+    const { evaluate, valuesAt, setQuantize } = setup({ quantize: 4 });
+    await evaluate('pure(1)');
+    await evaluate('pure(2)', { quantize: 2 });
+    expect(valuesAt(2)).toEqual([2]);
+    setQuantize(0);
+    await evaluate('pure(3)');
+    expect(valuesAt(2)).toEqual([3]);
+  });
+  it('launches blocks on their own quantization', async () => {
+    const { evaluate, valuesAt, scheduler } = setup({ quantize: 4 });
+    await evaluate(`stack(pure('a1').p('a'), pure('b1').p('b'))`);
+    await evaluate(`stack(pure('a2').p('a'), pure('b2').launch(1).p('b'), pure('c2').launch(0).p('c'))`);
+    expect(valuesAt(2)).toEqual(['a1', 'b2', 'c2']);
+    expect(valuesAt(4)).toEqual(['a2', 'b2', 'c2']);
+    // removed blocks stop on the global boundary
+    scheduler.lastEnd = 4.5;
+    await evaluate(`pure('a3').p('a')`);
+    expect(valuesAt(7)).toEqual(['a2', 'b2', 'c2']);
+    expect(valuesAt(8)).toEqual(['a3']);
+  });
+  it('takes launch from the pattern it is called on', async () => {
+    const { evaluate, valuesAt } = setup({ quantize: 4 });
+    await evaluate(`stack(pure('a1').p('a'), pure('b1').p('b'))`);
+    await evaluate(`stack(pure('a2').p('a'), pure('b2').fast(2).launch(1).crossfade(0).p('b'))`);
+    expect(valuesAt(2)).toEqual(['a1', 'b2']);
+    const single = setup({ quantize: 4 });
+    await single.evaluate('pure(1)');
+    await single.evaluate('pure(2).fast(2).launch(2)');
+    expect(single.valuesAt(2)).toEqual([2]);
+  });
+  it('does not hand launch to other blocks', async () => {
+    const { evaluate, valuesAt } = setup();
+    await evaluate(`stack(pure('a1').p('a'), pure('b1').p('b'))`);
+    // after .p() and on a pattern that never gets to .p()
+    await evaluate(`stack(pure('a2').p('a').launch(4), pure('x').launch(4), pure('b2').p('b'))`);
+    expect(valuesAt(2)).toEqual(['a2', 'b2']);
+    await evaluate(`(pure('x').launch(4), pure(3))`);
+    expect(valuesAt(2)).toEqual([3]);
+  });
+  it('settles launches that are still ahead when stopped', async () => {
+    const { evaluate, start, stop, valuesAt, state, scheduler } = setup({ quantize: 4 });
+    await evaluate('pure(1)');
+    await evaluate('pure(2)');
+    stop();
+    // the clock starts over from 0, the old version must not come back
+    expect(valuesAt(0)).toEqual([2]);
+    expect(state.launchCycle).toBe(undefined);
+    start();
+    scheduler.lastEnd = 1.5;
+    await evaluate('pure(3)');
+    expect(valuesAt(2)).toEqual([2]);
+    expect(valuesAt(4)).toEqual([3]);
+  });
+  it('keeps the launches of the playing code when all() fails', async () => {
+    const { evaluate, valuesAt } = setup({ quantize: 4 });
+    await evaluate('pure(1)');
+    await evaluate('pure(2)');
+    await evaluate('(all(() => undefined), pure(3))');
+    await evaluate('pure(4)', { quantize: 8 });
+    expect(valuesAt(2)).toEqual([1]);
+    expect(valuesAt(5)).toEqual([2]);
+    expect(valuesAt(8)).toEqual([4]);
+  });
+  it('keeps playing when the evaluation fails', async () => {
+    const { evaluate, valuesAt } = setup({ quantize: 4 });
+    await evaluate('pure(1)');
+    await evaluate('undefined');
+    expect(valuesAt(8)).toEqual([1]);
+  });
+});
+
+describe('repl crossfade', () => {
+  beforeAll(() => evalScope({ pure, stack, sequence, gain, s }));
+  // the sounds and gains of the 16 haps in the cycle
+  const cycleAt = (scheduler, c) =>
+    scheduler.pattern
+      .queryArc(c, c + 1)
+      .filter((hap) => hap.hasOnset())
+      .sort((a, b) => a.whole.begin.sub(b.whole.begin).valueOf())
+      .map((hap) => hap.value);
+  const play = async (options) => {
+    const repl = setup(options);
+    await repl.evaluate(`s(sequence(...Array(16).fill('a'))).gain(0)`);
+    repl.scheduler.started = true;
+    return repl;
+  };
+  it('switches when crossfade is 0', async () => {
+    const { evaluate, scheduler } = await play();
+    await evaluate(`s(sequence(...Array(16).fill('b'))).gain(1)`);
+    expect(cycleAt(scheduler, 2).every((v) => v.s === 'b')).toBe(true);
+  });
+  it('interleaves the haps and moves the controls over the crossfade', async () => {
+    const { evaluate, scheduler, state } = await play({ crossfade: 4 });
+    await evaluate(`s(sequence(...Array(16).fill('b'))).gain(1)`);
+    expect(state.launchCycle).toBe(5.5);
+    const before = cycleAt(scheduler, 0.5);
+    expect(before.every((v) => v.s === 'a' && v.gain === 0)).toBe(true);
+    const middle = cycleAt(scheduler, 3);
+    expect(middle.some((v) => v.s === 'a')).toBe(true);
+    expect(middle.some((v) => v.s === 'b')).toBe(true);
+    // 1.5 to 2.5 cycles into the crossfade
+    expect(middle.every((v) => v.gain >= 0.375 && v.gain <= 0.625)).toBe(true);
+    // the same haps every time
+    expect(cycleAt(scheduler, 3)).toEqual(middle);
+    expect(cycleAt(scheduler, 6).every((v) => v.s === 'b' && v.gain === 1)).toBe(true);
+  });
+  it('starts on the launch quantization and takes per block cycles', async () => {
+    const { evaluate, scheduler, state } = await play({ quantize: 4 });
+    await evaluate(`s(sequence(...Array(16).fill('b'))).gain(1).crossfade(2)`);
+    expect(state.launchCycle).toBe(6);
+    expect(cycleAt(scheduler, 3).every((v) => v.s === 'a')).toBe(true);
+    expect(cycleAt(scheduler, 6).every((v) => v.s === 'b')).toBe(true);
+  });
+  it('takes crossfade as an evaluate option', async () => {
+    const { evaluate, scheduler, state, setCrossfade } = await play({ crossfade: 4 });
+    await evaluate(`s(sequence(...Array(16).fill('b')))`, { crossfade: 0 });
+    expect(state.launchCycle).toBe(undefined);
+    expect(cycleAt(scheduler, 2).every((v) => v.s === 'b')).toBe(true);
+    setCrossfade(1);
+    await evaluate(`s(sequence(...Array(16).fill('c')))`);
+    expect(state.launchCycle).toBe(2.5);
+  });
+});
+
+describe('repl seed', () => {
+  beforeAll(() => evalScope({ pure, setSeed, rand }));
+  afterEach(() => setSeed(0));
+  // the random value at cycle c with seed n
+  const randAt = (c, n) =>
+    rand
+      .segment(1)
+      .seed(n)
+      .queryArc(c, c + 0.01)[0].value;
+  it('gives code without setSeed the default seed', async () => {
+    const { evaluate, valuesAt } = setup();
+    await evaluate('(setSeed(42), rand.segment(1))');
+    expect(valuesAt(2)).toEqual([randAt(2, 42)]);
+    await evaluate('rand.segment(1)');
+    expect(valuesAt(2)).toEqual([randAt(2, 0)]);
+  });
+  it('keeps the haps of the playing pattern when later code sets a seed', async () => {
+    const { evaluate, valuesAt, scheduler } = setup({ quantize: 4 });
+    await evaluate('rand.segment(1)');
+    const before = scheduler.pattern;
+    await evaluate('(setSeed(5), rand.segment(1))');
+    // the old version plays until the launch
+    expect(valuesAt(2)).toEqual([randAt(2, 0)]);
+    expect(valuesAt(4)).toEqual([randAt(4, 5)]);
+    expect(before.queryArc(4, 4.01)[0].value).toBe(randAt(4, 0));
+  });
+  it('leaves other repls and the global seed alone', async () => {
+    const one = setup();
+    const other = setup();
+    await one.evaluate('rand.segment(1)');
+    await other.evaluate('(setSeed(42), rand.segment(1))');
+    await other.evaluate('(setSeed(7), undefined)');
+    expect(one.valuesAt(2)).toEqual([randAt(2, 0)]);
+    expect(other.valuesAt(2)).toEqual([randAt(2, 42)]);
+    expect(getSeed()).toBe(0);
+  });
+});
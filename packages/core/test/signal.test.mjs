@@ -0,0 +1,50 @@
+/*
+signal.test.mjs - Tests for seeding the random signals
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/core/test/signal.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { rand, perlin, irand, setSeed, seed, timeToRand } from '../signal.mjs';
+import { sequence, slowcat } from '../pattern.mjs';
+
+const values = (pat, cycles = 2) =>
+  pat
+    .queryArc(0, cycles)
+    .filter((hap) => hap.hasOnset())
+    .map((hap) => hap.value);
+
+const eight = sequence(0, 1, 2, 3, 4, 5, 6, 7);
+
+describe('seed', () => {
+  afterEach(() => setSeed(0));
+  it('keeps the random sequence of seed 0', () => {
+    expect(values(rand.segment(4).seed(0))).toEqual(values(rand.segment(4)));
+    expect(values(rand.segment(4), 1)[0]).toBe(timeToRand(0));
+  });
+  it('gives each seed its own random sequence, the same every time', () => {
+    const one = values(rand.segment(8).seed(1));
+    expect(one).not.toEqual(values(rand.segment(8)));
+    expect(one).not.toEqual(values(rand.segment(8).seed(2)));
+    expect(values(rand.segment(8).seed(1))).toEqual(one);
+    expect(one.every((x) => x >= 0 && x < 1)).toBe(true);
+  });
+  it('reaches the random functions inside the pattern', () => {
+    expect(values(eight.degradeBy(0.5).seed(3), 4)).not.toEqual(values(eight.degradeBy(0.5), 4));
+    expect(values(eight.shuffle(8).seed(3))).not.toEqual(values(eight.shuffle(8)));
+    expect(values(irand(8).segment(8).seed(3))).not.toEqual(values(irand(8).segment(8)));
+    expect(values(perlin.segment(8).seed(3))).not.toEqual(values(perlin.segment(8)));
+  });
+  it('takes the global seed for patterns without their own', () => {
+    const two = values(rand.segment(8).seed(2));
+    setSeed(2);
+    expect(values(rand.segment(8))).toEqual(two);
+    expect(values(rand.segment(8).seed(0))).toEqual(values(seed(0, rand.segment(8))));
+    setSeed(0);
+    expect(values(rand.segment(8))).not.toEqual(two);
+  });
+  it('can be patterned', () => {
+    const seeded = values(rand.segment(1).seed(slowcat(1, 2)));
+    expect(seeded).toEqual([values(rand.segment(1).seed(1), 1)[0], values(rand.segment(1).seed(2), 2)[1]]);
+  });
+});
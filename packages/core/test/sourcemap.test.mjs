@@ -0,0 +1,48 @@
+/*
+sourcemap.test.mjs - Tests for reading source maps and locating errors of evaluated code
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/core/test/sourcemap.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect } from 'vitest';
+import { decodeMappings, originalPosition } from '../sourcemap.mjs';
+import { evaluate } from '../evaluate.mjs';
+
+// 'let x = 1\n$: s("bd sd")\n  .fast(2).foo()' printed as 'let x = 1;\n$:\n    s('bd sd').fast(2).foo();'
+const sourceMap = {
+  version: 3,
+  sources: ['user-code'],
+  names: ['x', 's', 'fast', 'foo'],
+  mappings: 'AAAA,IAAIA,CAAA,GAAI,CAAR;AACA;AAAA,IAAGC,CAAA,CAAE,OAAF,EACAC,IADA,CACK,CADL,EACQC,GADR',
+};
+
+describe('sourcemap', () => {
+  it('decodes mappings', () => {
+    const [first, second] = decodeMappings(sourceMap.mappings);
+    expect(first).toEqual([
+      [0, 0, 0, 0],
+      [4, 0, 0, 4],
+      [5, 0, 0, 4],
+      [8, 0, 0, 8],
+      [9, 0, 0, 0],
+    ]);
+    expect(second).toEqual([[0, 0, 1, 0]]);
+  });
+  it('finds original positions', () => {
+    // .foo
+    expect(originalPosition(sourceMap, 3, 23)).toEqual({ line: 3, column: 11 });
+    // indentation
+    expect(originalPosition(sourceMap, 3, 1)).toEqual({ line: 2, column: 0 });
+    expect(originalPosition(sourceMap, 4, 0)).toBeUndefined();
+  });
+  it('locates errors of evaluated code', async () => {
+    // maps each generated line to the line after it
+    const transpiler = (code) => ({ output: code, sourceMap: { mappings: 'AACA;AACA;AACA' } });
+    const error = await evaluate('let a = 1;\nnull.foo;', transpiler).catch((err) => err);
+    expect(error.loc).toEqual({ line: 3, column: 0 });
+    expect(error.message).toMatch(/\(3:0\)$/);
+    // without source map
+    const plain = await evaluate('let a = 1;\nnull.foo;', (code) => ({ output: code })).catch((err) => err);
+    expect(plain.loc).toBeUndefined();
+  });
+});
@@ -1,3 +1,6 @@
 import './midi.mjs';
+import './midifile.mjs';
 
 export * from './midi.mjs';
+export * from './mapping.mjs';
+export * from './midifile.mjs';
@@ -5,9 +5,10 @@ This program is free software: you can redistribute it and/or modify it under th
 */
 
 import * as _WebMidi from 'webmidi';
-import { Pattern, getEventOffsetMs, isPattern, logger, ref } from '@strudel/core';
+import { MidiClockCyclist, Pattern, errorLogger, getEventOffsetMs, isPattern, logger, ref } from '@strudel/core';
 import { noteToMidi, getControlName } from '@strudel/core';
 import { Note } from 'webmidi';
+import { mapCC, midicontrolMap, midiDefaults } from './mapping.mjs';
 
 // if you use WebMidi from outside of this package, make sure to import that instance:
 export const { WebMidi } = _WebMidi;
@@ -93,9 +94,6 @@ if (typeof window !== 'undefined') {
   });
 }
 
-// registry for midi mappings, converting control names to cc messages
-export const midicontrolMap = new Map();
-
 // takes midimap and converts each control key to the main control name
 function unifyMapping(mapping) {
   return Object.fromEntries(
@@ -169,26 +167,6 @@ export async function midimaps(map) {
 // registry for midi sounds, converting sound names to controls
 export const midisoundMap = new Map();
 
-// normalizes the given value from the given range and exponent
-function normalize(value = 0, min = 0, max = 1, exp = 1) {
-  if (min === max) {
-    throw new Error('min and max cannot be the same value');
-  }
-  let normalized = (value - min) / (max - min);
-  normalized = Math.min(1, Math.max(0, normalized));
-  return Math.pow(normalized, exp);
-}
-
-function mapCC(mapping, value) {
-  return Object.keys(value)
-    .filter((key) => !!mapping[getControlName(key)])
-    .map((key) => {
-      const { ccn, min = 0, max = 1, exp = 1 } = mapping[key];
-      const ccv = normalize(value[key], min, max, exp);
-      return { ccn, ccv };
-    });
-}
-
 // sends a cc message to the given device on the given channel
 function sendCC(ccn, ccv, device, midichan, timeOffsetString) {
   if (typeof ccv !== 'number' || ccv < 0 || ccv > 1) {
@@ -307,14 +285,9 @@ Pattern.prototype.midi = function (midiport, options = {}) {
   }
 
   let midiConfig = {
-    // Default configuration values
-    isController: false, // Disable sending notes for midi controllers
+    ...midiDefaults,
     latencyMs: 34, // Default latency to get audio engine to line up in ms
     noteOffsetMs: 10, // Default note-off offset to prevent glitching in ms
-    midichannel: 1, // Default MIDI channel
-    velocity: 0.9, // Default velocity
-    gain: 1, // Default gain
-    midimap: 'default', // Default MIDI map
     midiport: midiport, // Store the port in the config
     ...options, // Override defaults with provided options
   };
@@ -509,3 +482,42 @@ export async function midin(input) {
   device.addListener('midimessage', listeners[input]);
   return cc;
 }
+
+/**
+ * Creates a scheduler that follows the MIDI clock of an input: cps and phase come from its 24 ppqn clock,
+ * start / stop / continue and song position messages move the transport. Pass it as `createScheduler` to repl.
+ * @param {string | number} input MIDI device name or index
+ * @param {object} options beatsPerCycle (default 4) and latency (default 0.1) of the MidiClockCyclist
+ * @returns {Function}
+ */
+export function midiClockScheduler(input, options = {}) {
+  return (schedulerOptions) => {
+    const scheduler = new MidiClockCyclist({ ...schedulerOptions, ...options });
+    const listener = (e) => scheduler.receive(e.data, e.timestamp / 1000);
+    let device;
+    const connect = () => {
+      const found = WebMidi.inputs.length ? getDevice(input, WebMidi.inputs) : undefined;
+      if (!found || found === device) {
+        return;
+      }
+      device?.removeListener('midimessage', listener);
+      device = found;
+      device.addListener('midimessage', listener);
+      logger(`[midiclock] following the clock of "${device.name}"`);
+    };
+    Promise.resolve(enableWebMidi())
+      .then(() => {
+        connect();
+        if (!device) {
+          logger(
+            `[midiclock] input "${input}" not found, waiting for it.. connected devices: ${getMidiDeviceNamesString(WebMidi.inputs)}`,
+            'warning',
+          );
+        }
+        // the device might be plugged in later
+        WebMidi.addListener('connected', connect);
+      })
+      .catch((e) => errorLogger(e, 'midiclock'));
+    return scheduler;
+  };
+}
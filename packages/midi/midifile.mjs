@@ -0,0 +1,368 @@
+/*
+midifile.mjs - Standard MIDI File export and import of patterns
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/midi/midifile.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { Fraction, Hap, Pattern, State, TimeSpan, logger, noteToMidi, silence } from '@strudel/core';
+import { mapCC, midicontrolMap, midiDefaults } from './mapping.mjs';
+
+// at the same tick, note offs go first so repeated notes retrigger, controls go before the notes they shape
+const eventOrder = { off: 0, program: 1, cc: 2, bend: 3, touch: 4, on: 5 };
+
+const clamp7 = (value) => Math.min(127, Math.max(0, Math.round(value)));
+
+// variable length quantity, as used for delta times and meta event lengths
+function vlq(value) {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) {
+    bytes.unshift((value & 0x7f) | 0x80);
+  }
+  return bytes;
+}
+
+const uint32 = (value) => [(value >> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+const uint16 = (value) => [(value >> 8) & 0xff, value & 0xff];
+const text = (string) => [...new TextEncoder().encode(string)];
+const meta = (type, data) => [0xff, type, ...vlq(data.length), ...data];
+
+function chunk(type, data) {
+  return [...text(type), ...uint32(data.length), ...data];
+}
+
+function trackChunk(name, events) {
+  let tick = 0;
+  const data = [0, ...meta(0x03, text(name))];
+  events
+    .sort((a, b) => a.tick - b.tick || eventOrder[a.kind] - eventOrder[b.kind])
+    .forEach((event) => {
+      data.push(...vlq(event.tick - tick), ...event.bytes);
+      tick = event.tick;
+    });
+  data.push(0, ...meta(0x2f, []));
+  return chunk('MTrk', data);
+}
+
+// one track per .p() pattern, orbit and midi channel, named after the parts that are set
+function trackKey({ patternId, orbit, midichan }) {
+  return [patternId, orbit !== undefined && `orbit ${orbit}`, `ch${midichan}`].filter(Boolean).join(' ');
+}
+
+// the midi messages Pattern.prototype.midi would send for a hap, as [kind, bytes] at the hap onset
+function hapMessages(value, config, duration) {
+  let {
+    note,
+    ccn,
+    ccv,
+    midichan = config.midichannel,
+    midicmd,
+    midibend,
+    miditouch,
+    gain = config.gain,
+    velocity = config.velocity,
+    progNum,
+    midimap = config.midimap,
+  } = value;
+  const status = (type) => type | ((midichan - 1) & 0x0f);
+  const onset = [];
+  const cc = (number, value) => {
+    if (typeof number !== 'number') {
+      throw new Error(`midi files need numeric controllers, got ccn "${number}"`);
+    }
+    onset.push(['cc', [status(0xb0), clamp7(number), clamp7(value * 127)]]);
+  };
+  const program = (number) => onset.push(['program', [status(0xc0), clamp7(number)]]);
+
+  if (midicontrolMap.has(midimap)) {
+    mapCC(midicontrolMap.get(midimap), value).forEach(({ ccn, ccv }) => cc(ccn, ccv));
+  }
+  if (progNum !== undefined) {
+    program(progNum);
+  }
+  if (Array.isArray(midicmd) && midicmd[0] === 'progNum') {
+    program(midicmd[1]);
+  }
+  if (ccv !== undefined && ccn !== undefined) {
+    cc(ccn, ccv);
+  }
+  if (midibend !== undefined) {
+    const bend = Math.min(16383, Math.max(0, Math.round((midibend + 1) * 8192)));
+    onset.push(['bend', [status(0xe0), bend & 0x7f, bend >> 7]]);
+  }
+  if (miditouch !== undefined) {
+    onset.push(['touch', [status(0xd0), clamp7(miditouch * 127)]]);
+  }
+  if (note === undefined || config.isController) {
+    return { midichan, onset };
+  }
+  const key = clamp7(typeof note === 'number' ? note : noteToMidi(note));
+  // a note on with velocity 0 would be a note off
+  onset.push(['on', [status(0x90), key, Math.max(1, clamp7(gain * velocity * 127))]]);
+  return { midichan, onset, off: { ticks: duration, bytes: [status(0x80), key, 0] } };
+}
+
+/**
+ * Renders cycles of a pattern to a type 1 Standard MIDI File, mapping the hap values like `.midi()` does live:
+ * notes with velocity from gain * velocity, ccn / ccv, midimaps, progNum, midibend and miditouch.
+ * Each `.p()` pattern, orbit and midichan gets its own track.
+ * @param {Pattern} pattern
+ * @param {Object} options
+ * @param {number} [options.cycles=4] number of cycles to render, starting at cycle 0
+ * @param {number} [options.cps=0.5] cycles per second, stored as the file tempo
+ * @param {number} [options.ppq=480] ticks per quarter note
+ * @param {number} [options.beatsPerCycle=4] quarter notes per cycle
+ * @param {string} [options.name='strudel'] name of the tempo track
+ * @returns {Uint8Array} the bytes of the .mid file, errors while querying the pattern are thrown
+ */
+export function toMidiFile(pattern, options = {}) {
+  const { cycles = 4, cps = 0.5, ppq = 480, beatsPerCycle = 4, name = 'strudel', ...config } = options;
+  if (!(cycles > 0)) {
+    throw new Error(`cycles must be a positive number, got ${cycles}`);
+  }
+  if (!(cps > 0)) {
+    throw new Error(`cps must be a positive number, got ${cps}`);
+  }
+  const midiConfig = { ...midiDefaults, ...config };
+  const ticksPerCycle = ppq * beatsPerCycle;
+  const toTick = (time) => Math.round(time.valueOf() * ticksPerCycle);
+  const tracks = new Map();
+
+  // unlike queryArc, errors while querying reach the caller instead of making an empty file
+  pattern
+    .query(new State(new TimeSpan(0, cycles), { _cps: cps }))
+    .filter((hap) => hap.hasOnset())
+    .forEach((hap) => {
+      hap.ensureObjectValue();
+      const begin = toTick(hap.whole.begin);
+      const duration = toTick(hap.whole.end) - begin;
+      const { midichan, onset, off } = hapMessages(hap.value, midiConfig, duration);
+      const key = trackKey({ patternId: hap.context.patternId, orbit: hap.value.orbit, midichan });
+      if (!tracks.has(key)) {
+        tracks.set(key, []);
+      }
+      const events = tracks.get(key);
+      onset.forEach(([kind, bytes]) => events.push({ tick: begin, kind, bytes }));
+      off && events.push({ tick: begin + off.ticks, kind: 'off', bytes: off.bytes });
+    });
+
+  const tempo = Math.round(1e6 / (cps * beatsPerCycle)); // microseconds per quarter note
+  const tempoTrack = [
+    0,
+    ...meta(0x03, text(name)),
+    0,
+    ...meta(0x51, uint32(tempo).slice(1)),
+    0,
+    ...meta(0x58, [beatsPerCycle, 2, 24, 8]),
+    ...vlq(Math.round(cycles * ticksPerCycle)),
+    ...meta(0x2f, []),
+  ];
+  const header = chunk('MThd', [...uint16(1), ...uint16(tracks.size + 1), ...uint16(ppq)]);
+  const body = [...tracks].flatMap(([key, events]) => trackChunk(key, events));
+  return new Uint8Array([...header, ...chunk('MTrk', tempoTrack), ...body]);
+}
+
+/**
+ * Renders the pattern to a Standard MIDI File, see {@link toMidiFile}.
+ * @name toMidiFile
+ * @memberof Pattern
+ * @returns {Uint8Array}
+ */
+Pattern.prototype.toMidiFile = function (options) {
+  return toMidiFile(this, options);
+};
+
+// reads a variable length quantity at offset, returns [value, next offset]
+function readVlq(bytes, offset) {
+  let value = 0;
+  let byte;
+  do {
+    byte = bytes[offset++];
+    value = (value << 7) | (byte & 0x7f);
+  } while (byte & 0x80);
+  return [value, offset];
+}
+
+const readUint = (bytes, offset, length) => bytes.slice(offset, offset + length).reduce((n, b) => n * 256 + b, 0);
+const readText = (bytes) => new TextDecoder().decode(bytes);
+
+function readTrack(bytes) {
+  const track = { name: undefined, notes: [], end: 0 };
+  const open = new Map(); // `${channel}:${key}` -> note ons waiting for their note off
+  let tick = 0;
+  let status;
+  for (let i = 0; i < bytes.length; ) {
+    let delta;
+    [delta, i] = readVlq(bytes, i);
+    tick += delta;
+    if (bytes[i] & 0x80) {
+      status = bytes[i++];
+    } // else running status: the data bytes follow the previous status
+    if (status === 0xff) {
+      const type = bytes[i++];
+      let length;
+      [length, i] = readVlq(bytes, i);
+      const data = bytes.slice(i, i + length);
+      i += length;
+      if (type === 0x03 && track.name === undefined) {
+        track.name = readText(data);
+      } else if (type === 0x51 && track.tempo === undefined) {
+        track.tempo = readUint(data, 0, 3);
+      } else if (type === 0x58 && track.timeSignature === undefined) {
+        track.timeSignature = { numerator: data[0], denominator: 2 ** data[1] };
+      }
+      continue;
+    }
+    if (status === 0xf0 || status === 0xf7) {
+      let length;
+      [length, i] = readVlq(bytes, i);
+      i += length;
+      continue;
+    }
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+    const data = bytes.slice(i, i + (type === 0xc0 || type === 0xd0 ? 1 : 2));
+    i += data.length;
+    const key = `${channel}:${data[0]}`;
+    if (type === 0x90 && data[1] > 0) {
+      const note = { tick, length: 0, key: data[0], velocity: data[1], channel };
+      open.set(key, [...(open.get(key) ?? []), note]);
+      track.notes.push(note);
+    } else if (type === 0x80 || type === 0x90) {
+      const [note, ...rest] = open.get(key) ?? [];
+      if (note) {
+        note.length = tick - note.tick;
+        open.set(key, rest);
+      }
+    }
+  }
+  track.end = tick;
+  // notes that are never released last until the end of the track
+  [...open.values()].flat().forEach((note) => (note.length = tick - note.tick));
+  return track;
+}
+
+/**
+ * Parses the bytes of a Standard MIDI File (format 0 or 1).
+ * Returns { format, ppq, tempo, timeSignature, tracks: [{ name, notes: [{ tick, length, key, velocity, channel }], end }] }.
+ * Tempo is in microseconds per quarter note.
+ */
+export function parseMidiFile(source) {
+  const bytes = source instanceof Uint8Array ? source : new Uint8Array(source);
+  if (readText(bytes.slice(0, 4)) !== 'MThd') {
+    throw new Error('not a midi file (missing MThd header)');
+  }
+  const format = readUint(bytes, 8, 2);
+  const ppq = readUint(bytes, 12, 2);
+  if (ppq & 0x8000) {
+    throw new Error('midi files with SMPTE time division are not supported');
+  }
+  const tracks = [];
+  for (let i = 8 + readUint(bytes, 4, 4); i < bytes.length; ) {
+    const length = readUint(bytes, i + 4, 4);
+    if (readText(bytes.slice(i, i + 4)) === 'MTrk') {
+      tracks.push(readTrack(bytes.slice(i + 8, i + 8 + length)));
+    }
+    i += 8 + length;
+  }
+  const tempo = tracks.find((track) => track.tempo !== undefined)?.tempo ?? 500000;
+  const timeSignature = tracks.find((track) => track.timeSignature)?.timeSignature ?? { numerator: 4, denominator: 4 };
+  return { format, ppq, tempo, timeSignature, tracks };
+}
+
+function selectTracks(tracks, track) {
+  if (track === undefined) {
+    return tracks;
+  }
+  const selected = typeof track === 'number' ? tracks[track] : tracks.find(({ name }) => name === track);
+  if (!selected) {
+    const available = tracks.flatMap(({ name, notes }, index) =>
+      notes.length ? [name ? `${index} (${name})` : `${index}`] : [],
+    );
+    throw new Error(`midi file has no track ${JSON.stringify(track)}, tracks with notes: ${available.join(', ')}`);
+  }
+  return [selected];
+}
+
+// loops the notes of a parsed midi file, one bar per cyclesPerBar cycles
+function midiFilePattern(file, { track, cyclesPerBar = 1 } = {}) {
+  const tracks = selectTracks(file.tracks, track);
+  const { numerator, denominator } = file.timeSignature;
+  const ticksPerBar = (file.ppq * 4 * numerator) / denominator;
+  const toCycles = (ticks) => Fraction(ticks).div(ticksPerBar).mul(cyclesPerBar);
+  const notes = tracks.flatMap((t) => t.notes);
+  const endTick = Math.max(1, ...tracks.map((t) => t.end), ...notes.map((n) => n.tick + n.length));
+  // the clip is padded to whole bars, so it loops in time
+  const length = toCycles(Math.ceil(endTick / ticksPerBar) * ticksPerBar);
+  const events = notes.map(({ tick, length, key, velocity }) => {
+    const whole = new TimeSpan(toCycles(tick), toCycles(tick + Math.max(1, length)));
+    return { whole, value: { note: key, velocity: velocity / 127, duration: whole.duration.valueOf() } };
+  });
+  return new Pattern((state) => {
+    const { span } = state;
+    const haps = [];
+    for (let loop = span.begin.div(length).floor(); loop.lte(span.end.div(length)); loop = loop.add(1)) {
+      const offset = loop.mul(length);
+      events.forEach(({ whole, value }) => {
+        const shifted = whole.withTime((t) => t.add(offset));
+        const part = shifted.intersection(span);
+        part && haps.push(new Hap(shifted, part, value));
+      });
+    }
+    return haps;
+  });
+}
+
+const midiFileCache = new Map(); // url -> { file } once loaded, { promise } while loading
+
+function loadMidiFile(url) {
+  if (!midiFileCache.has(url)) {
+    const entry = {};
+    entry.promise = fetch(url)
+      .then((res) => {
+        if (!res.ok) {
+          throw new Error(`${res.status} ${res.statusText}`);
+        }
+        return res.arrayBuffer();
+      })
+      .then((buffer) => (entry.file = parseMidiFile(buffer)))
+      .catch((error) => {
+        midiFileCache.delete(url);
+        throw error;
+      });
+    midiFileCache.set(url, entry);
+  }
+  return midiFileCache.get(url);
+}
+
+/**
+ * Turns a Standard MIDI File into a pattern of `note`, `velocity` (0 - 1) and `duration` (cycles) haps.
+ * One bar of the file (after its time signature) lasts `cyclesPerBar` cycles, and the clip loops after its last bar.
+ * A url is fetched in the background, the pattern is silent until it has loaded.
+ * @name midifile
+ * @param {string | ArrayBuffer | Uint8Array} source url or contents of a .mid file
+ * @param {Object} options
+ * @param {number | string} [options.track] index or name of the track to play, all tracks by default
+ * @param {number} [options.cyclesPerBar=1] cycles per bar of the file
+ * @returns {Pattern}
+ */
+export function midifile(source, options = {}) {
+  if (typeof source !== 'string') {
+    return midiFilePattern(parseMidiFile(source), options);
+  }
+  const entry = loadMidiFile(source);
+  if (entry.file) {
+    return midiFilePattern(entry.file, options);
+  }
+  let pattern = silence;
+  entry.promise.then(
+    (file) => {
+      try {
+        pattern = midiFilePattern(file, options);
+      } catch (error) {
+        logger(`[midi] ${error.message}`, 'error');
+      }
+    },
+    (error) => logger(`[midi] could not load midi file ${source}: ${error.message}`, 'error'),
+  );
+  return new Pattern((state) => pattern.query(state));
+}
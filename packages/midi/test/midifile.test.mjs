@@ -0,0 +1,142 @@
+/*
+midifile.test.mjs - Tests for the Standard MIDI File export
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/midi/test/midifile.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect } from 'vitest';
+import { note, seq, silence, stack } from '@strudel/core';
+import { midifile, parseMidiFile, toMidiFile } from '../midifile.mjs';
+
+const ascii = (bytes) => String.fromCharCode(...bytes);
+
+// splits a file into its chunks, and tracks into [delta, ...message bytes] events
+function readMidiFile(bytes) {
+  const chunks = [];
+  for (let i = 0; i < bytes.length; ) {
+    const length = (bytes[i + 4] << 24) | (bytes[i + 5] << 16) | (bytes[i + 6] << 8) | bytes[i + 7];
+    chunks.push({ type: ascii(bytes.slice(i, i + 4)), data: bytes.slice(i + 8, i + 8 + length) });
+    i += 8 + length;
+  }
+  const [header, ...tracks] = chunks;
+  const word = (i) => (header.data[i] << 8) | header.data[i + 1];
+  return {
+    header: { type: header.type, format: word(0), tracks: word(2), ppq: word(4) },
+    tracks: tracks.map(({ type, data }) => {
+      const events = [];
+      for (let i = 0; i < data.length; ) {
+        let delta = 0;
+        do {
+          delta = (delta << 7) | (data[i] & 0x7f);
+        } while (data[i++] & 0x80);
+        const length = data[i] === 0xff ? 3 + data[i + 2] : (data[i] & 0xf0) === 0xc0 ? 2 : 3;
+        events.push([delta, ...data.slice(i, i + length)]);
+        i += length;
+      }
+      return { type, events };
+    }),
+  };
+}
+
+const trackName = (track) => ascii(track.events[0].slice(4));
+// what the repl does for .p('id')
+const withId = (pattern, patternId) => pattern.withContext((context) => ({ ...context, patternId }));
+
+describe('toMidiFile', () => {
+  it('writes a type 1 file with a tempo track', () => {
+    const { header, tracks } = readMidiFile(toMidiFile(note('c3'), { cycles: 1, cps: 0.5, ppq: 96 }));
+    expect(header).toEqual({ type: 'MThd', format: 1, tracks: 2, ppq: 96 });
+    // 0.5 cps with 4 beats per cycle is 120 bpm, 500000 microseconds per quarter
+    expect(tracks[0].events[1]).toEqual([0, 0xff, 0x51, 3, 0x07, 0xa1, 0x20]);
+  });
+  it('maps notes and velocity like .midi()', () => {
+    const pattern = note(seq('c3', 'e3')).velocity(0.5).gain(0.5);
+    const [, track] = readMidiFile(toMidiFile(pattern, { cycles: 1, ppq: 96 })).tracks;
+    expect(trackName(track)).toEqual('ch1');
+    expect(track.events.slice(1, -1)).toEqual([
+      [0, 0x90, 48, 32],
+      [192, 0x80, 48, 0],
+      [0, 0x90, 52, 32],
+      [192, 0x80, 52, 0],
+    ]);
+  });
+  it('sends control and program changes before notes on the same tick', () => {
+    const pattern = note(60).midichan(2).ccn(74).ccv(0.5).progNum(5);
+    const [, track] = readMidiFile(toMidiFile(pattern, { cycles: 1 })).tracks;
+    expect(track.events.slice(1, 4).map(([, ...message]) => message)).toEqual([
+      [0xc1, 5],
+      [0xb1, 74, 64],
+      [0x91, 60, 114],
+    ]);
+  });
+  it('puts each pattern and channel on its own track', () => {
+    const pattern = stack(
+      withId(note('c3'), 'bass'),
+      withId(note('c5').midichan(3), 'lead'),
+      withId(note('e5').midichan(4).orbit(2), 'lead'),
+    );
+    const { tracks } = readMidiFile(toMidiFile(pattern, { cycles: 2 }));
+    expect(tracks.slice(1).map(trackName)).toEqual(['bass ch1', 'lead ch3', 'lead orbit 2 ch4']);
+  });
+  it('skips notes for controllers', () => {
+    const [, track] = readMidiFile(toMidiFile(note('c3').ccn(1).ccv(1), { cycles: 1, isController: true })).tracks;
+    expect(track.events.slice(1, -1).map(([, ...message]) => message)).toEqual([[0xb0, 1, 127]]);
+  });
+  it('fails for patterns that throw while being queried', () => {
+    const broken = note('c3').withValue(() => {
+      throw new Error('boom');
+    });
+    expect(() => toMidiFile(broken, { cycles: 1 })).toThrow('boom');
+  });
+});
+
+const notes = (pattern, from, to) =>
+  pattern
+    .queryArc(from, to)
+    .map((hap) => [hap.whole.begin.valueOf(), hap.whole.end.valueOf(), hap.value.note, hap.value.velocity]);
+
+describe('midifile', () => {
+  const clip = stack(withId(note(seq('c3', 'e3')), 'keys'), withId(note(seq(silence, 'g2')).midichan(2), 'bass'));
+  const bytes = toMidiFile(clip.velocity(0.5), { cycles: 2 });
+
+  it('parses what toMidiFile writes', () => {
+    const { format, ppq, tempo, tracks } = parseMidiFile(bytes);
+    expect([format, ppq, tempo]).toEqual([1, 480, 500000]);
+    expect(tracks.map((t) => [t.name, t.notes.length])).toEqual([
+      ['strudel', 0],
+      ['keys ch1', 4],
+      ['bass ch2', 2],
+    ]);
+  });
+  it('turns notes into haps, one cycle per bar', () => {
+    const pattern = midifile(bytes.buffer, { track: 'keys ch1' });
+    const velocity = Math.round(0.5 * 127) / 127;
+    expect(notes(pattern, 0, 1)).toEqual([
+      [0, 0.5, 48, velocity],
+      [0.5, 1, 52, velocity],
+    ]);
+    expect(pattern.queryArc(0, 1)[0].value.duration).toEqual(0.5);
+  });
+  it('loops the clip and chains like other patterns', () => {
+    const pattern = midifile(bytes, { track: 2, cyclesPerBar: 2 }).fast(2);
+    expect(notes(pattern, 0, 2).map(([begin, end, note]) => [begin, end, note])).toEqual([
+      [0.5, 1, 43],
+      [1.5, 2, 43],
+    ]);
+  });
+  it('reads running status and note ons with velocity 0 as note offs', () => {
+    // format 0, 96 ppq: c4 for a quarter, then e4 for the rest of the bar, written with running status
+    const track = [0, 0x90, 60, 100, 96, 60, 0, 0, 64, 127, 0x82, 0x20, 64, 0, 0, 0xff, 0x2f, 0];
+    const file = [
+      ...[0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96],
+      ...[0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, track.length, ...track],
+    ];
+    expect(notes(midifile(new Uint8Array(file)), 0, 1)).toEqual([
+      [0, 0.25, 60, 100 / 127],
+      [0.25, 1, 64, 1],
+    ]);
+  });
+  it('rejects unknown tracks', () => {
+    expect(() => midifile(bytes, { track: 'drums' })).toThrow('tracks with notes: 1 (keys ch1), 2 (bass ch2)');
+  });
+});
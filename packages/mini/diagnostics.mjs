@@ -0,0 +1,109 @@
+/*
+diagnostics.mjs - explains mini notation parse errors, with quick fixes for common slips
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/mini/diagnostics.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { mini2ast } from './mini.mjs';
+
+const closing = { '[': ']', '<': '>', '{': '}', '(': ')' };
+const opening = Object.fromEntries(Object.entries(closing).map(([open, close]) => [close, open]));
+
+const quote = (text) => `"${text}"`;
+const list = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items.at(-1)}` : items[0]);
+
+// the parser lists everything it would accept, this keeps the useful part
+function describeExpected(expected) {
+  const descriptions = [];
+  for (const { type, text, description } of expected) {
+    const label =
+      type === 'literal'
+        ? quote(text)
+        : description?.startsWith('a letter')
+          ? 'a step'
+          : type === 'other' && description;
+    label && label !== 'whitespace' && !descriptions.includes(label) && descriptions.push(label);
+  }
+  const closers = descriptions.filter((d) => Object.values(closing).map(quote).includes(d));
+  if (closers.length) {
+    return list(closers);
+  }
+  const starts = descriptions.filter((d) => ['a step', '"["', '"<"', '"{"'].includes(d));
+  return list(starts.length ? starts : descriptions);
+}
+
+// finds brackets that are not closed or closed with the wrong bracket, and commas without anything on one side
+function findSlips(code, offset) {
+  const slips = [];
+  const stack = [];
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+    if (closing[char]) {
+      stack.push(i);
+    } else if (opening[char]) {
+      const open = stack.pop();
+      const from = offset + i;
+      if (open === undefined) {
+        slips.push({ hint: `unexpected ${quote(char)}`, fix: { name: `remove ${quote(char)}`, from, to: from + 1 } });
+        return slips;
+      }
+      const expected = closing[code[open]];
+      if (expected !== char) {
+        slips.push({
+          hint: `${quote(code[open])} closed with ${quote(char)}`,
+          fix: { name: `replace with ${quote(expected)}`, from, to: from + 1, insert: expected },
+        });
+        return slips;
+      }
+    } else if (char === ',') {
+      const before = code.slice(0, i).trimEnd().at(-1);
+      const after = code.slice(i + 1).trimStart()[0];
+      // of two commas in a row, the second one is stray
+      if (before === undefined || '[<{(,|'.includes(before) || after === undefined || ']>})|'.includes(after)) {
+        const from = offset + i;
+        slips.push({ hint: 'stray ","', fix: { name: 'remove ","', from, to: from + 1 } });
+      }
+    }
+  }
+  if (stack.length) {
+    const missing = stack
+      .map((i) => closing[code[i]])
+      .reverse()
+      .join('');
+    const from = offset + code.trimEnd().length;
+    slips.push({
+      hint: `unclosed ${list(stack.map((i) => quote(code[i])))}`,
+      fix: { name: `add ${quote(missing)}`, from, to: from, insert: missing },
+    });
+  }
+  return slips;
+}
+
+/**
+ * Checks a mini notation string, returning a diagnostic for the parse error if there is one.
+ * Diagnostics look like { from, to, message, fixes: [{ name, changes: [{ from, to, insert }] }] },
+ * with positions in the code the string was taken from.
+ * @param {string} code mini notation without quotes
+ * @param {number} offset position of the string in the user code, after the opening quote
+ * @param {string} [userCode] code the string was taken from
+ * @returns {object[]}
+ */
+export function miniDiagnostics(code, offset = 0, userCode) {
+  try {
+    mini2ast(`"${code}"`, offset - 1, userCode);
+    return [];
+  } catch (err) {
+    if (!err.region) {
+      throw err;
+    }
+    let [from, to] = err.region;
+    const end = offset + code.length;
+    const found = from >= end ? 'end of string' : quote(err.found);
+    to = Math.min(Math.max(to, from + 1), end + 1);
+    const slips = findSlips(code, offset);
+    const hints = [...new Set(slips.map((slip) => slip.hint))];
+    const message = [...hints, `expected ${describeExpected(err.expected)} but ${found} found`].join(', ');
+    const fixes = slips.map(({ fix: { name, ...change } }) => ({ name, changes: [{ insert: '', ...change }] }));
+    return [{ from, to, message, fixes }];
+  }
+}
@@ -0,0 +1,109 @@
+/*
+format.mjs - prints mini notation ASTs back to mini notation, to normalize pattern strings
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/mini/format.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { mini2ast } from './mini.mjs';
+
+const separators = { stack: ', ', rand: ' | ', feet: ' . ' };
+
+// [x] plays the same as x, unless x is marked with ^
+const isSubsequence = (node) =>
+  node.type_ === 'pattern' && node.arguments_.alignment === 'fastcat' && !node.arguments_._steps;
+const isPlain = (element) => !element.options_.ops.length && element.options_.weight === 1;
+const unwrap = (node) => {
+  while (isSubsequence(node) && node.source_.length === 1 && isPlain(node.source_[0])) {
+    node = node.source_[0].source_;
+  }
+  return node;
+};
+
+function printSlice(node) {
+  node = unwrap(node);
+  if (node.type_ === 'atom') {
+    return node.source_;
+  }
+  const { alignment, stepsPerCycle } = node.arguments_;
+  if (alignment === 'polymeter') {
+    const steps = stepsPerCycle ? `%${printSlice(stepsPerCycle)}` : '';
+    return `{${node.source_.map(printPattern).join(', ')}}${steps}`;
+  }
+  if (alignment === 'polymeter_slowcat') {
+    return `<${node.source_.map(printPattern).join(', ')}>`;
+  }
+  return `[${printPattern(node)}]`;
+}
+
+function printOp({ type_, arguments_: args }) {
+  switch (type_) {
+    case 'stretch':
+      return `${args.type === 'fast' ? '*' : '/'}${printSlice(args.amount)}`;
+    case 'replicate':
+      return `!${args.amount}`;
+    case 'bjorklund':
+      return `(${[args.pulse, args.step, args.rotation].filter(Boolean).map(printElement).join(',')})`;
+    case 'degradeBy':
+      return `?${args.amount ?? ''}`;
+    case 'tail':
+      return `:${printSlice(args.element)}`;
+    case 'range':
+      // 0..3 would be read as one step
+      return ` .. ${printSlice(args.element)}`;
+    default:
+      throw new Error(`[mini] cannot print operator "${type_}"`);
+  }
+}
+
+function printElement(element) {
+  const { ops, weight } = element.options_;
+  // x!n sets the weight to n, a following @ adds to it
+  const replicate = ops.find((op) => op.type_ === 'replicate');
+  const elongation = replicate ? weight - replicate.arguments_.amount + 1 : weight;
+  return printSlice(element.source_) + ops.map(printOp).join('') + (elongation !== 1 ? `@${elongation}` : '');
+}
+
+function printPattern(node) {
+  const { alignment, _steps } = node.arguments_;
+  if (alignment === 'fastcat') {
+    return (_steps ? '^' : '') + node.source_.map(printElement).join(' ');
+  }
+  if (!separators[alignment]) {
+    throw new Error(`[mini] cannot print alignment "${alignment}"`);
+  }
+  return node.source_.map(printPattern).join(separators[alignment]);
+}
+
+/**
+ * Prints a mini notation AST, as returned by mini2ast, back to mini notation (without quotes).
+ * Whitespace is normalized, `_` and repeated `!` are written as `@n` and `!n`, and needless brackets are left out.
+ * @param {object} ast
+ * @returns {string}
+ */
+export function ast2mini(ast) {
+  const root = unwrap(ast);
+  return root.type_ === 'atom' || root.arguments_.alignment.startsWith('polymeter')
+    ? printSlice(root)
+    : printPattern(root);
+}
+
+/**
+ * Normalizes a mini notation string, parsing it and printing it back with ast2mini,
+ * e.g. "[bd  sd]*2 hh _ _ " becomes "[bd sd]*2 hh@3".
+ * The parts of a stack are kept on their own lines if the string spans several lines.
+ * Throws if the string can not be parsed.
+ * @param {string} code mini notation without quotes
+ * @returns {string}
+ */
+export function formatMini(code) {
+  const ast = mini2ast(`"${code}"`);
+  const root = unwrap(ast);
+  if (!code.includes('\n') || root.arguments_?.alignment !== 'stack') {
+    return ast2mini(ast);
+  }
+  // indent the parts like the second line was indented
+  const indent = code.match(/\n([ \t]*)\S/)?.[1] ?? '';
+  const leading = code.match(/^\s*\n/) ? `\n${indent}` : '';
+  const trailing = code.match(/\n\s*$/)?.[0] ?? '';
+  return leading + root.source_.map(printPattern).join(`,\n${indent}`) + trailing;
+}
@@ -1,2 +1,4 @@
 export * from './mini.mjs';
 export * from './krill-parser.js';
+export * from './format.mjs';
+export * from './diagnostics.mjs';
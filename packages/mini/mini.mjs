@@ -196,7 +196,10 @@ export const mini2ast = (code, start = 0, userCode = code) => {
   } catch (error) {
     const region = [error.location.start.offset + start, error.location.end.offset + start];
     const line = userCode.slice(0, region[0]).split('\n').length;
-    throw new Error(`[mini] parse error at line ${line}: ${error.message}`);
+    const err = new Error(`[mini] parse error at line ${line}: ${error.message}`);
+    // where it happened in the user code, and what the parser would have accepted there
+    Object.assign(err, { region, expected: error.expected, found: error.found });
+    throw err;
   }
 };
 
@@ -0,0 +1,42 @@
+/*
+diagnostics.test.mjs - Tests for the mini notation parse error diagnostics
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/mini/test/diagnostics.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { miniDiagnostics } from '../diagnostics.mjs';
+import { describe, expect, it } from 'vitest';
+
+// applies the first quick fix of the diagnostic to the string at position 10
+const fix = (code) => {
+  const [{ fixes }] = miniDiagnostics(code, 10);
+  const [{ from, to, insert }] = fixes[0].changes;
+  return code.slice(0, from - 10) + insert + code.slice(to - 10);
+};
+
+describe('miniDiagnostics', () => {
+  it('returns nothing for valid strings', () => {
+    expect(miniDiagnostics('bd [hh hh], <c e>', 10)).toEqual([]);
+  });
+  it('locates the error in the user code', () => {
+    const [diagnostic] = miniDiagnostics('a ]', 10);
+    expect(diagnostic.from).toBe(12);
+    expect(diagnostic.to).toBe(13);
+    expect(diagnostic.message).toContain('unexpected "]"');
+  });
+  it('says what was expected', () => {
+    const [diagnostic] = miniDiagnostics('a [b', 10);
+    expect(diagnostic.message).toBe('unclosed "[", expected "]" but end of string found');
+    expect(miniDiagnostics('<a b]', 10)[0].message).toBe('"<" closed with "]", expected ">" but "]" found');
+  });
+  it('fixes unbalanced brackets', () => {
+    expect(fix('a [b <c d ')).toBe('a [b <c d>] ');
+    expect(fix('<a b]')).toBe('<a b>');
+    expect(fix('a b]')).toBe('a b');
+  });
+  it('fixes stray commas', () => {
+    expect(fix('<a b,>')).toBe('<a b>');
+    expect(fix('a,, b')).toBe('a, b');
+    expect(fix('[, a b]')).toBe('[ a b]');
+  });
+});
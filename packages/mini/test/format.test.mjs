@@ -0,0 +1,51 @@
+/*
+format.test.mjs - Tests for the mini notation printer
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/mini/test/format.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { ast2mini, formatMini } from '../format.mjs';
+import { mini, mini2ast } from '../mini.mjs';
+import '@strudel/core/euclid.mjs';
+import { describe, expect, it } from 'vitest';
+
+describe('formatMini', () => {
+  it('normalizes spacing', () => {
+    expect(formatMini(' bd   [hh  hh]  ,  <c  e> ')).toEqual('bd [hh hh], <c e>');
+    expect(formatMini('bd( 3 , 8 , 2 ) a |b')).toEqual('bd(3,8,2) a | b');
+  });
+  it('writes elongation and replication with numbers', () => {
+    expect(formatMini('[bd]  hh _ _ sd ! !')).toEqual('bd hh@3 sd!3');
+    expect(formatMini('a@ b!')).toEqual('a@2 b!2');
+    expect(formatMini('a!2@3 b@3!2 c@1')).toEqual('a!2@3 b!2 c');
+  });
+  it('leaves out brackets around single elements', () => {
+    expect(formatMini('[[a b]]')).toEqual('a b');
+    expect(formatMini('<[a] [[b c]]>*[2]')).toEqual('<a [b c]>*2');
+    expect(formatMini('^[a b] [^c d]')).toEqual('^[a b] [^c d]');
+  });
+  it('keeps the parts of multiline stacks on their own lines', () => {
+    expect(formatMini('\n  bd  sd,\n  hh  hh\n')).toEqual('\n  bd sd,\n  hh hh\n');
+  });
+  it('plays the same as the original', () => {
+    const strings = [
+      'a*2 [b c]/2 d@3 e!2',
+      '<a b, c d e>',
+      '{a b c}%4',
+      'bd(<3 5>,8,<0 2>) hh?0.3 sd?',
+      'c:3 0 .. 3',
+      'a . b c . [d e]',
+      '[a | b | c]*4',
+      'a! ! b _ _ [c d]!2@2',
+    ];
+    for (const code of strings) {
+      const formatted = formatMini(code);
+      expect(formatMini(formatted)).toEqual(formatted);
+      expect(mini(formatted).firstCycle()).toEqual(mini(code).firstCycle());
+    }
+  });
+  it('prints asts', () => {
+    expect(ast2mini(mini2ast('"a  [b c]"'))).toEqual('a [b c]');
+    expect(ast2mini(mini2ast('"<a b>"'))).toEqual('<a b>');
+  });
+});
@@ -6,7 +6,18 @@ This program is free software: you can redistribute it and/or modify it under th
 
 import OSC from 'osc-js';
 
-import { logger, parseNumeral, Pattern, isNote, noteToMidi, ClockCollator } from '@strudel/core';
+import {
+  logger,
+  parseNumeral,
+  Pattern,
+  isNote,
+  noteToMidi,
+  ClockCollator,
+  Hap,
+  TimeSpan,
+  getTime,
+  ref,
+} from '@strudel/core';
 
 let connection; // Promise<OSC>
 function connect() {
@@ -84,3 +95,94 @@ export async function oscTrigger(hap, currentTime, cps = 1, targetTime) {
 Pattern.prototype.osc = function () {
   return this.onTrigger(oscTrigger);
 };
+
+// keys of /dirt/play messages that describe the timing, not the sound
+const dirtTimingKeys = ['_id_', 'cycle', 'delta'];
+
+/**
+ * Turns /dirt/play messages (key value pairs as sent by Tidal to SuperDirt) into the haps of a pattern.
+ * osc-js hands out bundled messages at their timestamp, so they arrive when they should be played already.
+ * Their Tidal cycle is moved by an offset to land at least `lead` cycles after the current cycle of the scheduler,
+ * rounded up to a multiple of `quantize` cycles (0 for none) to keep the bar lines of the Tidal session.
+ * The offset stays until a message would land too early or more than two quantums too late (e.g. when Tidal resets its cycle).
+ * Each hap keeps the cps of Tidal, so the scheduler follows its tempo.
+ * @param {object} options lead (default 0.25) and quantize (default 1)
+ * @returns {{ pattern: Pattern, receive: Function }} receive takes the arguments of a message
+ */
+export function dirtReceiver({ lead = 0.25, quantize = 1, getCycle = getTime } = {}) {
+  let haps = [];
+  let offset;
+  const receive = (args) => {
+    const value = {};
+    for (let i = 0; i < args.length - 1; i += 2) {
+      value[args[i]] = args[i + 1];
+    }
+    const { cycle, delta = 0, cps } = value;
+    if (typeof cycle !== 'number') {
+      return;
+    }
+    dirtTimingKeys.forEach((key) => delete value[key]);
+    const now = getCycle();
+    const earliest = now + lead;
+    let begin = cycle + offset;
+    if (offset === undefined || begin < earliest || begin > earliest + 2 * Math.max(quantize, 1)) {
+      offset = earliest - cycle;
+      quantize > 0 && (offset = Math.ceil(offset / quantize) * quantize);
+      begin = cycle + offset;
+      logger(
+        `[osc] playing /dirt/play messages ${offset > 0 ? '+' : ''}${offset.toFixed(2)} cycles from their Tidal cycle`,
+      );
+    }
+    const whole = new TimeSpan(begin, begin + Math.max(delta * (cps ?? 1), 1 / 128));
+    // haps that have been played already are dropped
+    haps = haps.filter((hap) => hap.whole.end > now - 1);
+    haps.push(new Hap(whole, whole, value));
+  };
+  const pattern = new Pattern((state) =>
+    haps.flatMap((hap) => {
+      const part = hap.whole.intersection(state.span);
+      return part ? [new Hap(hap.whole, part, hap.value)] : [];
+    }),
+  );
+  return { pattern, receive };
+}
+
+const oscValues = {};
+const oscListeners = {};
+
+/**
+ * OSC input: listens for messages to the given address that arrive through the OSC server (see `npm run osc`).
+ * Returns a function that gives a signal of the numeric argument at an index (the last value received, 0 before).
+ * With the `haps` option (default for `/dirt/play`), it returns a pattern that plays the sounds of the messages instead,
+ * so a Tidal session sending to the OSC server can drive Strudel, see dirtReceiver for `lead` and `quantize`.
+ * @param {string} address OSC address, e.g. '/knob', can be an OSC address pattern like '/fader/*'
+ * @param {object} options haps, lead and quantize
+ * @returns {Function | Pattern}
+ * @example
+ * let knob = await oscin('/knob')
+ * note("c a f e").lpf(knob(0).range(200, 4000)).pan(knob(1)).sound("sawtooth")
+ */
+export async function oscin(address, options = {}) {
+  const { haps = address === '/dirt/play', ...receiverOptions } = options;
+  if (typeof address !== 'string') {
+    throw new Error(`oscin: expected an OSC address like '/knob', got ${typeof address}`);
+  }
+  const osc = await connect();
+  let listener;
+  let result;
+  if (haps) {
+    const receiver = dirtReceiver(receiverOptions);
+    listener = (message) => receiver.receive(message.args);
+    result = receiver.pattern;
+  } else {
+    oscValues[address] = oscValues[address] ?? [];
+    listener = (message) =>
+      message.args.forEach((arg, index) => typeof arg === 'number' && (oscValues[address][index] = arg));
+    result = (index = 0) => ref(() => oscValues[address][index] ?? 0);
+  }
+  // the previous evaluation listened already
+  const previous = oscListeners[address];
+  previous?.osc === osc && osc.off(address, previous.id);
+  oscListeners[address] = { osc, id: osc.on(address, listener) };
+  return result;
+}
@@ -0,0 +1,61 @@
+/*
+osc.test.mjs - Tests for OSC input
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/osc/test/osc.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect } from 'vitest';
+import { dirtReceiver } from '../osc.mjs';
+
+// a /dirt/play message as sent by Tidal
+const dirtPlay = (cycle, s, delta = 0.5) => [
+  '_id_',
+  '1',
+  'cps',
+  0.5,
+  'cycle',
+  cycle,
+  'delta',
+  delta,
+  'orbit',
+  0,
+  's',
+  s,
+];
+
+const query = (pattern, begin, end) =>
+  pattern
+    .queryArc(begin, end)
+    .filter((hap) => hap.hasOnset())
+    .map((hap) => [hap.whole.begin.valueOf(), hap.whole.end.valueOf(), hap.value]);
+
+describe('dirtReceiver', () => {
+  it('turns /dirt/play messages into haps on the next cycle', () => {
+    let cycle = 2.5;
+    const { pattern, receive } = dirtReceiver({ getCycle: () => cycle });
+    receive(dirtPlay(503.5, 'bd'));
+    receive(dirtPlay(503.75, 'hh'));
+    // the offset from 503.5 to 2.5 + 0.25 lead rounds up to -500 cycles
+    expect(query(pattern, 3, 4)).toEqual([
+      [3.5, 3.75, { cps: 0.5, orbit: 0, s: 'bd' }],
+      [3.75, 4, { cps: 0.5, orbit: 0, s: 'hh' }],
+    ]);
+  });
+  it('keeps the offset until Tidal jumps', () => {
+    let cycle = 0;
+    const { pattern, receive } = dirtReceiver({ getCycle: () => cycle, quantize: 0 });
+    receive(dirtPlay(10, 'bd'));
+    cycle = 0.5;
+    receive(dirtPlay(10.5, 'sd'));
+    expect(query(pattern, 0, 1).map(([begin]) => begin)).toEqual([0.25, 0.75]);
+    // tidal was reset to cycle 0
+    cycle = 1;
+    receive(dirtPlay(0, 'hh'));
+    expect(query(pattern, 1, 2)).toEqual([[1.25, 1.5, { cps: 0.5, orbit: 0, s: 'hh' }]]);
+  });
+  it('ignores messages without a cycle', () => {
+    const { pattern, receive } = dirtReceiver({ getCycle: () => 0 });
+    receive(['s', 'bd']);
+    expect(query(pattern, 0, 4)).toEqual([]);
+  });
+});
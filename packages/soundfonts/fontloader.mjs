@@ -143,7 +143,7 @@ export function registerSoundfonts() {
   Object.entries(gm).forEach(([name, fonts]) => {
     registerSound(
       name,
-      async (time, value, onended) => {
+      async (time, value, onended, ctx = getAudioContext()) => {
         const [attack, decay, sustain, release] = getADSRValues([
           value.attack,
           value.decay,
@@ -154,7 +154,6 @@ export function registerSoundfonts() {
         const { duration } = value;
         const n = getSoundIndex(value.n, fonts.length);
         const font = fonts[n];
-        const ctx = getAudioContext();
         const bufferSource = await getFontBufferSource(font, value, ctx);
         bufferSource.start(time);
         const envGain = ctx.createGain();
@@ -164,7 +163,7 @@ export function registerSoundfonts() {
         let envEnd = holdEnd + release + 0.01;
 
         // vibrato
-        let vibratoOscillator = getVibratoOscillator(bufferSource.detune, value, time);
+        let vibratoOscillator = getVibratoOscillator(bufferSource.detune, value, time, ctx);
         // pitch envelope
         getPitchEnvelope(bufferSource.detune, value, time, holdEnd);
 
@@ -4,8 +4,8 @@ import { getNoiseBuffer } from './noise.mjs';
 
 export const noises = ['pink', 'white', 'brown', 'crackle'];
 
-export function gainNode(value) {
-  const node = getAudioContext().createGain();
+export function gainNode(value, ac = getAudioContext()) {
+  const node = ac.createGain();
   node.gain.value = value;
   return node;
 }
@@ -153,8 +153,7 @@ let wetfade = (d) => (d < 0.5 ? 1 : 1 - (d - 0.5) / 0.5);
 
 // mix together dry and wet nodes. 0 = only dry 1 = only wet
 // still not too sure about how this could be used more generally...
-export function drywet(dry, wet, wetAmount = 0) {
-  const ac = getAudioContext();
+export function drywet(dry, wet, wetAmount = 0, ac = getAudioContext()) {
   if (!wetAmount) {
     return dry;
   }
@@ -191,13 +190,13 @@ export function getPitchEnvelope(param, value, t, holdEnd) {
   getParamADSR(param, pattack, pdecay, psustain, prelease, min, max, t, holdEnd, curve);
 }
 
-export function getVibratoOscillator(param, value, t) {
+export function getVibratoOscillator(param, value, t, ac = getAudioContext()) {
   const { vibmod = 0.5, vib } = value;
   let vibratoOscillator;
   if (vib > 0) {
-    vibratoOscillator = getAudioContext().createOscillator();
+    vibratoOscillator = ac.createOscillator();
     vibratoOscillator.frequency.value = vib;
-    const gain = getAudioContext().createGain();
+    const gain = ac.createGain();
     // Vibmod is the amount of vibrato, in semitones
     gain.gain.value = vibmod * 100;
     vibratoOscillator.connect(gain);
@@ -218,12 +217,11 @@ export function webAudioTimeout(audioContext, onComplete, startTime, stopTime) {
   };
   return constantNode;
 }
-const mod = (freq, range = 1, type = 'sine') => {
-  const ctx = getAudioContext();
+const mod = (freq, range = 1, type = 'sine', ctx) => {
   let osc;
   if (noises.includes(type)) {
     osc = ctx.createBufferSource();
-    osc.buffer = getNoiseBuffer(type, 2);
+    osc.buffer = getNoiseBuffer(type, 2, ctx);
     osc.loop = true;
   } else {
     osc = ctx.createOscillator();
@@ -236,13 +234,13 @@ const mod = (freq, range = 1, type = 'sine') => {
   osc.connect(g); // -range, range
   return { node: g, stop: (t) => osc.stop(t) };
 };
-const fm = (frequencyparam, harmonicityRatio, modulationIndex, wave = 'sine') => {
+const fm = (frequencyparam, harmonicityRatio, modulationIndex, wave = 'sine', ac) => {
   const carrfreq = frequencyparam.value;
   const modfreq = carrfreq * harmonicityRatio;
   const modgain = modfreq * modulationIndex;
-  return mod(modfreq, modgain, wave);
+  return mod(modfreq, modgain, wave, ac);
 };
-export function applyFM(param, value, begin) {
+export function applyFM(param, value, begin, ac = getAudioContext()) {
   const {
     fmh: fmHarmonicity = 1,
     fmi: fmModulationIndex,
@@ -259,9 +257,8 @@ export function applyFM(param, value, begin) {
   let stop = () => {};
 
   if (fmModulationIndex) {
-    const ac = getAudioContext();
     const envGain = ac.createGain();
-    const fmmod = fm(param, fmHarmonicity, fmModulationIndex, fmWaveform);
+    const fmmod = fm(param, fmHarmonicity, fmModulationIndex, fmWaveform, ac);
 
     modulator = fmmod.node;
     stop = fmmod.stop;
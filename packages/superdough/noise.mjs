@@ -4,8 +4,7 @@ import { getAudioContext } from './superdough.mjs';
 let noiseCache = {};
 
 // lazy generates noise buffers and keeps them forever
-export function getNoiseBuffer(type, density) {
-  const ac = getAudioContext();
+export function getNoiseBuffer(type, density, ac = getAudioContext()) {
   if (noiseCache[type]) {
     return noiseCache[type];
   }
@@ -50,10 +49,9 @@ export function getNoiseBuffer(type, density) {
 }
 
 // expects one of noises as type
-export function getNoiseOscillator(type = 'white', t, density = 0.02) {
-  const ac = getAudioContext();
+export function getNoiseOscillator(type = 'white', t, density = 0.02, ac = getAudioContext()) {
   const o = ac.createBufferSource();
-  o.buffer = getNoiseBuffer(type, density);
+  o.buffer = getNoiseBuffer(type, density, ac);
   o.loop = true;
   o.start(t);
   return {
@@ -62,9 +60,9 @@ export function getNoiseOscillator(type = 'white', t, density = 0.02) {
   };
 }
 
-export function getNoiseMix(inputNode, wet, t) {
-  const noiseOscillator = getNoiseOscillator('pink', t);
-  const noiseMix = drywet(inputNode, noiseOscillator.node, wet);
+export function getNoiseMix(inputNode, wet, t, ac = getAudioContext()) {
+  const noiseOscillator = getNoiseOscillator('pink', t, undefined, ac);
+  const noiseMix = drywet(inputNode, noiseOscillator.node, wet, ac);
   return {
     node: noiseMix,
     stop: (time) => noiseOscillator?.stop(time),
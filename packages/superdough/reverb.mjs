@@ -1,7 +1,7 @@
 import reverbGen from './reverbGen.mjs';
 
-if (typeof AudioContext !== 'undefined') {
-  AudioContext.prototype.adjustLength = function (duration, buffer) {
+if (typeof BaseAudioContext !== 'undefined') {
+  BaseAudioContext.prototype.adjustLength = function (duration, buffer) {
     const newLength = buffer.sampleRate * duration;
     const newBuffer = this.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
     for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
@@ -15,7 +15,7 @@ if (typeof AudioContext !== 'undefined') {
     return newBuffer;
   };
 
-  AudioContext.prototype.createReverb = function (duration, fade, lp, dim, ir) {
+  BaseAudioContext.prototype.createReverb = function (duration, fade, lp, dim, ir) {
     const convolver = this.createConvolver();
     convolver.generate = (d = 2, fade = 0.1, lp = 15000, dim = 1000, ir) => {
       convolver.duration = d;
@@ -25,19 +25,24 @@ if (typeof AudioContext !== 'undefined') {
       convolver.ir = ir;
       if (ir) {
         convolver.buffer = this.adjustLength(d, ir);
+        convolver.ready = Promise.resolve();
       } else {
-        reverbGen.generateReverb(
-          {
-            audioContext: this,
-            numChannels: 2,
-            decayTime: d,
-            fadeInTime: fade,
-            lpFreqStart: lp,
-            lpFreqEnd: dim,
-          },
-          (buffer) => {
-            convolver.buffer = buffer;
-          },
+        // resolves once the impulse response is set, offline renders wait for it
+        convolver.ready = new Promise((resolve) =>
+          reverbGen.generateReverb(
+            {
+              audioContext: this,
+              numChannels: 2,
+              decayTime: d,
+              fadeInTime: fade,
+              lpFreqStart: lp,
+              lpFreqEnd: dim,
+            },
+            (buffer) => {
+              convolver.buffer = buffer;
+              resolve();
+            },
+          ),
         );
       }
     };
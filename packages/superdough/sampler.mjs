@@ -53,12 +53,11 @@ export function getSampleInfo(hapValue, bank) {
 }
 
 // takes hapValue and returns buffer + playbackRate.
-export const getSampleBuffer = async (hapValue, bank, resolveUrl) => {
+export const getSampleBuffer = async (hapValue, bank, resolveUrl, ac = getAudioContext()) => {
   let { sampleUrl, label, playbackRate } = getSampleInfo(hapValue, bank);
   if (resolveUrl) {
     sampleUrl = await resolveUrl(sampleUrl);
   }
-  const ac = getAudioContext();
   const buffer = await loadBuffer(sampleUrl, ac, label);
 
   if (hapValue.unit === 'c') {
@@ -68,13 +67,12 @@ export const getSampleBuffer = async (hapValue, bank, resolveUrl) => {
 };
 
 // creates playback ready AudioBufferSourceNode from hapValue
-export const getSampleBufferSource = async (hapValue, bank, resolveUrl) => {
-  let { buffer, playbackRate } = await getSampleBuffer(hapValue, bank, resolveUrl);
+export const getSampleBufferSource = async (hapValue, bank, resolveUrl, ac = getAudioContext()) => {
+  let { buffer, playbackRate } = await getSampleBuffer(hapValue, bank, resolveUrl, ac);
   if (hapValue.speed < 0) {
     // should this be cached?
-    buffer = reverseBuffer(buffer);
+    buffer = reverseBuffer(buffer, ac);
   }
-  const ac = getAudioContext();
   const bufferSource = ac.createBufferSource();
   bufferSource.buffer = buffer;
   bufferSource.playbackRate.value = playbackRate;
@@ -118,8 +116,7 @@ export const loadBuffer = (url, ac, s, n = 0) => {
   return loadCache[url];
 };
 
-export function reverseBuffer(buffer) {
-  const ac = getAudioContext();
+export function reverseBuffer(buffer, ac = getAudioContext()) {
   const reversed = ac.createBuffer(buffer.numberOfChannels, buffer.length, ac.sampleRate);
   for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
     reversed.copyToChannel(buffer.getChannelData(channel).slice().reverse(), channel, channel);
@@ -265,7 +262,7 @@ export const samples = async (sampleMap, baseUrl = sampleMap._base || '', option
   processSampleMap(
     sampleMap,
     (key, bank) =>
-      registerSound(key, (t, hapValue, onended) => onTriggerSample(t, hapValue, onended, bank), {
+      registerSound(key, (t, hapValue, onended, ac) => onTriggerSample(t, hapValue, onended, bank, undefined, ac), {
         type: 'sample',
         samples: bank,
         baseUrl,
@@ -278,7 +275,7 @@ export const samples = async (sampleMap, baseUrl = sampleMap._base || '', option
 
 const cutGroups = [];
 
-export async function onTriggerSample(t, value, onended, bank, resolveUrl) {
+export async function onTriggerSample(t, value, onended, bank, resolveUrl, ac = getAudioContext()) {
   let {
     s,
     nudge = 0, // TODO: is this in seconds?
@@ -295,12 +292,11 @@ export async function onTriggerSample(t, value, onended, bank, resolveUrl) {
     // no playback
     return;
   }
-  const ac = getAudioContext();
 
   // destructure adsr here, because the default should be different for synths and samples
   let [attack, decay, sustain, release] = getADSRValues([value.attack, value.decay, value.sustain, value.release]);
 
-  const { bufferSource, sliceDuration, offset } = await getSampleBufferSource(value, bank, resolveUrl);
+  const { bufferSource, sliceDuration, offset } = await getSampleBufferSource(value, bank, resolveUrl, ac);
 
   // asny stuff above took too long?
   if (ac.currentTime > t) {
@@ -314,7 +310,7 @@ export async function onTriggerSample(t, value, onended, bank, resolveUrl) {
   }
 
   // vibrato
-  let vibratoOscillator = getVibratoOscillator(bufferSource.detune, value, t);
+  let vibratoOscillator = getVibratoOscillator(bufferSource.detune, value, t, ac);
 
   const time = t + nudge;
   bufferSource.start(time, offset);
@@ -285,23 +285,38 @@ export async function initAudioOnFirstClick(options) {
 let delays = {};
 const maxfeedback = 0.98;
 
-let channelMerger, destinationGain;
+//type output {
+// audioContext: BaseAudioContext,
+// orbits: { [orbit]: orbit },
+// channelMerger, destinationGain: the routing to audioContext.destination
+// activeSoundSources: Map, for voice stealing
+// maxPolyphony?: number, overrides the global setting
+//}
+// where superdough plays: the live output follows getAudioContext, renderOffline makes one per render
+const liveOutput = {
+  get audioContext() {
+    return getAudioContext();
+  },
+  orbits: {},
+  activeSoundSources: new Map(),
+};
+
 //update the output channel configuration to match user's audio device
-export function initializeAudioOutput() {
-  const audioContext = getAudioContext();
+export function initializeAudioOutput(output = liveOutput) {
+  const { audioContext } = output;
   const maxChannelCount = audioContext.destination.maxChannelCount;
   audioContext.destination.channelCount = maxChannelCount;
-  channelMerger = new ChannelMergerNode(audioContext, { numberOfInputs: audioContext.destination.channelCount });
-  destinationGain = new GainNode(audioContext);
-  channelMerger.connect(destinationGain);
-  destinationGain.connect(audioContext.destination);
+  output.channelMerger = new ChannelMergerNode(audioContext, { numberOfInputs: audioContext.destination.channelCount });
+  output.destinationGain = new GainNode(audioContext);
+  output.channelMerger.connect(output.destinationGain);
+  output.destinationGain.connect(audioContext.destination);
 }
 
 // input: AudioNode, channels: ?Array<int>
-export const connectToDestination = (input, channels = [0, 1]) => {
-  const ctx = getAudioContext();
-  if (channelMerger == null) {
-    initializeAudioOutput();
+export const connectToDestination = (input, channels = [0, 1], output = liveOutput) => {
+  const ctx = output.audioContext;
+  if (output.channelMerger == null) {
+    initializeAudioOutput(output);
   }
   //This upmix can be removed if correct channel counts are set throughout the app,
   // and then strudel could theoretically support surround sound audio files
@@ -313,29 +328,29 @@ export const connectToDestination = (input, channels = [0, 1]) => {
   });
   stereoMix.connect(splitter);
   channels.forEach((ch, i) => {
-    splitter.connect(channelMerger, i % stereoMix.channelCount, ch % ctx.destination.channelCount);
+    splitter.connect(output.channelMerger, i % stereoMix.channelCount, ch % ctx.destination.channelCount);
   });
 };
 
 export const panic = () => {
-  if (destinationGain == null) {
+  if (liveOutput.destinationGain == null) {
     return;
   }
-  destinationGain.gain.linearRampToValueAtTime(0, getAudioContext().currentTime + 0.01);
-  destinationGain = null;
-  channelMerger == null;
+  liveOutput.destinationGain.gain.linearRampToValueAtTime(0, getAudioContext().currentTime + 0.01);
+  liveOutput.destinationGain = null;
+  liveOutput.channelMerger == null;
 };
 
-function getDelay(orbit, delaytime, delayfeedback, t, channels) {
+function getDelay(output, orbit, delaytime, delayfeedback, t) {
+  const { orbits } = output;
   if (delayfeedback > maxfeedback) {
     //logger(`delayfeedback was clamped to ${maxfeedback} to save your ears`);
   }
   delayfeedback = clamp(delayfeedback, 0, 0.98);
   if (!orbits[orbit].delayNode) {
-    const ac = getAudioContext();
-    const dly = ac.createFeedbackDelay(1, delaytime, delayfeedback);
+    const dly = output.audioContext.createFeedbackDelay(1, delaytime, delayfeedback);
     dly.start?.(t); // for some reason, this throws when audion extension is installed..
-    connectToOrbit(dly, orbit);
+    connectToOrbit(output, dly, orbit);
     orbits[orbit].delayNode = dly;
   }
   orbits[orbit].delayNode.delayTime.value !== delaytime &&
@@ -367,8 +382,7 @@ export function getLfo(audioContext, begin, end, properties = {}) {
   return getWorklet(audioContext, 'lfo-processor', lfoprops);
 }
 
-function getPhaser(time, end, frequency = 1, depth = 0.5, centerFrequency = 1000, sweep = 2000) {
-  const ac = getAudioContext();
+function getPhaser(ac, time, end, frequency = 1, depth = 0.5, centerFrequency = 1000, sweep = 2000) {
   const lfoGain = getLfo(ac, time, end, { frequency, depth: sweep * 2 });
 
   //filters
@@ -403,37 +417,38 @@ function getFilterType(ftype) {
 // reverbNode: reverbNode
 // delayNode: delayNode
 //}
-let orbits = {};
-function connectToOrbit(node, orbit) {
-  if (orbits[orbit] == null) {
+function connectToOrbit(output, node, orbit) {
+  if (output.orbits[orbit] == null) {
     errorLogger(new Error('target orbit does not exist'), 'superdough');
   }
-  node.connect(orbits[orbit].gain);
+  node.connect(output.orbits[orbit].gain);
 }
 
-function setOrbit(audioContext, orbit, channels) {
+function setOrbit(output, orbit, channels) {
+  const { orbits, audioContext } = output;
   if (orbits[orbit] == null) {
     orbits[orbit] = {
       gain: new GainNode(audioContext, { gain: 1 }),
     };
-    connectToDestination(orbits[orbit].gain, channels);
+    connectToDestination(orbits[orbit].gain, channels, output);
   }
 }
-function duckOrbit(audioContext, targetOrbit, t, attacktime = 0.1, duckdepth = 1) {
+function duckOrbit(output, targetOrbit, t, attacktime = 0.1, duckdepth = 1) {
   const targetArr = [targetOrbit].flat();
 
   targetArr.forEach((target) => {
-    if (orbits[target] == null) {
+    if (output.orbits[target] == null) {
       errorLogger(new Error(`duck target orbit ${target} does not exist`), 'superdough');
       return;
     }
+    const { gain } = output.orbits[target].gain;
     webAudioTimeout(
-      audioContext,
+      output.audioContext,
       () => {
-        orbits[target].gain.gain.cancelScheduledValues(t);
-        const currVal = orbits[target].gain.gain.value;
-        orbits[target].gain.gain.linearRampToValueAtTime(clamp(1 - Math.pow(duckdepth, 0.5), 0.01, currVal), t);
-        orbits[target].gain.gain.exponentialRampToValueAtTime(1, t + Math.max(0.002, attacktime));
+        gain.cancelScheduledValues(t);
+        const currVal = gain.value;
+        gain.linearRampToValueAtTime(clamp(1 - Math.pow(duckdepth, 0.5), 0.01, currVal), t);
+        gain.exponentialRampToValueAtTime(1, t + Math.max(0.002, attacktime));
       },
       0,
       t - 0.01,
@@ -442,12 +457,12 @@ function duckOrbit(audioContext, targetOrbit, t, attacktime = 0.1, duckdepth = 1
 }
 
 let hasChanged = (now, before) => now !== undefined && now !== before;
-function getReverb(orbit, duration, fade, lp, dim, ir) {
+function getReverb(output, orbit, duration, fade, lp, dim, ir) {
+  const { orbits } = output;
   // If no reverb has been created for a given orbit, create one
   if (!orbits[orbit].reverbNode) {
-    const ac = getAudioContext();
-    const reverb = ac.createReverb(duration, fade, lp, dim, ir);
-    connectToOrbit(reverb, orbit);
+    const reverb = output.audioContext.createReverb(duration, fade, lp, dim, ir);
+    connectToOrbit(output, reverb, orbit);
     orbits[orbit].reverbNode = reverb;
   }
   if (
@@ -499,29 +514,53 @@ export function getAnalyzerData(type = 'time', id = 1) {
   return analysersData[id];
 }
 
-function effectSend(input, effect, wet) {
-  const send = gainNode(wet);
+function effectSend(input, effect, wet, ac) {
+  const send = gainNode(wet, ac);
   input.connect(send);
   send.connect(effect);
   return send;
 }
 
 export function resetGlobalEffects() {
-  orbits = {};
+  liveOutput.orbits = {};
   analysers = {};
   analysersData = {};
 }
 
-let activeSoundSources = new Map();
+/**
+ * Renders sounds without playing them. schedule(trigger, context) gets a trigger that takes the arguments of superdough
+ * and builds the sounds, orbits (with their reverbs and delays) and worklets in an OfflineAudioContext of the given length.
+ * The live output keeps playing meanwhile. Resolves with the rendered AudioBuffer.
+ */
+export async function renderOffline(schedule, { duration, sampleRate = 48000, channels = 2 } = {}) {
+  const context = new OfflineAudioContext(channels, Math.ceil(duration * sampleRate), sampleRate);
+  const output = {
+    audioContext: context,
+    orbits: {},
+    activeSoundSources: new Map(),
+    // nothing ends before rendering starts, so voice stealing would cut every sound after the first maxPolyphony
+    maxPolyphony: Infinity,
+  };
+  try {
+    await context.audioWorklet.addModule(workletsUrl);
+  } catch (err) {
+    logger(`[superdough] could not load AudioWorklet effects for offline rendering: ${err.message}`, 'warning');
+  }
+  const trigger = (value, t, hapDuration, cps, cycle) => superdough(value, t, hapDuration, cps, cycle, output);
+  await schedule(trigger, context);
+  await Promise.all(Object.values(output.orbits).map((orbit) => orbit.reverbNode?.ready));
+  return context.startRendering();
+}
 //music programs/audio gear usually increments inputs/outputs from 1, we need to subtract 1 from the input because the webaudio API channels start at 0
 
 function mapChannelNumbers(channels) {
   return (Array.isArray(channels) ? channels : [channels]).map((ch) => ch - 1);
 }
 
-export const superdough = async (value, t, hapDuration, cps = 0.5, cycle = 0.5) => {
+export const superdough = async (value, t, hapDuration, cps = 0.5, cycle = 0.5, output = liveOutput) => {
   // new: t is always expected to be the absolute target onset time
-  const ac = getAudioContext();
+  const ac = output.audioContext;
+  const { activeSoundSources } = output;
 
   let { stretch } = value;
   if (stretch != null) {
@@ -637,10 +676,10 @@ export const superdough = async (value, t, hapDuration, cps = 0.5, cycle = 0.5)
   );
 
   const channels = value.channels != null ? mapChannelNumbers(value.channels) : orbitChannels;
-  setOrbit(ac, orbit, channels, t, cycle, cps);
+  setOrbit(output, orbit, channels);
 
   if (duckorbit != null) {
-    duckOrbit(ac, duckorbit, t, duckattack, duckdepth);
+    duckOrbit(output, duckorbit, t, duckattack, duckdepth);
   }
 
   gain = applyGainCurve(nanFallback(gain, 1));
@@ -657,7 +696,7 @@ export const superdough = async (value, t, hapDuration, cps = 0.5, cycle = 0.5)
   const chainID = Math.round(Math.random() * 1000000);
 
   // oldest audio nodes will be destroyed if maximum polyphony is exceeded
-  for (let i = 0; i <= activeSoundSources.size - maxPolyphony; i++) {
+  for (let i = 0; i <= activeSoundSources.size - (output.maxPolyphony ?? maxPolyphony); i++) {
     const ch = activeSoundSources.entries().next();
     const source = ch.value[1];
     const chainID = ch.value[0];
@@ -687,7 +726,7 @@ export const superdough = async (value, t, hapDuration, cps = 0.5, cycle = 0.5)
       audioNodes.forEach((n) => n?.disconnect());
       activeSoundSources.delete(chainID);
     };
-    const soundHandle = await onTrigger(t, value, onEnded);
+    const soundHandle = await onTrigger(t, value, onEnded, ac);
 
     if (soundHandle) {
       sourceNode = soundHandle.node;
@@ -711,7 +750,7 @@ export const superdough = async (value, t, hapDuration, cps = 0.5, cycle = 0.5)
   stretch !== undefined && chain.push(getWorklet(ac, 'phase-vocoder-processor', { pitchFactor: stretch }));
 
   // gain stage
-  chain.push(gainNode(gain));
+  chain.push(gainNode(gain, ac));
 
   //filter
   const ftype = getFilterType(value.ftype);
@@ -821,7 +860,7 @@ export const superdough = async (value, t, hapDuration, cps = 0.5, cycle = 0.5)
   }
   // phaser
   if (phaser !== undefined && phaserdepth > 0) {
-    const phaserFX = getPhaser(t, endWithRelease, phaser, phaserdepth, phasercenter, phasersweep);
+    const phaserFX = getPhaser(ac, t, endWithRelease, phaser, phaserdepth, phasercenter, phasersweep);
     chain.push(phaserFX);
   }
 
@@ -832,8 +871,8 @@ export const superdough = async (value, t, hapDuration, cps = 0.5, cycle = 0.5)
   // delay
   let delaySend;
   if (delay > 0 && delaytime > 0 && delayfeedback > 0) {
-    const delayNode = getDelay(orbit, delaytime, delayfeedback, t, orbitChannels);
-    delaySend = effectSend(post, delayNode, delay);
+    const delayNode = getDelay(output, orbit, delaytime, delayfeedback, t);
+    delaySend = effectSend(post, delayNode, delay, ac);
     audioNodes.push(delaySend);
   }
   // reverb
@@ -850,25 +889,26 @@ export const superdough = async (value, t, hapDuration, cps = 0.5, cycle = 0.5)
       }
       roomIR = await loadBuffer(url, ac, ir, 0);
     }
-    const reverbNode = getReverb(orbit, roomsize, roomfade, roomlp, roomdim, roomIR, orbitChannels);
-    reverbSend = effectSend(post, reverbNode, room);
+    const reverbNode = getReverb(output, orbit, roomsize, roomfade, roomlp, roomdim, roomIR);
+    reverbSend = effectSend(post, reverbNode, room, ac);
     audioNodes.push(reverbSend);
   }
 
   // analyser
   let analyserSend;
-  if (analyze) {
+  // the analysers feed the live visuals
+  if (analyze && output === liveOutput) {
     const analyserNode = getAnalyserById(analyze, 2 ** (fft + 5));
-    analyserSend = effectSend(post, analyserNode, 1);
+    analyserSend = effectSend(post, analyserNode, 1, ac);
     audioNodes.push(analyserSend);
   }
   if (dry != null) {
     dry = applyGainCurve(dry);
     const dryGain = new GainNode(ac, { gain: dry });
     chain.push(dryGain);
-    connectToOrbit(dryGain, orbit);
+    connectToOrbit(output, dryGain, orbit);
   } else {
-    connectToOrbit(post, orbit);
+    connectToOrbit(output, post, orbit);
   }
 
   // connect chain elements together
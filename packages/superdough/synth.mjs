@@ -57,18 +57,18 @@ export function registerSynthSounds() {
   [...waveforms].forEach((s) => {
     registerSound(
       s,
-      (t, value, onended) => {
+      (t, value, onended, ac = getAudioContext()) => {
         const [attack, decay, sustain, release] = getADSRValues(
           [value.attack, value.decay, value.sustain, value.release],
           'linear',
           [0.001, 0.05, 0.6, 0.01],
         );
 
-        let sound = getOscillator(s, t, value);
+        let sound = getOscillator(s, t, value, ac);
         let { node: o, stop, triggerRelease } = sound;
 
         // turn down
-        const g = gainNode(0.3);
+        const g = gainNode(0.3, ac);
 
         const { duration } = value;
 
@@ -78,7 +78,7 @@ export function registerSynthSounds() {
           onended();
         };
 
-        const envGain = gainNode(1);
+        const envGain = gainNode(1, ac);
         let node = o.connect(g).connect(envGain);
         const holdEnd = t + duration;
         getParamADSR(node.gain, attack, decay, sustain, release, 0, 1, t, holdEnd, 'linear');
@@ -98,9 +98,8 @@ export function registerSynthSounds() {
 
   registerSound(
     'sbd',
-    (t, value, onended) => {
+    (t, value, onended, ctx = getAudioContext()) => {
       const { duration, decay = 0.5, pdecay = 0.5, penv = 36, clip } = value;
-      const ctx = getAudioContext();
       const attackhold = 0.02;
       const noiselvl = 1.2;
       const noisedecay = 0.025;
@@ -112,13 +111,13 @@ export function registerSynthSounds() {
       o.detune.setValueAtTime(penv * 100, 0);
       o.detune.setValueAtTime(penv * 100, t);
       o.detune.exponentialRampToValueAtTime(0.001, t + pdecay);
-      const g = gainNode(1);
+      const g = gainNode(1, ctx);
       g.gain.setValueAtTime(1, t + attackhold);
       g.gain.exponentialRampToValueAtTime(0.001, t + attackhold + decay);
       o.start(t);
 
-      const noise = getNoiseOscillator('brown', t, 2);
-      const noiseGain = gainNode(1);
+      const noise = getNoiseOscillator('brown', t, 2, ctx);
+      const noiseGain = gainNode(1, ctx);
       noiseGain.gain.setValueAtTime(noiselvl, t);
       noiseGain.gain.exponentialRampToValueAtTime(0.001, t + noisedecay);
 
@@ -126,7 +125,7 @@ export function registerSynthSounds() {
       // tri to sine diode shaper emulation
       sat.curve = makeSaturationCurve(2, ctx.sampleRate);
 
-      const mix = gainNode(mixGain);
+      const mix = gainNode(mixGain, ctx);
 
       o.onended = () => {
         o.disconnect();
@@ -166,8 +165,7 @@ export function registerSynthSounds() {
 
   registerSound(
     'supersaw',
-    (begin, value, onended) => {
-      const ac = getAudioContext();
+    (begin, value, onended, ac = getAudioContext()) => {
       let { duration, n, unison = 5, spread = 0.6, detune } = value;
       detune = detune ?? n ?? 0.18;
       const frequency = getFrequencyFromValue(value);
@@ -200,9 +198,9 @@ export function registerSynthSounds() {
 
       const gainAdjustment = 1 / Math.sqrt(voices);
       getPitchEnvelope(o.parameters.get('detune'), value, begin, holdend);
-      const vibratoOscillator = getVibratoOscillator(o.parameters.get('detune'), value, begin);
-      const fm = applyFM(o.parameters.get('frequency'), value, begin);
-      let envGain = gainNode(1);
+      const vibratoOscillator = getVibratoOscillator(o.parameters.get('detune'), value, begin, ac);
+      const fm = applyFM(o.parameters.get('frequency'), value, begin, ac);
+      let envGain = gainNode(1, ac);
       envGain = o.connect(envGain);
 
       getParamADSR(envGain.gain, attack, decay, sustain, release, 0, 0.3 * gainAdjustment, begin, holdend, 'linear');
@@ -232,7 +230,7 @@ export function registerSynthSounds() {
 
   registerSound(
     'bytebeat',
-    (begin, value, onended) => {
+    (begin, value, onended, ac = getAudioContext()) => {
       const defaultBeats = [
         '(t%255 >= t/255%255)*255',
         '(t*(t*8%60 <= 300)|(-t)*(t*4%512 < 256))+t/400',
@@ -254,8 +252,6 @@ export function registerSynthSounds() {
       const frequency = getFrequencyFromValue(value);
       const { byteBeatExpression = defaultBeats[n % defaultBeats.length], byteBeatStartTime } = value;
 
-      const ac = getAudioContext();
-
       let { duration } = value;
       const [attack, decay, sustain, release] = getADSRValues(
         [value.attack, value.decay, value.sustain, value.release],
@@ -280,7 +276,7 @@ export function registerSynthSounds() {
 
       o.port.postMessage({ codeText: byteBeatExpression, byteBeatStartTime, frequency });
 
-      let envGain = gainNode(1);
+      let envGain = gainNode(1, ac);
       envGain = o.connect(envGain);
 
       getParamADSR(envGain.gain, attack, decay, sustain, release, 0, 1, begin, holdend, 'linear');
@@ -308,8 +304,7 @@ export function registerSynthSounds() {
 
   registerSound(
     'pulse',
-    (begin, value, onended) => {
-      const ac = getAudioContext();
+    (begin, value, onended, ac = getAudioContext()) => {
       let { pwrate, pwsweep } = value;
       if (pwsweep == null) {
         if (pwrate != null) {
@@ -348,9 +343,9 @@ export function registerSynthSounds() {
       );
 
       getPitchEnvelope(o.parameters.get('detune'), value, begin, holdend);
-      const vibratoOscillator = getVibratoOscillator(o.parameters.get('detune'), value, begin);
-      const fm = applyFM(o.parameters.get('frequency'), value, begin);
-      let envGain = gainNode(1);
+      const vibratoOscillator = getVibratoOscillator(o.parameters.get('detune'), value, begin, ac);
+      const fm = applyFM(o.parameters.get('frequency'), value, begin, ac);
+      let envGain = gainNode(1, ac);
       envGain = o.connect(envGain);
 
       getParamADSR(envGain.gain, attack, decay, sustain, release, 0, 1, begin, holdend, 'linear');
@@ -386,7 +381,7 @@ export function registerSynthSounds() {
   [...noises].forEach((s) => {
     registerSound(
       s,
-      (t, value, onended) => {
+      (t, value, onended, ac = getAudioContext()) => {
         const [attack, decay, sustain, release] = getADSRValues(
           [value.attack, value.decay, value.sustain, value.release],
           'linear',
@@ -396,12 +391,12 @@ export function registerSynthSounds() {
         let sound;
 
         let { density } = value;
-        sound = getNoiseOscillator(s, t, density);
+        sound = getNoiseOscillator(s, t, density, ac);
 
         let { node: o, stop, triggerRelease } = sound;
 
         // turn down
-        const g = gainNode(0.3);
+        const g = gainNode(0.3, ac);
 
         const { duration } = value;
 
@@ -411,7 +406,7 @@ export function registerSynthSounds() {
           onended();
         };
 
-        const envGain = gainNode(1);
+        const envGain = gainNode(1, ac);
         let node = o.connect(g).connect(envGain);
         const holdEnd = t + duration;
         getParamADSR(node.gain, attack, decay, sustain, release, 0, 1, t, holdEnd, 'linear');
@@ -431,10 +426,9 @@ export function registerSynthSounds() {
   waveformAliases.forEach(([alias, actual]) => soundMap.set({ ...soundMap.get(), [alias]: soundMap.get()[actual] }));
 }
 
-export function waveformN(partials, type) {
+export function waveformN(partials, type, ac = getAudioContext()) {
   const real = new Float32Array(partials + 1);
   const imag = new Float32Array(partials + 1);
-  const ac = getAudioContext();
   const osc = ac.createOscillator();
 
   const terms = {
@@ -463,31 +457,31 @@ export function waveformN(partials, type) {
 }
 
 // expects one of waveforms as s
-export function getOscillator(s, t, value) {
+export function getOscillator(s, t, value, ac = getAudioContext()) {
   let { n: partials, duration, noise = 0 } = value;
   let o;
   // If no partials are given, use stock waveforms
   if (!partials || s === 'sine') {
-    o = getAudioContext().createOscillator();
+    o = ac.createOscillator();
     o.type = s || 'triangle';
   }
   // generate custom waveform if partials are given
   else {
-    o = waveformN(partials, s);
+    o = waveformN(partials, s, ac);
   }
   // set frequency
   o.frequency.value = getFrequencyFromValue(value);
   o.start(t);
 
-  let vibratoOscillator = getVibratoOscillator(o.detune, value, t);
+  let vibratoOscillator = getVibratoOscillator(o.detune, value, t, ac);
 
   // pitch envelope
   getPitchEnvelope(o.detune, value, t, t + duration);
-  const fmModulator = applyFM(o.frequency, value, t);
+  const fmModulator = applyFM(o.frequency, value, t, ac);
 
   let noiseMix;
   if (noise) {
-    noiseMix = getNoiseMix(o, noise, t);
+    noiseMix = getNoiseMix(o, noise, t, ac);
   }
 
   return {
@@ -0,0 +1,141 @@
+/*
+superdough.test.mjs - Tests for offline rendering, against a stubbed Web Audio API
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/superdough/test/superdough.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import { getAudioContext, registerSound, renderOffline, resetGlobalEffects, superdough } from '../superdough.mjs';
+import { setLogger } from '../logger.mjs';
+
+const param = (value) => ({
+  value,
+  setValueAtTime() {},
+  linearRampToValueAtTime() {},
+  exponentialRampToValueAtTime() {},
+  cancelScheduledValues() {},
+});
+
+// like Web Audio, connecting nodes of different contexts throws
+class FakeNode {
+  constructor(context, { gain = 1 } = {}) {
+    this.context = context;
+    this.gain = param(gain);
+    this.channelCount = 2;
+    this.connections = [];
+  }
+  connect(target) {
+    if (target.context !== this.context) {
+      throw new Error('cannot connect nodes of different audio contexts');
+    }
+    this.connections.push(target);
+    return target;
+  }
+  disconnect() {}
+}
+
+class FakeContext {
+  constructor() {
+    this.currentTime = 0;
+    this.destination = new FakeNode(this);
+    this.destination.maxChannelCount = 2;
+    this.audioWorklet = { addModule: async () => {} };
+  }
+  createGain() {
+    return new FakeNode(this);
+  }
+}
+
+class FakeOfflineContext extends FakeContext {
+  constructor(channels, length, sampleRate) {
+    super();
+    Object.assign(this, { channels, length, sampleRate });
+  }
+  async startRendering() {
+    return { length: this.length, sampleRate: this.sampleRate, numberOfChannels: this.channels };
+  }
+}
+
+// whether a chain of connections leads from node to the destination of its context
+const reaches = (node, destination) =>
+  node === destination || node.connections.some((next) => reaches(next, destination));
+
+describe('renderOffline', () => {
+  let triggered;
+  beforeEach(() => {
+    vi.stubGlobal('AudioContext', FakeContext);
+    vi.stubGlobal('OfflineAudioContext', FakeOfflineContext);
+    ['GainNode', 'ChannelMergerNode', 'StereoPannerNode', 'ChannelSplitterNode'].forEach((name) =>
+      vi.stubGlobal(name, FakeNode),
+    );
+    triggered = [];
+    registerSound('fake', (t, value, onended, ac) => {
+      const node = new FakeNode(ac);
+      triggered.push({ t, ac, node });
+      return { node, stop: () => {} };
+    });
+  });
+  afterEach(() => {
+    resetGlobalEffects();
+    vi.unstubAllGlobals();
+  });
+
+  it('builds the sounds in an offline context of the given length', async () => {
+    let offline;
+    const buffer = await renderOffline(
+      async (trigger, context) => {
+        offline = context;
+        await trigger({ s: 'fake' }, 0.5, 0.25, 1);
+        await trigger({ s: 'fake', orbit: 2 }, 1, 0.25, 1);
+      },
+      { duration: 2, sampleRate: 8000 },
+    );
+    expect(offline).toBeInstanceOf(FakeOfflineContext);
+    expect(buffer).toEqual({ length: 16000, sampleRate: 8000, numberOfChannels: 2 });
+    expect(triggered.map(({ t, ac }) => [t, ac])).toEqual([
+      [0.5, offline],
+      [1, offline],
+    ]);
+    triggered.forEach(({ node }) => expect(reaches(node, offline.destination)).toBe(true));
+  });
+
+  it('leaves the live output alone while rendering', async () => {
+    const live = getAudioContext();
+    await superdough({ s: 'fake' }, 0, 0.25, 1);
+    await renderOffline(
+      async (trigger) => {
+        await trigger({ s: 'fake' }, 0, 0.25, 1);
+        // a hap of the live scheduler in the middle of a render
+        await superdough({ s: 'fake' }, 0.5, 0.25, 1);
+      },
+      { duration: 1 },
+    );
+    await superdough({ s: 'fake' }, 1, 0.25, 1);
+    const [before, rendered, during, after] = triggered;
+    expect(rendered.ac).toBeInstanceOf(FakeOfflineContext);
+    [before, during, after].forEach(({ ac, node }) => {
+      expect(ac).toBe(live);
+      expect(reaches(node, live.destination)).toBe(true);
+    });
+  });
+
+  it('renders without the worklets if they fail to load, with a warning', async () => {
+    class NoWorklets extends FakeOfflineContext {
+      audioWorklet = { addModule: async () => Promise.reject(new Error('no worklets')) };
+    }
+    vi.stubGlobal('OfflineAudioContext', NoWorklets);
+    const log = vi.fn();
+    setLogger(log);
+    try {
+      const buffer = await renderOffline((trigger) => trigger({ s: 'fake' }, 0, 0.25, 1), { duration: 1 });
+      expect(buffer.length).toBe(48000);
+    } finally {
+      setLogger((msg) => console.log(msg));
+    }
+    expect(triggered).toHaveLength(1);
+    expect(log).toHaveBeenCalledWith(
+      '[superdough] could not load AudioWorklet effects for offline rendering: no worklets',
+      'warning',
+    );
+  });
+});
@@ -3,7 +3,7 @@ import { midiToFreq, noteToMidi } from './util.mjs';
 import { registerSound, getAudioContext } from './superdough.mjs';
 import { buildSamples } from './zzfx_fork.mjs';
 
-export const getZZFX = (value, t) => {
+export const getZZFX = (value, t, context = getAudioContext()) => {
   let {
     s,
     note = 36,
@@ -65,10 +65,10 @@ export const getZZFX = (value, t) => {
   // console.log(redableZZFX(params));
 
   const samples = /* ZZFX. */ buildSamples(...params);
-  const context = getAudioContext();
-  const buffer = context.createBuffer(1, samples.length, context.sampleRate);
+  // buildSamples renders at the sample rate of the live context
+  const buffer = context.createBuffer(1, samples.length, getAudioContext().sampleRate);
   buffer.getChannelData(0).set(samples);
-  const source = getAudioContext().createBufferSource();
+  const source = context.createBufferSource();
   source.buffer = buffer;
   source.start(t);
   return {
@@ -80,8 +80,8 @@ export function registerZZFXSounds() {
   ['zzfx', 'z_sine', 'z_sawtooth', 'z_triangle', 'z_square', 'z_tan', 'z_noise'].forEach((wave) => {
     registerSound(
       wave,
-      (t, value, onended) => {
-        const { node: o } = getZZFX({ s: wave, ...value }, t);
+      (t, value, onended, ac) => {
+        const { node: o } = getZZFX({ s: wave, ...value }, t, ac);
         o.onended = () => {
           o.disconnect();
           onended();
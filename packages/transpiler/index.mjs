@@ -1,5 +1,7 @@
 import { evaluate as _evaluate } from '@strudel/core';
 import { transpiler } from './transpiler.mjs';
 export * from './transpiler.mjs';
+export * from './structure.mjs';
 
 export const evaluate = (code) => _evaluate(code, transpiler);
+export * from './lint.mjs';
@@ -0,0 +1,180 @@
+import { parse } from 'acorn';
+import { walk } from 'estree-walker';
+import * as core from '@strudel/core';
+import * as mini from '@strudel/mini';
+
+const { Pattern, isControlName, replPatternMethods } = core;
+
+// calls of these start plain JavaScript chains, like Array(4).fill(0), even if a pattern method has the same name
+const builtins = new Set([
+  'Array',
+  'String',
+  'Number',
+  'Boolean',
+  'Object',
+  'Math',
+  'Date',
+  'JSON',
+  'RegExp',
+  'Map',
+  'Set',
+  'Promise',
+  'Symbol',
+  'BigInt',
+  'Error',
+  'parseInt',
+  'parseFloat',
+]);
+
+// functions that return patterns: registered ones and controls (which pattern methods mirror) and the exports
+// of core and mini like stack, pure or m
+function isStrudelFunction(name, knownMethods) {
+  if (builtins.has(name)) {
+    return false;
+  }
+  return (
+    name in Pattern.prototype ||
+    isControlName(name) ||
+    typeof core[name] === 'function' ||
+    typeof mini[name] === 'function' ||
+    knownMethods.includes(name)
+  );
+}
+
+/**
+ * All method names of patterns, controls and the ones the REPL adds included, without the internal _x variants.
+ * @returns {string[]}
+ */
+export function patternMethods() {
+  const names = new Set(replPatternMethods);
+  for (let proto = Pattern.prototype; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    Object.getOwnPropertyNames(proto)
+      .filter((name) => name !== 'constructor' && !name.startsWith('_'))
+      .forEach((name) => names.add(name));
+  }
+  return [...names];
+}
+
+// edit distance that counts swapped neighbours (lfp / lpf) as one edit
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// the closest known names, at most 3
+export function suggestMethods(name, names = patternMethods()) {
+  const maxDistance = name.length <= 3 ? 1 : 2;
+  const letters = (word) => word.toLowerCase().split('').sort().join('');
+  // among equally close names, the ones with the same letters and length come first
+  const closeness = (candidate) =>
+    (letters(candidate) === letters(name) ? 0 : 1) + Math.abs(candidate.length - name.length);
+  return names
+    .map((candidate) => ({ candidate, d: distance(name.toLowerCase(), candidate.toLowerCase()) }))
+    .filter(({ d }) => d <= maxDistance)
+    .sort(
+      (a, b) => a.d - b.d || closeness(a.candidate) - closeness(b.candidate) || a.candidate.localeCompare(b.candidate),
+    )
+    .slice(0, 3)
+    .map(({ candidate }) => candidate);
+}
+
+// functions and variables of the code itself, their results might not be patterns
+function declaredNames(ast) {
+  const names = new Set();
+  walk(ast, {
+    enter(node) {
+      if (
+        (node.type === 'VariableDeclarator' || node.type === 'FunctionDeclaration') &&
+        node.id?.type === 'Identifier'
+      ) {
+        names.add(node.id.name);
+      }
+    },
+  });
+  return names;
+}
+
+// x.y().z() is a pattern chain if x is a mini notation string or a call of a strudel function like s("bd")
+function isPatternChain(node, declared, knownMethods) {
+  while (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+    node = node.callee.object;
+  }
+  if (node.type === 'CallExpression') {
+    const { callee } = node;
+    return callee.type === 'Identifier' && !declared.has(callee.name) && isStrudelFunction(callee.name, knownMethods);
+  }
+  const isMini = node.type === 'Literal' && node.raw?.[0] === '"';
+  return isMini || node.type === 'TemplateLiteral';
+}
+
+/**
+ * Checks the methods called on patterns against the ones that exist, suggesting similar names for typos.
+ * Diagnostics look like the ones of getMiniDiagnostics: { from, to, message, severity, fixes }.
+ * @param {string} code
+ * @param {object} [options]
+ * @param {string[]} [options.knownMethods] methods of packages that are not loaded, to accept them anyway
+ * @returns {object[]}
+ */
+export function lintCode(code, { knownMethods = [] } = {}) {
+  let ast;
+  try {
+    ast = parse(code, { ecmaVersion: 2022, allowAwaitOutsideFunction: true });
+  } catch (err) {
+    const from = err.pos ?? 0;
+    return [{ from, to: from + 1, message: err.message, severity: 'error', fixes: [] }];
+  }
+  const declared = declaredNames(ast);
+  const diagnostics = [];
+  let names;
+  walk(ast, {
+    enter(node) {
+      if (node.type === 'TaggedTemplateExpression') {
+        // other languages
+        return this.skip();
+      }
+      const { callee } = node;
+      if (node.type !== 'CallExpression' || callee.type !== 'MemberExpression' || callee.computed) {
+        return;
+      }
+      const { property } = callee;
+      const { name } = property;
+      // async functions like samples() return promises
+      const known =
+        name in Pattern.prototype ||
+        name in Promise.prototype ||
+        isControlName(name) ||
+        replPatternMethods.includes(name) ||
+        knownMethods.includes(name);
+      if (known || !isPatternChain(callee.object, declared, knownMethods)) {
+        return;
+      }
+      names ??= [...patternMethods(), ...knownMethods];
+      const suggestions = suggestMethods(name, names);
+      const quoted = suggestions.map((s) => `"${s}"`);
+      const list = quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted.at(-1)}` : quoted[0];
+      diagnostics.push({
+        from: property.start,
+        to: property.end,
+        message: `unknown method "${name}"${list ? `, did you mean ${list}?` : ''}`,
+        severity: 'warning',
+        fixes: suggestions.map((insert) => ({
+          name: `change to "${insert}"`,
+          changes: [{ from: property.start, to: property.end, insert }],
+        })),
+      });
+    },
+  });
+  return diagnostics.sort((a, b) => a.from - b.from);
+}
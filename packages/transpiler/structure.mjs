@@ -0,0 +1,176 @@
+import { parse } from 'acorn';
+import { walk } from 'estree-walker';
+
+// _x and x_ mute a pattern, see Pattern.prototype.p in @strudel/core repl.mjs
+const isMuted = (id) => id.startsWith('_') || id.endsWith('_');
+const unmuted = (id) => id.replace(/^_+|_+$/g, '');
+
+function toLineColumn(code, offset) {
+  const lines = code.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length };
+}
+
+function isPCall(node) {
+  return (
+    node.type === 'CallExpression' &&
+    node.callee.type === 'MemberExpression' &&
+    !node.callee.computed &&
+    node.callee.property.name === 'p' &&
+    node.arguments[0]?.type === 'Literal'
+  );
+}
+
+// the label or .p() argument that names a block, and the expression it plays
+function blockParts(statement) {
+  if (statement.type === 'LabeledStatement' && statement.body.type === 'ExpressionStatement') {
+    const { label } = statement;
+    return {
+      kind: 'label',
+      name: label.name,
+      idRange: { from: label.start, to: label.end },
+      expression: statement.body.expression,
+    };
+  }
+  if (statement.type === 'ExpressionStatement' && isPCall(statement.expression)) {
+    const [literal] = statement.expression.arguments;
+    const quoted = typeof literal.value === 'string';
+    return {
+      kind: 'p',
+      name: String(literal.value),
+      // for strings, only the text between the quotes
+      idRange: quoted ? { from: literal.start + 1, to: literal.end - 1 } : { from: literal.start, to: literal.end },
+      quoted,
+      expression: statement.expression.callee.object,
+    };
+  }
+}
+
+// strings the transpiler turns into mini-notation: double quoted and untagged backtick strings
+function collectMinis(expression) {
+  const minis = [];
+  walk(expression, {
+    enter(node, parent) {
+      if (node.type === 'Literal' && node.raw?.[0] === '"') {
+        minis.push({ from: node.start, to: node.end, value: node.value });
+      } else if (node.type === 'TemplateLiteral' && parent?.type !== 'TaggedTemplateExpression') {
+        minis.push({ from: node.start, to: node.end, value: node.quasis.map((q) => q.value.raw).join('') });
+        this.skip();
+      }
+    },
+  });
+  return minis;
+}
+
+// s("bd").bank("tr909").fast(2) -> root s("bd") and methods bank, fast
+function methodChain(expression, code) {
+  const methods = [];
+  let node = expression;
+  while (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && !node.callee.computed) {
+    const args = node.arguments;
+    methods.unshift({
+      name: node.callee.property.name,
+      from: node.callee.property.start,
+      to: node.end,
+      args: args.length ? code.slice(args[0].start, args[args.length - 1].end) : '',
+    });
+    node = node.callee.object;
+  }
+  const name = node.type === 'CallExpression' && node.callee.type === 'Identifier' ? node.callee.name : null;
+  return { root: { name, from: node.start, to: node.end }, methods };
+}
+
+/**
+ * Lists the `$:` / `name:` and `.p('name')` blocks of strudel code.
+ * Anonymous `$:` blocks get the ids $0, $1... in source order, muted ones included, so ids survive muting.
+ * patternId is the id the repl gives the playing pattern (and its haps), null while the block is muted.
+ * Throws acorn's SyntaxError (with loc) if the code does not parse.
+ */
+export function getPatternBlocks(code) {
+  const ast = parse(code, {
+    ecmaVersion: 2022,
+    allowAwaitOutsideFunction: true,
+    locations: true,
+  });
+  let anonymous = 0;
+  let playingAnonymous = 0;
+  return ast.body
+    .map((statement) => [statement, blockParts(statement)])
+    .filter(([, parts]) => parts)
+    .map(([statement, { kind, name, idRange, quoted, expression }]) => {
+      const muted = isMuted(name);
+      let id = unmuted(name);
+      let patternId = muted ? null : id;
+      if (id === '$') {
+        id = `$${anonymous++}`;
+        patternId = muted ? null : `$${playingAnonymous++}`;
+      }
+      return {
+        id,
+        patternId,
+        kind,
+        label: name,
+        muted,
+        from: statement.start,
+        to: statement.end,
+        start: toLineColumn(code, statement.start),
+        end: toLineColumn(code, statement.end),
+        code: code.slice(statement.start, statement.end),
+        idRange,
+        quoted,
+        expression: { from: expression.start, to: expression.end },
+        minis: collectMinis(expression),
+        ...methodChain(expression, code),
+      };
+    });
+}
+
+function renameBlock(block, name) {
+  const { from, to } = block.idRange;
+  if (block.kind === 'p' && !block.quoted) {
+    // numbers can't carry the mute underscore
+    return { from, to, insert: `'${name}'` };
+  }
+  return { from, to, insert: name };
+}
+
+function setMuted(block, muted) {
+  if (block.muted === muted) {
+    return [];
+  }
+  return [renameBlock(block, muted ? `_${block.label}` : unmuted(block.label))];
+}
+
+/**
+ * Changes that apply an action to the block with the given id:
+ * `replace` its pattern expression with content, `mute`, `unmute` or `solo` it (mute all other blocks).
+ * Returns [{ from, to, insert }] sorted by position, all relative to the unchanged code.
+ */
+export function patternBlockChanges(code, id, { action, content } = {}) {
+  const blocks = getPatternBlocks(code);
+  const block = blocks.find((b) => b.id === id);
+  if (!block) {
+    throw new Error(`No pattern block "${id}" (found ${blocks.map((b) => b.id).join(', ') || 'none'})`);
+  }
+  switch (action) {
+    case 'replace':
+      if (typeof content !== 'string') {
+        throw new Error('replace needs the new pattern code as content');
+      }
+      return [{ ...block.expression, insert: content }];
+    case 'mute':
+      return setMuted(block, true);
+    case 'unmute':
+      return setMuted(block, false);
+    case 'solo':
+      return blocks.flatMap((b) => setMuted(b, b !== block));
+    default:
+      throw new Error(`Unknown block action "${action}" (use replace, mute, unmute or solo)`);
+  }
+}
+
+// Applies changes as returned by patternBlockChanges
+export function applyChanges(code, changes) {
+  return [...changes]
+    .sort((a, b) => b.from - a.from)
+    .reduce((result, { from, to, insert }) => result.slice(0, from) + insert + result.slice(to), code);
+}
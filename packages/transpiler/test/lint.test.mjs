@@ -0,0 +1,51 @@
+/*
+lint.test.mjs - Tests for the unknown method checker
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/transpiler/test/lint.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect } from 'vitest';
+import { lintCode, suggestMethods } from '../lint.mjs';
+
+const messages = (code, options) => lintCode(code, options).map((d) => d.message);
+
+describe('lintCode', () => {
+  it('accepts known methods and controls', () => {
+    expect(lintCode(`$: s("bd*2").bank("tr909").lpf(800).fast(2)\nnote("c e").room(0.3)`)).toEqual([]);
+  });
+  it('suggests similar names for typos', () => {
+    const [bank, lpf] = lintCode(`s("bd").bnak("tr909").lfp(800)`);
+    expect(bank.message).toMatch(/^unknown method "bnak", did you mean "bank"/);
+    expect(bank).toMatchObject({ from: 8, to: 12, severity: 'warning' });
+    expect(bank.fixes[0]).toEqual({ name: 'change to "bank"', changes: [{ from: 8, to: 12, insert: 'bank' }] });
+    expect(lpf.message).toMatch(/^unknown method "lfp", did you mean "lpf"/);
+    expect(messages(`"a b".xyzzyq(1)`)).toEqual(['unknown method "xyzzyq"']);
+  });
+  it('leaves out chains that are not patterns', () => {
+    const code = `const f = () => [1]\nf().mup((x) => x)\nMath.flor(2.5)\nsamples('github:x').then()\nfoo\`x\`.bar()`;
+    expect(lintCode(code)).toEqual([]);
+  });
+  it('leaves out chains of JavaScript builtins and unknown functions', () => {
+    expect(lintCode(`Array(4).fill(0)`)).toEqual([]);
+    expect(lintCode(`String(5).padStart(3)`)).toEqual([]);
+    expect(lintCode(`Number(2).toFixd(1)\nunknownThing().fil(1)`)).toEqual([]);
+    expect(messages(`stack(s("bd")).fsat(2)\npure(1).fsat(2)`)).toHaveLength(2);
+  });
+  it('accepts the methods of the REPL before it has evaluated anything', () => {
+    expect(lintCode(`$: s("bd").launch(4).crossfade(2)\ns("hh").p("hats")\nnote("c").q1`)).toEqual([]);
+    expect(messages(`s("bd").lanch(4)`)).toEqual(['unknown method "lanch", did you mean "launch"?']);
+  });
+  it('accepts extra methods', () => {
+    expect(messages(`note("c").tune("x")`, { knownMethods: ['tune'] })).toEqual([]);
+  });
+  it('reports syntax errors', () => {
+    expect(lintCode(`s("bd"`)).toMatchObject([{ from: 6, severity: 'error' }]);
+  });
+});
+
+describe('suggestMethods', () => {
+  it('counts swapped letters as one edit', () => {
+    expect(suggestMethods('lfp', ['lfo', 'lpf', 'lp'])[0]).toBe('lpf');
+    expect(suggestMethods('rom', ['room', 'gain'])).toEqual(['room']);
+  });
+});
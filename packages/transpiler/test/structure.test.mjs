@@ -0,0 +1,70 @@
+/*
+structure.test.mjs - Tests for finding and editing the pattern blocks of strudel code
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/transpiler/test/structure.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect } from 'vitest';
+import { getPatternBlocks, patternBlockChanges, applyChanges } from '../structure.mjs';
+
+const code = `setcps(0.5)
+$: s("bd sd").bank('tr909').fast(2)
+_$: s("hh*8")
+bass: note(\`c2 eb2\`).s("sawtooth")
+$: n("0 2").scale("C:minor")
+stack(s("cp")).p('claps')`;
+
+describe('getPatternBlocks', () => {
+  it('finds labelled and .p() blocks', () => {
+    const blocks = getPatternBlocks(code);
+    expect(blocks.map((b) => [b.id, b.patternId, b.kind, b.muted])).toEqual([
+      ['$0', '$0', 'label', false],
+      ['$1', null, 'label', true],
+      ['bass', 'bass', 'label', false],
+      ['$2', '$1', 'label', false],
+      ['claps', 'claps', 'p', false],
+    ]);
+  });
+  it('reports ranges, mini strings and the method chain', () => {
+    const [first] = getPatternBlocks(code);
+    expect(first.code).toEqual(`$: s("bd sd").bank('tr909').fast(2)`);
+    expect(first.start).toEqual({ line: 2, column: 0 });
+    expect(code.slice(first.expression.from, first.expression.to)).toEqual(`s("bd sd").bank('tr909').fast(2)`);
+    expect(first.minis.map((m) => m.value)).toEqual(['bd sd']);
+    expect(first.root.name).toEqual('s');
+    expect(first.methods.map((m) => [m.name, m.args])).toEqual([
+      ['bank', `'tr909'`],
+      ['fast', '2'],
+    ]);
+  });
+  it('counts backtick strings as mini-notation', () => {
+    const bass = getPatternBlocks(code).find((b) => b.id === 'bass');
+    expect(bass.minis.map((m) => m.value)).toEqual(['c2 eb2', 'sawtooth']);
+  });
+});
+
+describe('patternBlockChanges', () => {
+  const edit = (id, options) => applyChanges(code, patternBlockChanges(code, id, options));
+  it('replaces the pattern of a block', () => {
+    expect(edit('bass', { action: 'replace', content: 'note("c1")' })).toContain('bass: note("c1")\n');
+  });
+  it('mutes and unmutes blocks', () => {
+    expect(edit('$0', { action: 'mute' })).toContain('\n_$: s("bd sd")');
+    expect(edit('$1', { action: 'unmute' })).toContain('\n$: s("hh*8")');
+    expect(edit('claps', { action: 'mute' })).toContain(".p('_claps')");
+  });
+  it('solos a block by muting all others', () => {
+    const blocks = getPatternBlocks(edit('$1', { action: 'solo' }));
+    expect(blocks.map((b) => [b.id, b.muted])).toEqual([
+      ['$0', true],
+      ['$1', false],
+      ['bass', true],
+      ['$2', true],
+      ['claps', true],
+    ]);
+  });
+  it('rejects unknown blocks and actions', () => {
+    expect(() => patternBlockChanges(code, 'drums', { action: 'mute' })).toThrow('No pattern block "drums"');
+    expect(() => patternBlockChanges(code, 'bass', { action: 'fade' })).toThrow('Unknown block action');
+  });
+});
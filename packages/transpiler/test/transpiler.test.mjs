@@ -5,7 +5,8 @@ This program is free software: you can redistribute it and/or modify it under th
 */
 
 import { describe, it, expect } from 'vitest';
-import { transpiler } from '../transpiler.mjs';
+import { evaluate, originalPosition } from '@strudel/core';
+import { formatMiniStrings, getMiniDiagnostics, transpiler } from '../transpiler.mjs';
 
 const simple = { wrapAsync: false, addReturn: false, simpleLocs: true };
 
@@ -42,4 +43,26 @@ describe('transpiler', () => {
       [12, 14],
     ]);
   });
+  it('formats mini notation strings only', () => {
+    const code = `s("bd  [hh]"). bank('a  b').n(\`0 _\`).x("a \\"b\\"").y(\`\${z}  a\`)`;
+    expect(formatMiniStrings(code)).toEqual([
+      { from: 3, to: 11, insert: 'bd hh' },
+      { from: 31, to: 34, insert: '0@2' },
+    ]);
+  });
+  it('finds parse errors of mini notation strings', () => {
+    const [diagnostic] = getMiniDiagnostics(`s("bd").n("0 [1").bank('[')`);
+    expect(diagnostic.from).toBe(15);
+    expect(diagnostic.message).toContain('unclosed "["');
+    expect(getMiniDiagnostics(`s("bd"`)).toEqual([]);
+  });
+  it('maps the output back to the code', async () => {
+    const code = `let x = "a b"\n$: s(x)\n  .fast(2).foo()`;
+    const { output, sourceMap } = transpiler(code);
+    // the label becomes .p('$'), so the chain ends up on one line
+    const lines = output.split('\n');
+    expect(originalPosition(sourceMap, lines.length, lines.at(-1).indexOf('foo'))).toEqual({ line: 3, column: 11 });
+    const error = await evaluate('let a = 1\nnull.foo()', transpiler).catch((err) => err);
+    expect(error.loc).toEqual({ line: 2, column: 5 });
+  });
 });
@@ -1,4 +1,4 @@
-import { getLeafLocations } from '@strudel/mini';
+import { formatMini, getLeafLocations, miniDiagnostics } from '@strudel/mini';
 import { parse } from 'acorn';
 import escodegen from 'escodegen';
 import { walk } from 'estree-walker';
@@ -39,6 +39,8 @@ export function transpiler(input, options = {}) {
       miniLocations = miniLocations.concat(leafLocs);
     }
   };
+  // the mini notation strings, from and to exclude the quotes
+  let miniStrings = [];
   let widgets = [];
 
   walk(ast, {
@@ -70,12 +72,15 @@ export function transpiler(input, options = {}) {
         const { raw } = quasis[0].value;
         this.skip();
         emitMiniLocations && collectMiniLocations(raw, node);
+        quasis.length === 1 && miniStrings.push({ from: node.start + 1, to: node.end - 1, value: raw });
         return this.replace(miniWithLocation(raw, node));
       }
       if (isStringWithDoubleQuotes(node)) {
         const { value } = node;
         this.skip();
         emitMiniLocations && collectMiniLocations(value, node);
+        // strings with escapes are left out, their value differs from the code
+        node.raw === `"${value}"` && miniStrings.push({ from: node.start + 1, to: node.end - 1, value });
         return this.replace(miniWithLocation(value, node));
       }
       if (isSliderFunction(node)) {
@@ -130,20 +135,59 @@ export function transpiler(input, options = {}) {
 
   // add return to last statement
   if (addReturn) {
-    const { expression } = body[body.length - 1];
+    const { expression, loc } = body[body.length - 1];
     body[body.length - 1] = {
       type: 'ReturnStatement',
       argument: expression,
+      loc,
     };
   }
-  let output = escodegen.generate(ast);
+  // the source map refers to the output before wrapAsync
+  const generated = escodegen.generate(ast, { sourceMap: 'user-code', sourceMapWithCode: true });
+  let output = generated.code;
   if (wrapAsync) {
     output = `(async ()=>{${output}})()`;
   }
   if (!emitMiniLocations) {
-    return { output };
+    return { output, miniStrings };
   }
-  return { output, miniLocations, widgets };
+  const sourceMap = generated.map.toJSON();
+  return { output, miniLocations, miniStrings, widgets, sourceMap };
+}
+
+// returns the changes that format the mini notation strings of the code with formatMini
+// strings that are no valid mini notation stay as they are
+export function formatMiniStrings(code) {
+  if (languages.has('minilang')) {
+    // the strings are not written in mini notation
+    return [];
+  }
+  // without locations, strings that are no mini notation don't throw
+  const { miniStrings } = transpiler(code, { addReturn: false, emitMiniLocations: false, emitWidgets: false });
+  return miniStrings.flatMap(({ from, to, value }) => {
+    let insert;
+    try {
+      insert = formatMini(value);
+    } catch {
+      return [];
+    }
+    return insert !== value ? [{ from, to, insert }] : [];
+  });
+}
+
+// returns the parse errors of the mini notation strings of the code, see miniDiagnostics
+export function getMiniDiagnostics(code) {
+  if (languages.has('minilang')) {
+    return [];
+  }
+  let miniStrings;
+  try {
+    ({ miniStrings } = transpiler(code, { addReturn: false, emitMiniLocations: false, emitWidgets: false }));
+  } catch {
+    // the javascript itself does not parse (yet)
+    return [];
+  }
+  return miniStrings.flatMap(({ from, value }) => miniDiagnostics(value, from, code));
 }
 
 function isStringWithDoubleQuotes(node, locations, code) {
@@ -171,12 +215,14 @@ function miniWithLocation(value, node) {
     callee: {
       type: 'Identifier',
       name,
+      loc: node.loc,
     },
     arguments: [
       { type: 'Literal', value },
       { type: 'Literal', value: fromOffset },
     ],
     optional: false,
+    loc: node.loc,
   };
 }
 
@@ -232,6 +278,7 @@ function withAwait(node) {
   return {
     type: 'AwaitExpression',
     argument: node,
+    loc: node.loc,
   };
 }
 
@@ -244,8 +291,10 @@ function isLabelStatement(node) {
 function labelToP(node) {
   return {
     type: 'ExpressionStatement',
+    loc: node.loc,
     expression: {
       type: 'CallExpression',
+      loc: node.loc,
       callee: {
         type: 'MemberExpression',
         object: node.body.expression,
@@ -5,6 +5,7 @@ This program is free software: you can redistribute it and/or modify it under th
 */
 
 export * from './webaudio.mjs';
+export * from './render.mjs';
 export * from './scope.mjs';
 export * from './spectrum.mjs';
 export * from 'superdough';
@@ -0,0 +1,77 @@
+/*
+render.mjs - Offline rendering of patterns to WAV files
+Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/webaudio/render.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { errorLogger } from '@strudel/core';
+import { renderOffline } from 'superdough';
+
+/**
+ * Encodes an AudioBuffer as a 16 bit PCM WAV file.
+ * @param {AudioBuffer} buffer
+ * @returns {Uint8Array}
+ */
+export function audioBufferToWav(buffer) {
+  const { numberOfChannels: channels, sampleRate, length } = buffer;
+  const bytesPerFrame = channels * 2;
+  const view = new DataView(new ArrayBuffer(44 + length * bytesPerFrame));
+  const text = (offset, string) => [...string].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  text(0, 'RIFF');
+  view.setUint32(4, 36 + length * bytesPerFrame, true);
+  text(8, 'WAVE');
+  text(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * bytesPerFrame, true);
+  view.setUint16(32, bytesPerFrame, true);
+  view.setUint16(34, 16, true);
+  text(36, 'data');
+  view.setUint32(40, length * bytesPerFrame, true);
+  const data = Array.from({ length: channels }, (_, channel) => buffer.getChannelData(channel));
+  for (let frame = 0; frame < length; frame++) {
+    data.forEach((samples, channel) => {
+      const sample = Math.max(-1, Math.min(1, samples[frame]));
+      view.setInt16(44 + frame * bytesPerFrame + channel * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+    });
+  }
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * Renders cycles of a pattern through superdough into a WAV file, without playing it.
+ * Haps are triggered like the live webaudio output does, including orbit reverbs, delays and the worklet effects.
+ * Haps of outputs that replace the webaudio output (like `.midi()`) are skipped.
+ * @param {Pattern} pattern
+ * @param {Object} options
+ * @param {number} [options.cycles=4] number of cycles to render, starting at cycle 0
+ * @param {number} [options.cps=0.5] cycles per second
+ * @param {number} [options.sampleRate=48000]
+ * @param {number} [options.tail=0] seconds to keep rendering after the last cycle, for releases and reverb tails
+ * @returns {Promise<Blob>} an audio/wav blob
+ */
+export async function renderToWav(pattern, options = {}) {
+  const { cycles = 4, cps = 0.5, sampleRate = 48000, tail = 0 } = options;
+  if (!(cycles > 0) || !(cps > 0)) {
+    throw new Error('cycles and cps must be positive numbers');
+  }
+  const haps = pattern
+    .queryArc(0, cycles, { _cps: cps })
+    .filter((hap) => hap.hasOnset() && !(hap.context.onTrigger && hap.context.dominantTrigger));
+  const buffer = await renderOffline(
+    (trigger) =>
+      Promise.all(
+        haps.map((hap) => {
+          hap.ensureObjectValue();
+          const t = hap.whole.begin.valueOf() / cps;
+          return trigger(hap.value, t, hap.duration / cps, cps, hap.whole.begin.valueOf()).catch((e) =>
+            errorLogger(e, 'render'),
+          );
+        }),
+      ),
+    { duration: cycles / cps + tail, sampleRate },
+  );
+  return new Blob([audioBufferToWav(buffer)], { type: 'audio/wav' });
+}
@@ -3,17 +3,36 @@
  * Strudel CLI - Command line interface for controlling the Strudel IDE
  */
 
-import { readFileSync } from 'fs';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
 import http from 'http';
+import { homedir } from 'os';
+import { join } from 'path';
 import chalk from 'chalk';
 import boxen from 'boxen';
 import figlet from 'figlet';
 import gradient from 'gradient-string';
 import ora from 'ora';
 
-const API_HOST = 'localhost';
+// The server binds to 127.0.0.1 by default, 'localhost' may resolve to ::1 first
+const API_HOST = process.env.STRUDEL_API_HOST || '127.0.0.1';
 const API_PORT = 3001;
 
+// Global option --session <id|name> (or STRUDEL_SESSION) picks the browser tab to control
+const argv = process.argv.slice(2);
+const sessionFlag = argv.indexOf('--session');
+const SESSION = sessionFlag !== -1 ? argv.splice(sessionFlag, 2)[1] : process.env.STRUDEL_SESSION;
+
+// The API server saves its token in ~/.strudel/api-token (or STRUDEL_API_TOKEN_FILE)
+const TOKEN_FILE = process.env.STRUDEL_API_TOKEN_FILE || join(homedir(), '.strudel', 'api-token');
+const TOKEN = process.env.STRUDEL_API_TOKEN || (existsSync(TOKEN_FILE) ? readFileSync(TOKEN_FILE, 'utf8').trim() : undefined);
+
+function requestHeaders() {
+  return {
+    ...(TOKEN ? { Authorization: `Bearer ${TOKEN}` } : {}),
+    ...(SESSION ? { 'X-Strudel-Session': SESSION } : {})
+  };
+}
+
 async function makeRequest(endpoint, method = 'GET', data = null) {
   return new Promise((resolve) => {
     const postData = data ? JSON.stringify(data) : null;
@@ -25,6 +44,7 @@ async function makeRequest(endpoint, method = 'GET', data = null) {
       method: method,
       headers: {
         'Content-Type': 'application/json',
+        ...requestHeaders()
       },
     };
     
@@ -33,13 +53,19 @@ async function makeRequest(endpoint, method = 'GET', data = null) {
     }
     
     const req = http.request(options, (res) => {
-      let responseData = '';
+      const chunks = [];
       
       res.on('data', (chunk) => {
-        responseData += chunk;
+        chunks.push(chunk);
       });
       
       res.on('end', () => {
+        const responseData = Buffer.concat(chunks);
+        // exports answer with the file itself
+        if (res.statusCode === 200 && !res.headers['content-type']?.startsWith('application/json')) {
+          resolve(responseData);
+          return;
+        }
         try {
           const result = JSON.parse(responseData);
           
@@ -141,24 +167,175 @@ async function replaceText(find, replace) {
   }
 }
 
-async function evaluate(selection = false) {
+async function evaluate(selection = false, quantize, crossfade) {
   console.log(chalk.magenta(selection ? '▶️ Evaluating selection...' : '▶️ Evaluating all code...'));
-  const result = await makeRequest('/editor/eval', 'POST', { selection });
-  if (result) {
-    const successMessage = `${chalk.green('✅ SUCCESS!')} ${result.message}`;
-    
+  const cycles = (option) => (option === undefined ? undefined : Number(option));
+  const result = await makeRequest('/editor/eval', 'POST', { selection, quantize: cycles(quantize), crossfade: cycles(crossfade) });
+  if (!result) {
+    process.exitCode = 1;
+    return;
+  }
+  
+  if (!result.success) {
+    const { error } = result;
+    const location = error.line !== undefined ? `Line ${error.line}, column ${error.column}` : 'Location unknown';
     console.log('\n' + boxen(
-      gradient(['#ff6b35', '#ff8c42'])('🎵 MUSIC IS PLAYING! 🎵\n') + 
-      chalk.hex('#ff8c42')('The AI has triggered code evaluation'),
+      chalk.red.bold(`${error.name}: ${error.message}`) + '\n\n' +
+      chalk.yellow(location) + '\n' +
+      chalk.gray(activePatternsText(result.patterns, 'Still playing')),
       {
-        title: chalk.bold.hex('#ff6b35')('🚀 CODE EXECUTED'),
+        title: chalk.bold.red('❌ EVALUATION FAILED'),
         titleAlignment: 'center',
         padding: 1,
-        borderStyle: 'bold',
-        borderColor: '#ff6b35'
+        borderStyle: 'double',
+        borderColor: 'red'
       }
     ) + '\n');
+    process.exitCode = 1;
+    return;
+  }
+  
+  console.log('\n' + boxen(
+    gradient(['#ff6b35', '#ff8c42'])('🎵 MUSIC IS PLAYING! 🎵\n') + 
+    chalk.hex('#ff8c42')(activePatternsText(result.patterns, 'Patterns')) + '\n' +
+    chalk.gray(`Mini-notation locations: ${result.miniLocations}`) +
+    (result.launchCycle !== undefined ? '\n' + chalk.yellow(`⏱ Switches over at cycle ${result.launchCycle}`) : ''),
+    {
+      title: chalk.bold.hex('#ff6b35')('🚀 CODE EXECUTED'),
+      titleAlignment: 'center',
+      padding: 1,
+      borderStyle: 'bold',
+      borderColor: '#ff6b35'
+    }
+  ) + '\n');
+}
+
+function activePatternsText(patterns, label) {
+  return patterns.length ? `${label}: ${patterns.join(', ')}` : `${label}: none (no $: or .p() blocks)`;
+}
+
+function formatCycle(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(3);
+}
+
+function formatHapValue(value) {
+  if (typeof value !== 'object' || value === null) {
+    return String(value);
   }
+  return Object.entries(value)
+    .map(([key, v]) => `${key}:${typeof v === 'object' ? JSON.stringify(v) : v}`)
+    .join(' ');
+}
+
+async function showHaps(from, to, filePath) {
+  let result;
+  if (filePath) {
+    // evaluate the file headlessly instead of asking the editor
+    console.log(chalk.blue(`👂 Querying haps of ${filePath}...`));
+    const code = readCodeFile(filePath);
+    if (code === undefined) {
+      return;
+    }
+    const body = { code };
+    from !== undefined && (body.from = Number(from));
+    to !== undefined && (body.to = Number(to));
+    result = await makeRequest('/pattern/haps', 'POST', body);
+  } else {
+    const query = new URLSearchParams();
+    from !== undefined && query.set('from', from);
+    to !== undefined && query.set('to', to);
+    console.log(chalk.blue('👂 Querying pattern haps...'));
+    result = await makeRequest(`/pattern/haps?${query}`);
+  }
+  if (!result) {
+    process.exitCode = 1;
+    return;
+  }
+  
+  const lines = result.haps.map((hap) => {
+    const span = hap.whole || hap.part;
+    const time = `${formatCycle(span.begin)} → ${formatCycle(span.end)}`.padEnd(17);
+    const id = hap.patternId !== undefined ? chalk.magenta(`[${hap.patternId}] `) : '';
+    const fragment = hap.onset ? '' : chalk.gray(' (fragment)');
+    return chalk.cyan(time) + ' ' + id + chalk.white(formatHapValue(hap.value)) + fragment;
+  });
+  
+  console.log('\n' + boxen(
+    (lines.length ? lines.join('\n') : chalk.gray('No haps in this span')) + '\n\n' +
+    chalk.gray(`${result.count} haps between cycle ${formatCycle(result.from)} and ${formatCycle(result.to)}`),
+    {
+      title: chalk.bold.hex('#ff6b35')('👂 PATTERN HAPS'),
+      titleAlignment: 'center',
+      padding: 1,
+      borderStyle: 'round',
+      borderColor: '#ff8c42'
+    }
+  ) + '\n');
+}
+
+async function transport(action, cps) {
+  const labels = {
+    start: '▶️ Starting playback...',
+    stop: '⏹️ Stopping playback...',
+    pause: '⏸️ Pausing playback...',
+    hush: '🤫 Hushing all patterns...',
+    cps: cps !== undefined ? `⏱️ Setting tempo to ${cps} cps...` : '⏱️ Getting tempo...'
+  };
+  console.log(chalk.blue(labels[action]));
+  
+  let result;
+  if (action === 'cps') {
+    result = cps !== undefined
+      ? await makeRequest('/transport/cps', 'POST', { cps: Number(cps) })
+      : await makeRequest('/transport/cps');
+  } else {
+    result = await makeRequest(`/transport/${action}`, 'POST');
+  }
+  if (!result) {
+    process.exitCode = 1;
+    return;
+  }
+  
+  const state = result.started ? chalk.green.bold('▶️ PLAYING') : chalk.yellow.bold('⏹️ STOPPED');
+  console.log('\n' + boxen(
+    state + '\n\n' +
+    chalk.white('Tempo: ') + chalk.cyan(`${result.cps} cps`) + chalk.gray(` (${Math.round(result.cps * 60 * 100) / 100} cpm)`) + '\n' +
+    chalk.white('Cycle: ') + chalk.cyan(result.cycle.toFixed(2)),
+    {
+      title: chalk.bold.hex('#ff6b35')('🎛️ TRANSPORT'),
+      titleAlignment: 'center',
+      padding: 1,
+      borderStyle: 'round',
+      borderColor: '#ff8c42'
+    }
+  ) + '\n');
+}
+
+async function metrics(reset = false) {
+  console.log(chalk.blue('📈 Reading scheduler metrics...'));
+  const result = await makeRequest(`/metrics${reset ? '?reset=true' : ''}`);
+  if (!result) {
+    process.exitCode = 1;
+    return;
+  }
+  
+  const range = (values, unit = '') => values.avg === undefined ? chalk.gray('-') : chalk.cyan(`avg ${values.avg}${unit}`) + chalk.gray(' / ') + chalk.cyan(`max ${values.max}${unit}`);
+  const behind = result.late + result.skipped > 0;
+  console.log('\n' + boxen(
+    (result.started ? chalk.green.bold('▶️ PLAYING') : chalk.yellow.bold('⏹️ STOPPED')) + chalk.gray(` ${result.ticks} ticks in ${result.seconds}s, ${result.haps} haps`) + '\n\n' +
+    chalk.white('Query time:    ') + range(result.queryMs, 'ms') + '\n' +
+    chalk.white('Haps per tick: ') + range(result.hapsPerTick) + '\n' +
+    chalk.white('Slack:         ') + (result.slackMs.min === undefined ? chalk.gray('-') : chalk.cyan(`min ${result.slackMs.min}ms`) + chalk.gray(' / ') + chalk.cyan(`avg ${result.slackMs.avg}ms`)) + '\n' +
+    (behind ? chalk.red.bold(`${result.late} late and ${result.skipped} skipped ticks`) : chalk.green('No late or skipped ticks')) +
+    chalk.gray(`\n\nAverages over the last ${result.recentTicks} ticks`),
+    {
+      title: chalk.bold.hex('#ff6b35')('📈 SCHEDULER METRICS'),
+      titleAlignment: 'center',
+      padding: 1,
+      borderStyle: 'round',
+      borderColor: behind ? 'red' : '#ff8c42'
+    }
+  ) + '\n');
 }
 
 async function status() {
@@ -177,6 +354,201 @@ async function status() {
   }
 }
 
+// One line per event from the activity stream
+function formatEvent(event) {
+  const time = chalk.gray(event.time.slice(11, 19));
+  const where = chalk.gray(`[${event.sessionName}]`);
+  switch (event.type) {
+    case 'eval':
+      return `${time} ${where} ${event.success
+        ? chalk.green(`✅ eval (${event.source}) ${activePatternsText(event.patterns, 'patterns')}`)
+        : chalk.red(`❌ eval (${event.source}) ${event.error.message}${event.error.line !== undefined ? ` at ${event.error.line}:${event.error.column}` : ''}`)}`;
+    case 'edit':
+      return `${time} ${where} ${chalk.cyan(`✏️ edit (${event.source}) ${event.length} chars`)}`;
+    case 'transport':
+      return `${time} ${where} ${chalk.magenta(`🎛️ ${event.started ? 'playing' : 'stopped'} at ${event.cps} cps, cycle ${formatCycle(event.cycle)}`)}`;
+    case 'log':
+      return `${time} ${where} ${event.logType === 'error' ? chalk.red(event.message) : chalk.white(event.message)}`;
+    case 'scheduler-error':
+      return `${time} ${where} ${chalk.red.bold(`💥 ${event.origin}: ${event.message}`)}`;
+    case 'error':
+      return `${time} ${where} ${chalk.red(`⚠️ ${event.source}: ${event.message}`)}`;
+    case 'session':
+      return `${time} ${where} ${chalk.yellow(event.connected ? '🔗 connected' : '📡 disconnected')}`;
+    default:
+      return `${time} ${where} ${event.type} ${chalk.gray(JSON.stringify(event))}`;
+  }
+}
+
+// Tail /api/events until interrupted
+function watch(types) {
+  const query = types ? `?types=${encodeURIComponent(types)}` : '';
+  console.log(chalk.blue(`👀 Watching ${types || 'all'} events... (Ctrl+C to stop)`));
+  
+  const req = http.get({
+    hostname: API_HOST,
+    port: API_PORT,
+    path: `/api/events${query}`,
+    headers: requestHeaders()
+  }, (res) => {
+    res.setEncoding('utf8');
+    let buffer = '';
+    if (res.statusCode !== 200) {
+      res.on('data', (chunk) => (buffer += chunk));
+      res.on('end', () => console.error(chalk.red('❌ Error:'), JSON.parse(buffer).error || 'Unknown error'));
+      process.exitCode = 1;
+      return;
+    }
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+      messages
+        .map((message) => message.split('\n').find((line) => line.startsWith('data: ')))
+        .filter(Boolean)
+        .forEach((line) => console.log(formatEvent(JSON.parse(line.slice(6)))));
+    });
+    res.on('end', () => {
+      console.log(chalk.yellow('📡 Event stream closed by the API server'));
+    });
+  });
+  
+  req.on('error', (error) => {
+    console.error(chalk.red('❌ Connection failed. Is the API server running?'));
+    console.error(chalk.gray('   Error:'), error.message);
+    process.exitCode = 1;
+  });
+}
+
+function blockLines(blocks) {
+  return blocks.map((block) => {
+    const name = block.muted ? chalk.gray.strikethrough(block.id) : chalk.bold.yellow(block.id);
+    const lines = block.start.line === block.end.line ? `line ${block.start.line}` : `lines ${block.start.line}-${block.end.line}`;
+    const chain = [block.root.name ?? '…', ...block.methods.map((method) => method.name)].join(' → ');
+    const minis = block.minis.map((mini) => chalk.cyan(`"${mini.value}"`)).join(' ');
+    return `${name} ${chalk.gray(`(${lines}${block.muted ? ', muted' : ''})`)}\n  ${chalk.magenta(chain)}${minis ? `\n  ${minis}` : ''}`;
+  });
+}
+
+async function showStructure() {
+  console.log(chalk.blue('🧱 Reading pattern blocks...'));
+  const result = await makeRequest('/editor/structure');
+  if (!result) {
+    process.exitCode = 1;
+    return;
+  }
+  const lines = blockLines(result.blocks);
+  console.log('\n' + boxen(lines.length ? lines.join('\n\n') : chalk.gray('No $: or .p() blocks'), {
+    title: chalk.bold.hex('#ff6b35')('🧱 PATTERN BLOCKS'),
+    titleAlignment: 'center',
+    padding: 1,
+    borderStyle: 'round',
+    borderColor: '#ff8c42'
+  }) + '\n');
+}
+
+async function editBlock(id, action, content, evaluate) {
+  console.log(chalk.blue(`🧱 ${action} block ${id}...`));
+  const result = await makeRequest(`/editor/block/${encodeURIComponent(id)}`, 'POST', { action, content, evaluate });
+  if (!result) {
+    process.exitCode = 1;
+    return;
+  }
+  let evalText = '';
+  if (result.eval) {
+    evalText = '\n\n' + (result.eval.success
+      ? chalk.green(`✅ Evaluated. ${activePatternsText(result.eval.patterns, 'Patterns')}`)
+      : chalk.red(`❌ Evaluation failed: ${result.eval.error.message}`));
+  }
+  console.log('\n' + boxen(chalk.green(`✅ ${result.message}`) + '\n\n' + blockLines(result.blocks).join('\n') + evalText, {
+    title: chalk.bold.hex('#ff6b35')('🧱 BLOCK EDITED'),
+    titleAlignment: 'center',
+    padding: 1,
+    borderStyle: 'round',
+    borderColor: '#ff8c42'
+  }) + '\n');
+}
+
+async function showHistory() {
+  console.log(chalk.blue('🕰️ Getting code history...'));
+  const result = await makeRequest('/history');
+  if (!result) {
+    process.exitCode = 1;
+    return;
+  }
+  
+  const outcome = (snapshot) => {
+    if (!snapshot.eval) {
+      return chalk.gray('not evaluated');
+    }
+    return snapshot.eval.success ? chalk.green('✅ evaluated') : chalk.red(`❌ ${snapshot.eval.error.message}`);
+  };
+  const lines = result.snapshots.map((snapshot) =>
+    `${snapshot.current ? chalk.yellow('▶') : ' '} ${chalk.bold.cyan(String(snapshot.id).padStart(3))} ` +
+    `${chalk.gray(new Date(snapshot.time).toLocaleTimeString())} ${chalk.magenta(snapshot.source.padEnd(4))} ` +
+    `${outcome(snapshot)}\n      ${chalk.white(snapshot.preview)} ${chalk.gray(`(${snapshot.length} chars)`)}`
+  );
+  
+  console.log('\n' + boxen(lines.length ? lines.join('\n') : chalk.gray('No snapshots yet'), {
+    title: chalk.bold.hex('#ff6b35')(`🕰️ HISTORY OF ${result.session.toUpperCase()}`),
+    titleAlignment: 'center',
+    padding: 1,
+    borderStyle: 'round',
+    borderColor: '#ff8c42'
+  }) + '\n');
+}
+
+// Restore a snapshot by id, or the one before the current one
+async function restore(id, evaluate) {
+  console.log(chalk.blue(id ? `⏪ Restoring snapshot ${id}...` : '⏪ Undoing the last change...'));
+  const result = await makeRequest(id ? `/history/${id}/restore` : '/undo', 'POST', { evaluate });
+  if (!result) {
+    process.exitCode = 1;
+    return;
+  }
+  
+  const { snapshot } = result;
+  let evalText = chalk.gray('Not evaluated (pass --eval to evaluate it)');
+  if (result.eval) {
+    evalText = result.eval.success
+      ? chalk.green(`✅ Evaluated. ${activePatternsText(result.eval.patterns, 'Patterns')}`)
+      : chalk.red(`❌ Evaluation failed: ${result.eval.error.message}`);
+  }
+  console.log('\n' + boxen(
+    chalk.green(`✅ Restored snapshot ${snapshot.id}`) + chalk.gray(` from ${new Date(snapshot.time).toLocaleTimeString()} (${snapshot.source})`) + '\n\n' +
+    chalk.white(snapshot.preview) + '\n\n' +
+    evalText,
+    {
+      title: chalk.bold.hex('#ff6b35')('⏪ RESTORED'),
+      titleAlignment: 'center',
+      padding: 1,
+      borderStyle: 'round',
+      borderColor: '#ff8c42'
+    }
+  ) + '\n');
+  if (result.eval && !result.eval.success) {
+    process.exitCode = 1;
+  }
+}
+
+async function listSessions() {
+  console.log(chalk.cyan('🔍 Listing sessions...'));
+  const result = await makeRequest('/sessions');
+  if (result) {
+    const lines = result.sessions.map(({ id, name, connectedAt, headless }) =>
+      `${chalk.bold.yellow(name)} ${chalk.gray(`(${id})`)} ${headless ? chalk.magenta('headless') : chalk.gray(`since ${connectedAt}`)}`
+    );
+    
+    console.log('\n' + boxen(lines.length ? lines.join('\n') : chalk.gray('No sessions connected'), {
+      title: chalk.bold.hex('#ff6b35')('🗂️ SESSIONS'),
+      titleAlignment: 'center',
+      padding: 1,
+      borderStyle: 'round',
+      borderColor: '#ff8c42'
+    }) + '\n');
+  }
+}
+
 async function appendContent(content) {
   // Process escape sequences like \n, \t
   const processedContent = content
@@ -244,6 +616,216 @@ async function checkErrors() {
   }
 }
 
+// Parse "line:column" or a plain document offset
+function parsePosition(arg) {
+  if (arg.includes(':')) {
+    const [line, column] = arg.split(':').map(Number);
+    return { line, column };
+  }
+  return Number(arg);
+}
+
+function formatPosition({ line, column }) {
+  return `${line}:${column}`;
+}
+
+function showSelection(selection, title) {
+  const selectionBox = boxen(
+    chalk.white('Cursor: ') + chalk.cyan(formatPosition(selection.head === selection.from ? selection.start : selection.end)) +
+    chalk.gray(` (offset ${selection.head})`) + '\n' +
+    chalk.white('Selection: ') + chalk.cyan(`${formatPosition(selection.start)} → ${formatPosition(selection.end)}`) +
+    chalk.gray(` (offsets ${selection.from}-${selection.to})`) +
+    (selection.text ? '\n\n' + chalk.yellow(selection.text) : ''),
+    {
+      title: chalk.bold.hex('#ff6b35')(title),
+      titleAlignment: 'center',
+      padding: 1,
+      borderStyle: 'round',
+      borderColor: '#ff8c42'
+    }
+  );
+  console.log('\n' + selectionBox + '\n');
+}
+
+async function getSelection() {
+  console.log(chalk.blue('🎯 Getting cursor and selection...'));
+  const result = await makeRequest('/editor/selection');
+  if (result) {
+    showSelection(result.selection, '🎯 CURRENT SELECTION');
+  }
+}
+
+async function setCursor(position) {
+  console.log(chalk.blue(`🎯 Moving cursor to ${position}...`));
+  const parsed = parsePosition(position);
+  const body = typeof parsed === 'number' ? { offset: parsed } : parsed;
+  const result = await makeRequest('/editor/cursor', 'POST', body);
+  if (result) {
+    showSelection(result.selection, '🎯 CURSOR MOVED');
+  }
+}
+
+async function selectRange(from, to) {
+  console.log(chalk.blue(`🎯 Selecting ${from} → ${to}...`));
+  const result = await makeRequest('/editor/select', 'POST', { from: parsePosition(from), to: parsePosition(to) });
+  if (result) {
+    showSelection(result.selection, '🎯 SELECTION SET');
+  }
+}
+
+async function insertContent(content) {
+  // Process escape sequences like \n, \t
+  const processedContent = content
+    .replace(/\\n/g, '\n')
+    .replace(/\\t/g, '\t')
+    .replace(/\\r/g, '\r');
+  
+  console.log(chalk.blue('✏️ Inserting content at cursor...'));
+  const result = await makeRequest('/editor/insert', 'POST', { content: processedContent });
+  if (result) {
+    showSelection(result.selection, '✏️ CONTENT INSERTED');
+  }
+}
+
+async function editRange(from, to, content) {
+  // Process escape sequences like \n, \t
+  const processedContent = content
+    .replace(/\\n/g, '\n')
+    .replace(/\\t/g, '\t')
+    .replace(/\\r/g, '\r');
+  
+  console.log(chalk.blue(`✏️ Replacing ${from} → ${to}...`));
+  const result = await makeRequest('/editor/edit', 'POST', {
+    from: parsePosition(from),
+    to: parsePosition(to),
+    content: processedContent
+  });
+  if (result) {
+    showSelection(result.selection, '✏️ RANGE EDITED');
+  }
+}
+
+function readCodeFile(filePath) {
+  try {
+    return readFileSync(filePath, 'utf8');
+  } catch (e) {
+    console.log(chalk.red('❌ Could not read file:'), e.message);
+    process.exitCode = 1;
+  }
+}
+
+async function validateFile(filePath) {
+  console.log(chalk.blue(`🧪 Validating ${filePath}...`));
+  const code = readCodeFile(filePath);
+  if (code === undefined) {
+    return;
+  }
+  const result = await makeRequest('/validate', 'POST', { code });
+  if (!result) {
+    process.exitCode = 1;
+    return;
+  }
+  
+  if (!result.success) {
+    const { error } = result;
+    const location = error.line !== undefined ? `${filePath}:${error.line}:${error.column}` : filePath;
+    console.log('\n' + boxen(
+      chalk.red.bold(`${error.name}: ${error.message}`) + '\n\n' + chalk.yellow(location),
+      {
+        title: chalk.bold.red('❌ INVALID PATTERN'),
+        titleAlignment: 'center',
+        padding: 1,
+        borderStyle: 'double',
+        borderColor: 'red'
+      }
+    ) + '\n');
+    process.exitCode = 1;
+    return;
+  }
+  
+  console.log('\n' + boxen(
+    chalk.green.bold('✅ Pattern evaluates cleanly') + '\n' +
+    chalk.hex('#ff8c42')(activePatternsText(result.patterns, 'Patterns')) + '\n' +
+    chalk.gray(`Mini-notation locations: ${result.miniLocations}`),
+    {
+      title: chalk.bold.green('🧪 VALIDATION'),
+      titleAlignment: 'center',
+      padding: 1,
+      borderStyle: 'round',
+      borderColor: 'green'
+    }
+  ) + '\n');
+}
+
+async function lintFile(filePath) {
+  const code = readCodeFile(filePath);
+  if (code === undefined) {
+    return;
+  }
+  const result = await makeRequest('/lint', 'POST', { code });
+  if (!result) {
+    process.exitCode = 1;
+    return;
+  }
+  
+  const { diagnostics } = result;
+  if (!diagnostics.length) {
+    console.log(chalk.green(`✅ ${filePath}: no problems found`));
+    return;
+  }
+  diagnostics.forEach(({ start, severity, message }) => {
+    const color = severity === 'error' ? chalk.red : chalk.yellow;
+    console.log(`${chalk.gray(`${filePath}:${start.line}:${start.column + 1}`)} ${color(severity)} ${message}`);
+  });
+  const errors = diagnostics.filter((d) => d.severity === 'error').length;
+  console.log(chalk.bold(`\n${diagnostics.length} problem${diagnostics.length === 1 ? '' : 's'} (${errors} error${errors === 1 ? '' : 's'})`));
+  process.exitCode = 1;
+}
+
+// Takes --flag <value> out of args
+function takeOption(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args.splice(index, 2)[1] : undefined;
+}
+
+async function exportMidi(outPath, filePath, { cycles, cps }) {
+  const code = filePath !== undefined ? readCodeFile(filePath) : undefined;
+  if (filePath !== undefined && code === undefined) {
+    return;
+  }
+  const source = filePath ?? 'the editor';
+  const spinner = ora(`Rendering ${cycles ?? 4} cycles of ${source} to MIDI...`).start();
+  const data = await makeRequest('/export/midi', 'POST', {
+    code,
+    cycles: cycles !== undefined ? Number(cycles) : undefined,
+    cps: cps !== undefined ? Number(cps) : undefined
+  });
+  if (!data) {
+    spinner.fail(chalk.red('Export failed'));
+    process.exitCode = 1;
+    return;
+  }
+  writeFileSync(outPath, data);
+  spinner.succeed(chalk.green(`Wrote ${outPath} (${data.length} bytes)`));
+}
+
+async function renderAudio(outPath, { cycles, cps, sampleRate, tail }) {
+  const spinner = ora(`Rendering ${cycles ?? 4} cycles to audio...`).start();
+  const data = await makeRequest('/export/audio', 'POST', {
+    cycles: cycles !== undefined ? Number(cycles) : undefined,
+    cps: cps !== undefined ? Number(cps) : undefined,
+    sampleRate: sampleRate !== undefined ? Number(sampleRate) : undefined,
+    tail: tail !== undefined ? Number(tail) : undefined
+  });
+  if (!data) {
+    spinner.fail(chalk.red('Render failed'));
+    process.exitCode = 1;
+    return;
+  }
+  writeFileSync(outPath, data);
+  spinner.succeed(chalk.green(`Wrote ${outPath} (${(data.length / 1024 / 1024).toFixed(1)} MB)`));
+}
+
 async function loadFile(filePath) {
   try {
     console.log(chalk.blue(`📂 Loading file: ${filePath}`));
@@ -273,17 +855,40 @@ function showHelp() {
   const helpContent = `${chalk.cyan('Control your Strudel IDE from the command line')}
 
 ${chalk.bold.yellow('USAGE:')}
-  ${chalk.white('node strudel-cli.mjs <command> [args]')}
+  ${chalk.white('node strudel-cli.mjs <command> [args] [--session <name>]')}
 
 ${chalk.bold.yellow('COMMANDS:')}
   ${chalk.green('status')}                    Check API server and browser connection
   ${chalk.green('errors')}                    Check for recent JavaScript errors
+  ${chalk.green('sessions')}                  List connected browser tabs
+  ${chalk.green('watch')} ${chalk.cyan('[types]')}             Tail evals, edits, logs and transport (e.g. eval,log)
+  ${chalk.green('structure')}                List $: / .p() blocks with their minis and methods
+  ${chalk.green('block')} ${chalk.cyan('<id> <action> [code]')} mute, unmute, solo or replace a block (add --eval to run it)
+  ${chalk.green('history')}                  List code snapshots with their eval outcome
+  ${chalk.green('undo')} ${chalk.cyan('[--eval]')}            Restore the code before the last change
+  ${chalk.green('restore')} ${chalk.cyan('<id> [--eval]')}    Restore a snapshot from the history
   ${chalk.green('get')}                      Get current editor content
   ${chalk.green('set')} ${chalk.cyan('<content>')}            Set editor content
   ${chalk.green('append')} ${chalk.cyan('<content>')}         Append content to editor
   ${chalk.green('load')} ${chalk.cyan('<file>')}              Load content from file
   ${chalk.green('replace')} ${chalk.cyan('<find> <replace>')} Replace text (supports regex)
-  ${chalk.green('eval')}                     Evaluate current code
+  ${chalk.green('selection')}                Get cursor position and selection
+  ${chalk.green('cursor')} ${chalk.cyan('<pos>')}             Move cursor (pos = line:column or offset)
+  ${chalk.green('select')} ${chalk.cyan('<from> <to>')}       Select a range
+  ${chalk.green('insert')} ${chalk.cyan('<content>')}         Insert content at cursor
+  ${chalk.green('edit')} ${chalk.cyan('<from> <to> <content>')} Replace a range with content
+  ${chalk.green('eval')}                     Evaluate current code (--quantize n waits for the next n cycles, --crossfade n fades over n cycles)
+  ${chalk.green('haps')} ${chalk.cyan('[from] [to] [file]')}  List haps of the playing pattern or a file (cycles)
+  ${chalk.green('validate')} ${chalk.cyan('<file>')}          Evaluate a file in Node and report errors
+  ${chalk.green('lint')} ${chalk.cyan('<file>')}              Check a file for mini-notation errors and misspelled methods
+  ${chalk.green('midi')} ${chalk.cyan('<out.mid> [file]')}     Export the editor or a file to MIDI (--cycles n, --cps n)
+  ${chalk.green('render')} ${chalk.cyan('<out.wav>')}          Render the playing pattern to WAV (--cycles n, --cps n, --rate hz, --tail s)
+  ${chalk.green('play')}                     Start playback
+  ${chalk.green('stop')}                     Stop playback
+  ${chalk.green('pause')}                    Pause playback
+  ${chalk.green('hush')}                     Silence all patterns
+  ${chalk.green('cps')} ${chalk.cyan('[cps]')}                Get or set the tempo (cycles per second)
+  ${chalk.green('metrics')}                  Show scheduler timing: query time, slack, late ticks (--reset starts over)
   ${chalk.green('help')}                     Show this help
 
 ${chalk.bold.yellow('EXAMPLES:')}
@@ -292,11 +897,25 @@ ${chalk.bold.yellow('EXAMPLES:')}
   ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('set')} ${chalk.cyan('\"bd hh sd hh\"')}
   ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('append')} ${chalk.cyan('\".lpf(800)\"')}
   ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('replace')} ${chalk.cyan('\"bd\" \"808\"')}
+  ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('edit')} ${chalk.cyan('2:4 2:6 "hh"')}
   ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('load')} ${chalk.cyan('my-pattern.js')}
   ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('eval')}
+  ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('haps')} ${chalk.cyan('0 4')}
+  ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('cps')} ${chalk.cyan('0.5')}
+  ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('validate')} ${chalk.cyan('my-pattern.js')}
+  ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('lint')} ${chalk.cyan('my-pattern.js')}
+  ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('midi')} ${chalk.cyan('song.mid --cycles 16')}
+  ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('render')} ${chalk.cyan('loop.wav --cycles 8')}
+  ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('eval')} ${chalk.cyan('--session drums')}
+  ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('watch')} ${chalk.cyan('eval,scheduler-error')}
+  ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('undo')} ${chalk.cyan('--eval')}
+  ${chalk.gray('node strudel-cli.mjs')} ${chalk.green('block')} ${chalk.cyan('$1 solo --eval')}
 
 ${chalk.bold.red('NOTE:')} Make sure the API server is running ${chalk.yellow('(npm run api)')} and
-      you have a browser with Strudel open at ${chalk.cyan('localhost:4321')}`;
+      you have a browser with Strudel open at ${chalk.cyan('localhost:4321')},
+      or run it without a browser: ${chalk.yellow('npm run api -- --headless')}
+      With several tabs open (name them with ${chalk.cyan('?session=drums')}), pick one
+      with ${chalk.yellow('--session <name>')} or ${chalk.yellow('STRUDEL_SESSION')}`;
   
   console.log(boxen(helpContent, {
     title: chalk.bold.hex('#ff6b35')('🎼 STRUDEL CLI HELP'),
@@ -309,13 +928,52 @@ ${chalk.bold.red('NOTE:')} Make sure the API server is running ${chalk.yellow('(
 }
 
 // Main CLI handler
-const [,, command, ...args] = process.argv;
+const [command, ...args] = argv;
 
 switch (command) {
   case 'status':
     await status();
     break;
     
+  case 'sessions':
+    await listSessions();
+    break;
+    
+  case 'watch':
+    watch(args[0]);
+    break;
+    
+  case 'structure':
+    await showStructure();
+    break;
+    
+  case 'block': {
+    const evaluate = args.includes('--eval');
+    const [id, action, content] = args.filter((arg) => arg !== '--eval');
+    if (!id || !['replace', 'mute', 'unmute', 'solo'].includes(action) || (action === 'replace' && content === undefined)) {
+      console.error('❌ Usage: block <id> <mute|unmute|solo|replace> [code] [--eval]');
+      process.exit(1);
+    }
+    await editBlock(id, action, content, evaluate);
+    break;
+  }
+    
+  case 'history':
+    await showHistory();
+    break;
+    
+  case 'undo':
+    await restore(undefined, args.includes('--eval'));
+    break;
+    
+  case 'restore':
+    if (!(Number(args[0]) > 0)) {
+      console.error('❌ Usage: restore <id> [--eval]');
+      process.exit(1);
+    }
+    await restore(args[0], args.includes('--eval'));
+    break;
+    
   case 'errors':
     await checkErrors();
     break;
@@ -356,8 +1014,111 @@ switch (command) {
     await replaceText(args[0], args[1]);
     break;
     
+  case 'selection':
+    await getSelection();
+    break;
+    
+  case 'cursor':
+    if (args.length === 0) {
+      console.error('❌ Usage: cursor <line:column|offset>');
+      process.exit(1);
+    }
+    await setCursor(args[0]);
+    break;
+    
+  case 'select':
+    if (args.length < 2) {
+      console.error('❌ Usage: select <from> <to>');
+      process.exit(1);
+    }
+    await selectRange(args[0], args[1]);
+    break;
+    
+  case 'insert':
+    if (args.length === 0) {
+      console.error('❌ Usage: insert <content>');
+      process.exit(1);
+    }
+    await insertContent(args.join(' '));
+    break;
+    
+  case 'edit':
+    if (args.length < 3) {
+      console.error('❌ Usage: edit <from> <to> <content>');
+      process.exit(1);
+    }
+    await editRange(args[0], args[1], args.slice(2).join(' '));
+    break;
+    
   case 'eval':
-    await evaluate();
+    await evaluate(false, takeOption(args, '--quantize'), takeOption(args, '--crossfade'));
+    break;
+    
+  case 'haps':
+    await showHaps(args[0], args[1], args[2]);
+    break;
+    
+  case 'validate':
+    if (args.length === 0) {
+      console.error('❌ Usage: validate <file>');
+      process.exit(1);
+    }
+    await validateFile(args[0]);
+    break;
+    
+  case 'lint':
+    if (args.length === 0) {
+      console.error('❌ Usage: lint <file>');
+      process.exit(1);
+    }
+    await lintFile(args[0]);
+    break;
+    
+  case 'midi': {
+    const options = { cycles: takeOption(args, '--cycles'), cps: takeOption(args, '--cps') };
+    if (args.length === 0) {
+      console.error('❌ Usage: midi <out.mid> [file] [--cycles n] [--cps n]');
+      process.exit(1);
+    }
+    await exportMidi(args[0], args[1], options);
+    break;
+  }
+    
+  case 'render': {
+    const options = {
+      cycles: takeOption(args, '--cycles'),
+      cps: takeOption(args, '--cps'),
+      sampleRate: takeOption(args, '--rate'),
+      tail: takeOption(args, '--tail')
+    };
+    if (args.length === 0) {
+      console.error('❌ Usage: render <out.wav> [--cycles n] [--cps n] [--rate hz] [--tail seconds]');
+      process.exit(1);
+    }
+    await renderAudio(args[0], options);
+    break;
+  }
+    
+  case 'play':
+    await transport('start');
+    break;
+    
+  case 'stop':
+  case 'pause':
+  case 'hush':
+    await transport(command);
+    break;
+    
+  case 'cps':
+    if (args.length > 0 && !(Number(args[0]) > 0)) {
+      console.error('❌ Usage: cps [positive number]');
+      process.exit(1);
+    }
+    await transport('cps', args[0]);
+    break;
+    
+  case 'metrics':
+    await metrics(args.includes('--reset'));
     break;
     
   case 'help':
@@ -0,0 +1,379 @@
+/**
+ * Strudel Language Server
+ * Completion, hover docs and signature help from the JSDoc reference (doc.json, see @strudel/reference),
+ * diagnostics with quick fixes (mini-notation errors and unknown pattern methods, like strudel-cli lint), and commands that play the buffer through the API server.
+ * Talks LSP over stdio, so editors like VS Code or Neovim can use it with a generic LSP client.
+ *
+ * Usage: node strudel-lsp.mjs (the API server runs separately: npm run api)
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+
+// stdout is the protocol channel, logs of the strudel packages go to stderr
+console.log = console.info = console.warn = console.error;
+const { lintHeadless, patternMethodNames } = await import('./api-headless.mjs');
+
+// same API server settings as api-server.mjs and strudel-cli
+const API_HOST = process.env.STRUDEL_API_HOST || '127.0.0.1';
+const API_PORT = process.env.STRUDEL_API_PORT || 3001;
+const SESSION = process.env.STRUDEL_SESSION;
+const TOKEN_FILE = process.env.STRUDEL_API_TOKEN_FILE || join(homedir(), '.strudel', 'api-token');
+
+// ----- reference -----
+
+// same selection of docs as the autocompletion of the REPL (packages/codemirror/autocomplete.mjs)
+const getDocLabel = (doc) => doc.name || doc.longname;
+const isValidDoc = (doc) => {
+  const label = getDocLabel(doc);
+  return label && !label.startsWith('_') && !['package'].includes(doc.kind);
+};
+const hasExcludedTags = (doc) =>
+  ['superdirtOnly', 'noAutocomplete'].some((tag) => doc.tags?.find((t) => t.originalTitle === tag));
+
+function loadDocs() {
+  const file = new URL('./doc.json', import.meta.url);
+  if (!existsSync(file)) {
+    console.error('doc.json not found, run "npm run jsdoc-json" for completion and hover docs');
+    return [];
+  }
+  return JSON.parse(readFileSync(file, 'utf8')).docs.filter((doc) => isValidDoc(doc) && !hasExcludedTags(doc));
+}
+
+const docs = loadDocs();
+const findDoc = (word) =>
+  docs.find((doc) => getDocLabel(doc) === word) ?? docs.find((doc) => doc.synonyms?.includes(word));
+
+const entities = { '&lt;': '<', '&gt;': '>', '&amp;': '&', '&quot;': '"', '&#39;': "'" };
+function htmlToMarkdown(html = '') {
+  return html
+    .replace(/<\/?(strong|b)>/g, '**')
+    .replace(/<\/?(em|i)>/g, '_')
+    .replace(/<\/?code>/g, '`')
+    .replace(/<a href="([^"]*)"[^>]*>(.*?)<\/a>/g, '[$2]($1)')
+    .replace(/<li>/g, '- ')
+    .replace(/<br\s*\/?>|<\/p>\s*/g, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(lt|gt|amp|quot|#39);/g, (entity) => entities[entity])
+    .trim();
+}
+
+// parameters like options.x describe fields of an object parameter
+const signatureParams = (doc) => (doc.params ?? []).filter((param) => !param.name?.includes('.'));
+const signature = (doc, label = getDocLabel(doc)) =>
+  `${label}(${signatureParams(doc)
+    .map((param) => param.name)
+    .join(', ')})`;
+
+function documentation(doc, label) {
+  const parts = ['```js\n' + signature(doc, label) + '\n```', htmlToMarkdown(doc.description)];
+  const params = (doc.params ?? []).map(
+    ({ name, type, description }) =>
+      `- \`${name}\` ${type?.names?.join(' | ') ?? ''} ${htmlToMarkdown(description).replace(/\n+/g, ' ')}`,
+  );
+  params.length && parts.push(params.join('\n'));
+  doc.synonyms?.length && parts.push(`Synonyms: ${doc.synonyms.join(', ')}`);
+  doc.examples?.forEach((example) => parts.push('```js\n' + example + '\n```'));
+  return { kind: 'markdown', value: parts.filter(Boolean).join('\n\n') };
+}
+
+// ----- positions -----
+
+function offsetAt(text, { line, character }) {
+  let offset = 0;
+  for (let i = 0; i < line; i++) {
+    const next = text.indexOf('\n', offset);
+    if (next === -1) {
+      return text.length;
+    }
+    offset = next + 1;
+  }
+  return Math.min(offset + character, text.length);
+}
+
+function positionAt(text, offset) {
+  const lines = text.slice(0, offset).split('\n');
+  return { line: lines.length - 1, character: lines[lines.length - 1].length };
+}
+
+const rangeOf = (text, from, to) => ({ start: positionAt(text, from), end: positionAt(text, to) });
+
+function wordAt(text, offset) {
+  let start = offset;
+  let end = offset;
+  while (start > 0 && /[\w$]/.test(text[start - 1])) {
+    start--;
+  }
+  while (end < text.length && /[\w$]/.test(text[end])) {
+    end++;
+  }
+  return { word: text.slice(start, end), start, end };
+}
+
+// the innermost call the offset is in, with the index of the argument, skipping strings and comments
+function callAt(text, offset) {
+  const stack = [];
+  let quote;
+  for (let i = 0; i < offset; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = undefined;
+      }
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? offset : end;
+    } else if (char === '(') {
+      stack.push({ name: text.slice(0, i).match(/([\w$]+)\s*$/)?.[1], argument: 0 });
+    } else if (char === '[' || char === '{') {
+      stack.push(undefined);
+    } else if (char === ')' || char === ']' || char === '}') {
+      stack.pop();
+    } else if (char === ',' && stack.length && stack[stack.length - 1]) {
+      stack[stack.length - 1].argument++;
+    }
+  }
+  return stack[stack.length - 1];
+}
+
+// ----- language features -----
+
+const documents = new Map(); // uri -> text
+
+const completionItems = docs.map((doc) => ({
+  label: getDocLabel(doc),
+  kind: 3, // Function
+  detail: signature(doc),
+  documentation: documentation(doc),
+}));
+
+async function complete({ textDocument, position }) {
+  const text = documents.get(textDocument.uri) ?? '';
+  const offset = offsetAt(text, position);
+  const { word, start } = wordAt(text, offset);
+  // after a dot, only what can be called on a pattern
+  const methods = /\.\s*$/.test(text.slice(0, start)) && new Set(await patternMethodNames());
+  return completionItems.filter((item) => item.label.startsWith(word) && (!methods || methods.has(item.label)));
+}
+
+function hover({ textDocument, position }) {
+  const text = documents.get(textDocument.uri) ?? '';
+  const { word, start, end } = wordAt(text, offsetAt(text, position));
+  const doc = word && findDoc(word);
+  return doc ? { contents: documentation(doc, word), range: rangeOf(text, start, end) } : null;
+}
+
+function signatureHelp({ textDocument, position }) {
+  const text = documents.get(textDocument.uri) ?? '';
+  const call = callAt(text, offsetAt(text, position));
+  const doc = call?.name && findDoc(call.name);
+  if (!doc) {
+    return null;
+  }
+  const parameters = signatureParams(doc).map(({ name, description }) => ({
+    label: name,
+    documentation: htmlToMarkdown(description),
+  }));
+  return {
+    signatures: [{ label: signature(doc, call.name), documentation: documentation(doc, call.name), parameters }],
+    activeSignature: 0,
+    activeParameter: Math.min(call.argument, Math.max(parameters.length - 1, 0)),
+  };
+}
+
+const severities = { error: 1, warning: 2 };
+
+async function diagnose(uri) {
+  const text = documents.get(uri);
+  const found = await lintHeadless(text);
+  if (documents.get(uri) !== text) {
+    // changed in the meantime
+    return;
+  }
+  const diagnostics = found.map(({ from, to, message, severity, fixes }) => ({
+    range: rangeOf(text, from, to),
+    severity: severities[severity],
+    source: 'strudel',
+    message,
+    data: { fixes },
+  }));
+  notify('textDocument/publishDiagnostics', { uri, diagnostics });
+}
+
+// diagnostics run in the background, the notification that started them has been handled already
+const diagnoseFailed = (uri) => (err) => console.error(`Diagnostics of ${uri} failed: ${err.message}`);
+
+function codeActions({ textDocument, context }) {
+  const { uri } = textDocument;
+  const text = documents.get(uri) ?? '';
+  return context.diagnostics.flatMap((diagnostic) =>
+    (diagnostic.data?.fixes ?? []).map(({ name, changes }) => ({
+      title: name,
+      kind: 'quickfix',
+      diagnostics: [diagnostic],
+      edit: {
+        changes: {
+          [uri]: changes.map(({ from, to, insert }) => ({ range: rangeOf(text, from, to), newText: insert })),
+        },
+      },
+    })),
+  );
+}
+
+// ----- API server -----
+
+async function api(endpoint, body) {
+  const token =
+    process.env.STRUDEL_API_TOKEN || (existsSync(TOKEN_FILE) ? readFileSync(TOKEN_FILE, 'utf8').trim() : undefined);
+  const response = await fetch(`http://${API_HOST}:${API_PORT}/api${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(SESSION ? { 'X-Strudel-Session': SESSION } : {}),
+    },
+    body: JSON.stringify(body ?? {}),
+  }).catch((err) => {
+    throw new Error(`Connection failed, is the API server running? (npm run api) ${err.message}`);
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `API server answered ${response.status}`);
+  }
+  return result;
+}
+
+const commands = {
+  // sends the buffer to the editor of the API server and evaluates it there
+  'strudel.evaluate': async (uri) => {
+    const text = documents.get(uri?.uri ?? uri);
+    if (text === undefined) {
+      throw new Error(`Unknown document ${uri}`);
+    }
+    await api('/editor/content', { content: text });
+    const result = await api('/editor/eval');
+    if (!result.success) {
+      const { message, line, column } = result.error;
+      showMessage(1, `Evaluation failed${line !== undefined ? ` at ${line}:${column}` : ''}: ${message}`);
+    } else {
+      showMessage(3, result.patterns?.length ? `Playing ${result.patterns.join(', ')}` : 'Evaluated');
+    }
+    return result;
+  },
+  'strudel.stop': () => api('/transport/stop'),
+};
+
+async function executeCommand({ command, arguments: args = [] }) {
+  if (!commands[command]) {
+    throw new Error(`Unknown command ${command}`);
+  }
+  try {
+    return await commands[command](...args);
+  } catch (err) {
+    showMessage(1, `${command}: ${err.message}`);
+    return null;
+  }
+}
+
+// ----- protocol -----
+
+const capabilities = {
+  textDocumentSync: 1, // full text on every change
+  completionProvider: { triggerCharacters: ['.'] },
+  hoverProvider: true,
+  signatureHelpProvider: { triggerCharacters: ['(', ','] },
+  codeActionProvider: { codeActionKinds: ['quickfix'] },
+  executeCommandProvider: { commands: Object.keys(commands) },
+};
+
+let shutdown = false;
+
+const requests = {
+  initialize: () => ({ capabilities, serverInfo: { name: 'strudel-lsp' } }),
+  shutdown: () => {
+    shutdown = true;
+    return null;
+  },
+  'textDocument/completion': complete,
+  'textDocument/hover': hover,
+  'textDocument/signatureHelp': signatureHelp,
+  'textDocument/codeAction': codeActions,
+  'workspace/executeCommand': executeCommand,
+};
+
+const notifications = {
+  'textDocument/didOpen': ({ textDocument }) => {
+    documents.set(textDocument.uri, textDocument.text);
+    diagnose(textDocument.uri).catch(diagnoseFailed(textDocument.uri));
+  },
+  'textDocument/didChange': ({ textDocument, contentChanges }) => {
+    documents.set(textDocument.uri, contentChanges[contentChanges.length - 1].text);
+    diagnose(textDocument.uri).catch(diagnoseFailed(textDocument.uri));
+  },
+  'textDocument/didClose': ({ textDocument }) => {
+    documents.delete(textDocument.uri);
+    notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+  },
+  exit: () => process.exit(shutdown ? 0 : 1),
+};
+
+function send(message) {
+  const json = JSON.stringify({ jsonrpc: '2.0', ...message });
+  process.stdout.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+}
+const notify = (method, params) => send({ method, params });
+const showMessage = (type, message) => notify('window/showMessage', { type, message });
+
+async function handle({ id, method, params }) {
+  if (id === undefined) {
+    try {
+      await notifications[method]?.(params);
+    } catch (err) {
+      console.error(`${method}: ${err.message}`);
+    }
+    return;
+  }
+  if (!requests[method]) {
+    return send({ id, error: { code: -32601, message: `Method not found: ${method}` } });
+  }
+  try {
+    send({ id, result: (await requests[method](params)) ?? null });
+  } catch (err) {
+    send({ id, error: { code: -32603, message: err.message } });
+  }
+}
+
+// messages are a Content-Length header, an empty line and the JSON body
+let buffer = Buffer.alloc(0);
+process.stdin.on('data', (chunk) => {
+  buffer = Buffer.concat([buffer, chunk]);
+  while (true) {
+    const headerEnd = buffer.indexOf('\r\n\r\n');
+    if (headerEnd === -1) {
+      return;
+    }
+    const length = Number(
+      buffer
+        .subarray(0, headerEnd)
+        .toString()
+        .match(/Content-Length: *(\d+)/i)?.[1],
+    );
+    const bodyStart = headerEnd + 4;
+    if (buffer.length < bodyStart + length) {
+      return;
+    }
+    const body = buffer.subarray(bodyStart, bodyStart + length).toString();
+    buffer = buffer.subarray(bodyStart + length);
+    try {
+      handle(JSON.parse(body));
+    } catch (err) {
+      console.error(`Ignoring invalid message: ${err.message}`);
+    }
+  }
+});
+process.stdin.on('end', () => process.exit(shutdown ? 0 : 1));
@@ -0,0 +1,85 @@
+/**
+ * Strudel Sync Server
+ * Shares one tempo and cycle timeline between Strudel instances on a network, so several machines can jam in time.
+ * Peers join with the NetworkCyclist scheduler of @strudel/core (in the REPL: settings, "Network Sync Server").
+ *
+ * Usage: node sync-server.mjs [--port 4322] [--host 0.0.0.0] [--cps 0.5]
+ */
+
+import { WebSocket, WebSocketServer } from 'ws';
+import { networkInterfaces } from 'os';
+
+function option(flag, fallback) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+}
+
+const PORT = Number(option('--port', process.env.STRUDEL_SYNC_PORT || 4322));
+// all interfaces by default, other machines on the LAN have to reach it
+const HOST = option('--host', process.env.STRUDEL_SYNC_HOST || '0.0.0.0');
+
+const now = () => performance.now() / 1000;
+
+// the cycle at a time of the server clock, peers derive everything else from it
+let timeline = { cps: Number(option('--cps', 0.5)), cycle: 0, time: now() };
+const cycleAt = (time) => timeline.cycle + (time - timeline.time) * timeline.cps;
+
+const wss = new WebSocketServer({ port: PORT, host: HOST });
+
+const send = (ws, message) => ws.readyState === WebSocket.OPEN && ws.send(JSON.stringify(message));
+const broadcast = (message) => wss.clients.forEach((ws) => send(ws, message));
+const describeTimeline = () => ({ type: 'timeline', ...timeline, peers: wss.clients.size });
+
+function handle(ws, message) {
+  switch (message.type) {
+    // clock sync: the peer measures the round trip and compares its clock with ours
+    case 'ping':
+      return send(ws, { type: 'pong', id: message.id, time: now() });
+    // tempo changes keep the phase, the new cps starts at the current cycle
+    case 'cps': {
+      const cps = Number(message.cps);
+      if (!(cps > 0) || cps === timeline.cps) {
+        return;
+      }
+      const time = now();
+      timeline = { cps, cycle: cycleAt(time), time };
+      console.log(`cps ${cps} at cycle ${timeline.cycle.toFixed(2)}`);
+      return broadcast(describeTimeline());
+    }
+    default:
+      console.warn(`Unknown message type "${message.type}"`);
+  }
+}
+
+wss.on('connection', (ws, req) => {
+  const peer = req.socket.remoteAddress;
+  console.log(`${peer} joined (${wss.clients.size} connected)`);
+  broadcast(describeTimeline());
+  ws.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return console.warn(`Ignoring invalid message from ${peer}`);
+    }
+    handle(ws, message);
+  });
+  ws.on('close', () => {
+    console.log(`${peer} left (${wss.clients.size} connected)`);
+    broadcast(describeTimeline());
+  });
+});
+
+wss.on('listening', () => {
+  const addresses = Object.values(networkInterfaces())
+    .flat()
+    .filter((address) => address.family === 'IPv4' && !address.internal)
+    .map((address) => `ws://${address.address}:${PORT}`);
+  console.log(`Strudel sync server running on ws://${HOST}:${PORT}, ${timeline.cps} cps`);
+  addresses.length && console.log(`Peers on the network can join with ${addresses.join(' or ')}`);
+});
+
+wss.on('error', (error) => {
+  console.error(`Sync server error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,344 @@
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { WebSocket } from 'ws';
+import { afterAll, afterEach, beforeAll, describe, expect, it } from 'vitest';
+
+const TOKEN = 'test-token';
+const ORIGIN = 'http://allowed.test';
+const auth = { Authorization: `Bearer ${TOKEN}` };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function until(check, what) {
+  for (let i = 0; i < 200; i++) {
+    if (await check()) {
+      return;
+    }
+    await sleep(50);
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+const freePort = () =>
+  new Promise((resolve) => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+// api-server.mjs in headless mode, on a port of its own
+async function startServer() {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['api-server.mjs', '--headless'], {
+    cwd: new URL('..', import.meta.url),
+    env: {
+      ...process.env,
+      STRUDEL_API_PORT: String(port),
+      STRUDEL_API_HOST: '127.0.0.1',
+      STRUDEL_API_AUTH: '1',
+      STRUDEL_API_TOKEN: TOKEN,
+      STRUDEL_API_ORIGINS: ORIGIN,
+    },
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => (stderr += chunk));
+  const base = `http://127.0.0.1:${port}`;
+  await until(
+    () =>
+      fetch(`${base}/api/health`).then(
+        () => true,
+        () => child.exitCode !== null && Promise.reject(new Error(`api-server.mjs exited: ${stderr}`)),
+      ),
+    'the server to listen',
+  );
+  return { port, base, stop: () => child.kill() };
+}
+
+describe('api-server', { timeout: 30000 }, () => {
+  let server;
+  let browsers = [];
+
+  const api = async (path, { method = 'GET', body, headers } = {}) => {
+    const res = await fetch(server.base + path, {
+      method,
+      headers: { ...auth, ...(body && { 'Content-Type': 'application/json' }), ...headers },
+      body: body && JSON.stringify(body),
+    });
+    const json = res.headers.get('content-type')?.includes('json');
+    return {
+      status: res.status,
+      type: res.headers.get('content-type'),
+      body: json ? await res.json() : Buffer.from(await res.arrayBuffer()),
+    };
+  };
+  const post = (path, body = {}, headers) => api(path, { method: 'POST', body, headers });
+
+  // a browser tab with its code, answer(message) returns the response to other requests (or nothing)
+  const connectBrowser = (name, answer = () => undefined) =>
+    new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://127.0.0.1:${server.port}/?name=${name}&token=${TOKEN}`);
+      const browser = { ws, code: '', send: (message) => ws.send(JSON.stringify(message)) };
+      browsers.push(browser);
+      ws.on('error', reject);
+      ws.on('message', (data) => {
+        const message = JSON.parse(data);
+        if (message.type === 'session') {
+          Object.assign(browser, { id: message.id, name: message.name });
+          return resolve(browser);
+        }
+        const response =
+          message.type === 'get-content' ? { type: 'content-response', content: browser.code } : answer(message);
+        response && browser.send({ id: message.id, ...response });
+      });
+    });
+
+  // the server forgets sessions when their socket closes
+  const connectedSessions = async () => (await api('/api/sessions')).body.count;
+
+  // a server-sent event stream, next(matches) reads up to the first event that matches
+  const eventStream = async (query, headers) => {
+    const controller = new AbortController();
+    const res = await fetch(`${server.base}/api/events?${query}`, {
+      headers: { ...auth, ...headers },
+      signal: controller.signal,
+    });
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    return {
+      async next(matches = () => true) {
+        for (;;) {
+          const end = buffer.indexOf('\n\n');
+          if (end === -1) {
+            buffer += (await reader.read()).value;
+            continue;
+          }
+          const data = buffer
+            .slice(0, end)
+            .split('\n')
+            .find((line) => line.startsWith('data: '));
+          buffer = buffer.slice(end + 2);
+          const event = data && JSON.parse(data.slice('data: '.length));
+          if (event && matches(event)) {
+            return event;
+          }
+        }
+      },
+      close: () => controller.abort(),
+    };
+  };
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+  afterEach(async () => {
+    browsers.forEach(({ ws }) => ws.close());
+    browsers = [];
+    await until(async () => (await connectedSessions()) === 0, 'the browsers to disconnect');
+  });
+  afterAll(() => server?.stop());
+
+  describe('access', () => {
+    it('needs the bearer token', async () => {
+      expect((await api('/api/health', { headers: { Authorization: '' } })).status).toBe(401);
+      expect((await api('/api/health', { headers: { Authorization: 'Bearer wrong' } })).status).toBe(401);
+      expect((await api(`/api/health?token=${TOKEN}`, { headers: { Authorization: '' } })).status).toBe(200);
+      const { status, body } = await api('/api/health');
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ status: 'ok', headless: true });
+    });
+    it('only lets allowed origins in', async () => {
+      const rejected = await api('/api/health', { headers: { Origin: 'http://evil.test' } });
+      expect(rejected.status).toBe(403);
+      expect(rejected.body.error).toMatch(/--allow-origin http:\/\/evil.test/);
+      expect((await api('/api/health', { headers: { Origin: ORIGIN } })).status).toBe(200);
+    });
+    it('checks the origin and token of WebSocket connections', async () => {
+      const statusOf = (query, options) =>
+        new Promise((resolve) => {
+          const ws = new WebSocket(`ws://127.0.0.1:${server.port}/?${query}`, options);
+          ws.on('unexpected-response', (req, res) => {
+            resolve(res.statusCode);
+            req.destroy();
+          });
+          ws.on('open', () => {
+            resolve(101);
+            ws.close();
+          });
+          ws.on('error', () => {});
+        });
+      expect(await statusOf(`token=${TOKEN}`, { origin: 'http://evil.test' })).toBe(403);
+      expect(await statusOf('token=wrong')).toBe(401);
+      expect(await statusOf(`token=${TOKEN}`, { origin: ORIGIN })).toBe(101);
+    });
+  });
+
+  describe('headless session', () => {
+    it('evaluates the code and reports errors with their location', async () => {
+      await post('/api/editor/content', { content: 'note("c e")' });
+      const evaluated = await post('/api/editor/eval');
+      expect(evaluated.body).toMatchObject({ message: 'Code evaluated', success: true, patterns: [] });
+      const { body } = await api('/api/pattern/haps?from=0&to=1');
+      expect(body.haps.map((hap) => hap.value)).toEqual([{ note: 'c' }, { note: 'e' }]);
+      await post('/api/editor/content', { content: 'note("c e")\n  .fast(' });
+      const failed = await post('/api/editor/eval');
+      expect(failed.body).toMatchObject({ message: 'Evaluation failed', success: false, error: { line: 2 } });
+    });
+    it('keeps a history to undo and restore', async () => {
+      await post('/api/editor/content', { content: 'note("c")' });
+      await post('/api/editor/content', { content: 'note("d")' });
+      const { body } = await api('/api/history');
+      const [latest, previous] = body.snapshots;
+      expect(latest).toMatchObject({ current: true, preview: 'note("d")', source: 'api' });
+      expect(previous).toMatchObject({ current: false, preview: 'note("c")' });
+
+      const undone = await post('/api/undo', { evaluate: true });
+      expect(undone.body).toMatchObject({ snapshot: { id: previous.id, current: true }, eval: { success: true } });
+      expect((await api('/api/editor/content')).body.content).toBe('note("c")');
+
+      expect((await api(`/api/history/${latest.id}`)).body.code).toBe('note("d")');
+      await post(`/api/history/${latest.id}/restore`);
+      expect((await api('/api/editor/content')).body.content).toBe('note("d")');
+      expect((await api('/api/history/0')).status).toBe(404);
+    });
+    it('changes one block', async () => {
+      await post('/api/editor/content', { content: '$: note("c")\nbass: note("c2")' });
+      const muted = await post('/api/editor/block/bass', { action: 'mute', evaluate: true });
+      expect(muted.body.blocks.map((block) => [block.id, block.muted])).toEqual([
+        ['$0', false],
+        ['bass', true],
+      ]);
+      expect(muted.body.eval).toMatchObject({ success: true, patterns: ['$0'] });
+      await post('/api/editor/block/$0', { action: 'replace', content: 'note("e")' });
+      expect((await api('/api/editor/content')).body.content).toBe('$: note("e")\n_bass: note("c2")');
+
+      expect((await post('/api/editor/block/drums', { action: 'mute' })).status).toBe(404);
+      expect((await post('/api/editor/block/bass', { action: 'fade' })).status).toBe(400);
+      const broken = await post('/api/editor/block/$0', { action: 'replace', content: 'note(' });
+      expect(broken.status).toBe(422);
+      expect((await api('/api/editor/content')).body.content).toBe('$: note("e")\n_bass: note("c2")');
+    });
+    it('streams its activity as server-sent events', async () => {
+      const stream = await eventStream('types=edit');
+      await post('/api/editor/content', { content: 'note("f")' });
+      const edit = await stream.next();
+      stream.close();
+      expect(edit).toMatchObject({ type: 'edit', source: 'api', code: 'note("f")', session: 'headless' });
+
+      // reconnecting with Last-Event-ID gets what was missed
+      const replay = await eventStream('types=edit', { 'Last-Event-ID': String(edit.id - 1) });
+      expect(await replay.next()).toEqual(edit);
+      replay.close();
+    });
+    it('has no scheduler metrics or audio export', async () => {
+      const metrics = await api('/api/metrics');
+      expect(metrics.status).toBe(409);
+      expect(metrics.body.error).toMatch(/headless/);
+      const audio = await post('/api/export/audio', { cycles: 1, cps: 1 });
+      expect(audio.status).toBe(409);
+      expect(audio.body.error).toMatch(/connect a browser/);
+    });
+    it('exports code or the session code to MIDI', async () => {
+      const midi = await post('/api/export/midi', { code: 'note("c e")', cycles: 1 });
+      expect(midi.type).toBe('audio/midi');
+      expect(midi.body.subarray(0, 4).toString()).toBe('MThd');
+      await post('/api/editor/content', { content: 'note("c e g")' });
+      const session = await post('/api/export/midi', { cycles: 1 });
+      expect(session.body.subarray(0, 4).toString()).toBe('MThd');
+      expect((await post('/api/export/midi', { code: 'note(' })).status).toBe(422);
+      const code = `note("c").withValue(() => { throw new Error('boom') })`;
+      const broken = await post('/api/export/midi', { code, cycles: 1 });
+      expect(broken.status).toBe(422);
+      expect(broken.body.error).toBe('boom');
+    });
+  });
+
+  describe('browser sessions', () => {
+    it('picks the session from ?session= or X-Strudel-Session, and asks when it is ambiguous', async () => {
+      const drums = await connectBrowser('drums');
+      drums.code = 's("bd")';
+      expect((await api('/api/editor/content')).body.content).toBe('s("bd")');
+
+      const bass = await connectBrowser('bass');
+      bass.code = 'note("c2")';
+      const ambiguous = await api('/api/editor/content');
+      expect(ambiguous.status).toBe(409);
+      expect(ambiguous.body.sessions.map((session) => session.name)).toEqual(['drums', 'bass', 'headless']);
+
+      expect((await api('/api/editor/content?session=bass')).body.content).toBe('note("c2")');
+      expect((await api('/api/editor/content', { headers: { 'X-Strudel-Session': drums.id } })).body.content).toBe(
+        's("bd")',
+      );
+      expect((await api('/api/editor/content?session=headless')).status).toBe(200);
+      expect((await api('/api/editor/content?session=keys')).status).toBe(404);
+
+      const again = await connectBrowser('drums');
+      expect(again.name).toBe('drums-2');
+    });
+    it('answers each request with the response of the session it was sent to', async () => {
+      const evaluations = [];
+      const drums = await connectBrowser('drums', (message) => {
+        message.type === 'evaluate' && evaluations.push(message);
+      });
+      const bass = await connectBrowser('bass');
+      const requests = [1, 2].map((quantize) => post('/api/editor/eval?session=drums', { quantize }));
+      await until(() => evaluations.length === 2, 'the evaluate requests');
+      const [first, second] = [1, 2].map((quantize) => evaluations.find((message) => message.quantize === quantize));
+
+      // another tab answering with the same id must not count, its next answer shows it was handled
+      bass.send({ type: 'eval-result', id: first.id, success: true, patterns: ['spoofed'] });
+      await api('/api/editor/content?session=bass');
+      // answers in the other order
+      drums.send({
+        type: 'eval-result',
+        id: second.id,
+        success: false,
+        error: { message: 'boom', line: 1, column: 0 },
+      });
+      drums.send({ type: 'eval-result', id: first.id, success: true, patterns: ['drums'], launchCycle: 4 });
+
+      const [one, two] = await Promise.all(requests);
+      expect(one.body).toMatchObject({ success: true, patterns: ['drums'], launchCycle: 4 });
+      expect(two.body).toMatchObject({ success: false, error: { message: 'boom' } });
+    });
+    it('fails the requests of a tab that disconnects right away', async () => {
+      const drums = await connectBrowser('drums', (message) => {
+        message.type === 'evaluate' && drums.ws.close();
+      });
+      const started = Date.now();
+      const { status, body } = await post('/api/editor/eval');
+      expect(status).toBe(408);
+      expect(body.error).toBe('Session "drums" disconnected');
+      // instead of after the 15 second timeout of evaluations
+      expect(Date.now() - started).toBeLessThan(5000);
+    });
+    it('reports the scheduler metrics of a tab', async () => {
+      const metrics = { started: true, cps: 0.5, late: 0, skipped: 0 };
+      const resets = [];
+      await connectBrowser('drums', (message) => {
+        if (message.type === 'metrics') {
+          resets.push(message.reset);
+          return { type: 'metrics-response', metrics };
+        }
+      });
+      expect((await api('/api/metrics')).body).toEqual(metrics);
+      await api('/api/metrics?reset=true');
+      expect(resets).toEqual([false, true]);
+    });
+    it('exports the audio a tab renders', async () => {
+      const renders = [];
+      await connectBrowser('drums', (message) => {
+        if (message.type === 'render-audio') {
+          renders.push(message);
+          return { type: 'render-response', data: Buffer.from('RIFF').toString('base64') };
+        }
+      });
+      const wav = await post('/api/export/audio', { cycles: 2, cps: 0.5, sampleRate: 44100 });
+      expect(wav.type).toBe('audio/wav');
+      expect(wav.body.toString()).toBe('RIFF');
+      expect(renders).toMatchObject([{ cycles: 2, cps: 0.5, sampleRate: 44100, tail: 0 }]);
+      expect((await post('/api/export/audio', { cycles: 1000, cps: 0.5 })).status).toBe(400);
+    });
+  });
+});
@@ -98,6 +98,8 @@ const toneHelpersMocked = {
   '_spectrum',
   'markcss',
   'p',
+  'launch',
+  'crossfade',
 ].forEach((mock) => {
   strudel.Pattern.prototype[mock] = function () {
     return this;
@@ -131,6 +133,10 @@ const midin = () => {
   return (ccNum) => strudel.ref(() => 0); // returns ref with default value 0
 };
 
+const oscin = () => {
+  return () => strudel.ref(() => 0); // returns ref with default value 0
+};
+
 const sysex = ([id, data]) => {};
 
 // TODO: refactor to evalScope
@@ -150,6 +156,7 @@ evalScope(
   */
   {
     midin,
+    oscin,
     sysex,
     // gist,
     // euclid,
@@ -165,6 +172,7 @@ evalScope(
     loadcsound,
     setcps: id,
     setcpm: id,
+    setSeed: id, // would change the random values of the examples after it
     Clock: {}, // whatever
   },
 );
@@ -0,0 +1,125 @@
+import { spawn } from 'child_process';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+
+// talks LSP to strudel-lsp.mjs over its stdio, like an editor would
+function startServer() {
+  const child = spawn(process.execPath, ['strudel-lsp.mjs'], { cwd: new URL('..', import.meta.url) });
+  const pending = new Map();
+  const waiting = [];
+  let buffer = Buffer.alloc(0);
+  let lastId = 0;
+  child.stdout.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let headerEnd;
+    while ((headerEnd = buffer.indexOf('\r\n\r\n')) !== -1) {
+      const length = Number(
+        buffer
+          .subarray(0, headerEnd)
+          .toString()
+          .match(/Content-Length: (\d+)/)[1],
+      );
+      if (buffer.length < headerEnd + 4 + length) {
+        return;
+      }
+      const message = JSON.parse(buffer.subarray(headerEnd + 4, headerEnd + 4 + length).toString());
+      buffer = buffer.subarray(headerEnd + 4 + length);
+      if (message.id !== undefined) {
+        pending.get(message.id)?.(message);
+      } else {
+        waiting.filter((w) => w.matches(message)).forEach((w) => w.resolve(message));
+      }
+    }
+  });
+  const write = (message) => {
+    const json = JSON.stringify({ jsonrpc: '2.0', ...message });
+    child.stdin.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+  };
+  return {
+    request: (method, params) =>
+      new Promise((resolve) => {
+        const id = ++lastId;
+        pending.set(id, resolve);
+        write({ id, method, params });
+      }),
+    notify: (method, params) => write({ method, params }),
+    // the next notification that matches
+    next: (matches) => new Promise((resolve) => waiting.push({ matches, resolve })),
+    stop: () => child.kill(),
+  };
+}
+
+describe('strudel-lsp', () => {
+  let server;
+  const uri = 'file:///tmp/pattern.js';
+  const open = (text) => server.notify('textDocument/didOpen', { textDocument: { uri, text, version: 1 } });
+  const at = (line, character) => ({ textDocument: { uri }, position: { line, character } });
+
+  beforeAll(async () => {
+    server = startServer();
+  });
+  afterAll(() => server.stop());
+
+  it('answers initialize with its capabilities', async () => {
+    const { result } = await server.request('initialize', { capabilities: {} });
+    expect(result.serverInfo.name).toBe('strudel-lsp');
+    expect(result.capabilities).toMatchObject({
+      completionProvider: { triggerCharacters: ['.'] },
+      hoverProvider: true,
+      signatureHelpProvider: { triggerCharacters: ['(', ','] },
+    });
+    server.notify('initialized', {});
+  }, 30000);
+
+  it('completes functions, and only pattern methods after a dot', async () => {
+    open('ra\nnote("c").ra');
+    const labels = async (line, character) =>
+      (await server.request('textDocument/completion', at(line, character))).result.map((item) => item.label);
+    const everything = await labels(0, 2);
+    expect(everything).toEqual(expect.arrayContaining(['rand', 'range', 'rarely']));
+    const methods = await labels(1, 12);
+    expect(methods).toEqual(expect.arrayContaining(['range', 'rarely']));
+    expect(methods).not.toContain('rand');
+  });
+
+  it('shows the docs of the word under the cursor', async () => {
+    open('s("bd").fast(2)');
+    const { result } = await server.request('textDocument/hover', at(0, 10));
+    expect(result.contents.kind).toBe('markdown');
+    expect(result.contents.value).toMatch(/fast/);
+    expect(result.range).toEqual({ start: { line: 0, character: 8 }, end: { line: 0, character: 12 } });
+  });
+
+  it('helps with the arguments of the call the cursor is in', async () => {
+    open('s("bd").fast(2, ');
+    const { result } = await server.request('textDocument/signatureHelp', at(0, 16));
+    expect(result.signatures[0].label).toMatch(/^fast\(/);
+    expect(result.activeSignature).toBe(0);
+  });
+
+  it('publishes diagnostics with quick fixes when a document opens or changes', async () => {
+    const uri = 'file:///tmp/typo.js';
+    const published = server.next(
+      ({ method, params }) => method === 'textDocument/publishDiagnostics' && params.uri === uri,
+    );
+    server.notify('textDocument/didOpen', { textDocument: { uri, text: 's("bd").bnak("tr909")', version: 1 } });
+    const { params } = await published;
+    expect(params.diagnostics).toMatchObject([
+      {
+        range: { start: { line: 0, character: 8 }, end: { line: 0, character: 12 } },
+        severity: 2,
+        source: 'strudel',
+        message: expect.stringMatching(/^unknown method "bnak", did you mean "bank"/),
+        data: { fixes: expect.arrayContaining([expect.objectContaining({ name: 'change to "bank"' })]) },
+      },
+    ]);
+    const fixed = server.next(
+      ({ method, params }) =>
+        method === 'textDocument/publishDiagnostics' && params.uri === uri && params.diagnostics.length === 0,
+    );
+    server.notify('textDocument/didChange', {
+      textDocument: { uri, version: 2 },
+      contentChanges: [{ text: 's("bd").bank("tr909")' }],
+    });
+    await fixed;
+  });
+});
@@ -3,9 +3,26 @@
  * Connects to the API server for external control
  */
 
+import { logger, silence, State, TimeSpan } from '@strudel/core';
+import { renderToWav } from '@strudel/webaudio';
+
 let ws = null;
 let reconnectTimeout = null;
 const RECONNECT_DELAY = 3000;
+const SESSION_NAME_KEY = 'strudel-api-session';
+const TOKEN_KEY = 'strudel-api-token';
+
+// Session assigned by the API server, so several tabs can be driven independently
+let session = null;
+
+// Typing produces a change per key, so edits are reported once the user pauses
+const EDIT_DEBOUNCE = 500;
+let editTimeout = null;
+
+// Tell API edits and evaluations apart from the user's own
+let handlingCommand = false;
+let evaluationSource = 'user';
+let lastReplState = {};
 
 // Command descriptions for better UX
 const COMMAND_DESCRIPTIONS = {
@@ -15,10 +32,58 @@ const COMMAND_DESCRIPTIONS = {
   'evaluate': 'Running the music',
   'get-content': 'Reading current pattern',
   'insert': 'Adding new elements',
+  'edit': 'Editing code section',
+  'apply-changes': 'Rearranging pattern blocks',
+  'get-selection': 'Reading cursor position',
+  'query-haps': 'Listening ahead',
+  'metrics': 'Checking the timing',
+  'render-audio': 'Bouncing to audio',
+  'transport': 'Controlling transport',
   'set-cursor': 'Moving cursor position',
   'set-selection': 'Selecting code section'
 };
 
+// Resolve an API position (offset or { line, column }) to a document offset
+function resolvePosition(doc, position) {
+  if (typeof position === 'number') {
+    if (position < 0 || position > doc.length) {
+      throw new Error(`Offset ${position} is out of range (0-${doc.length})`);
+    }
+    return position;
+  }
+  const { line, column = 0 } = position;
+  if (line < 1 || line > doc.lines) {
+    throw new Error(`Line ${line} is out of range (1-${doc.lines})`);
+  }
+  const { from, length } = doc.line(line);
+  if (column < 0 || column > length) {
+    throw new Error(`Column ${column} is out of range for line ${line} (0-${length})`);
+  }
+  return from + column;
+}
+
+// Describe the main selection with offsets and line/column pairs
+function describeSelection(editor) {
+  const doc = editor.editor.state.doc;
+  const selection = editor.getSelection();
+  const toLineColumn = (offset) => {
+    const line = doc.lineAt(offset);
+    return { line: line.number, column: offset - line.from };
+  };
+  return { ...selection, start: toLineColumn(selection.from), end: toLineColumn(selection.to) };
+}
+
+// Run an editing command and report the resulting selection (or the error) back to the API
+function handleEdit(editor, message, edit) {
+  try {
+    edit(editor.editor.state.doc);
+    sendToAPI({ type: 'edit-response', id: message.id, selection: describeSelection(editor), length: editor.code.length });
+  } catch (e) {
+    console.error('❌ Edit error:', e);
+    sendToAPI({ type: 'edit-response', id: message.id, error: e.message });
+  }
+}
+
 // Dispatch custom events to the UI
 function dispatchAPIEvent(type, data) {
   const event = new CustomEvent('strudel-api-event', {
@@ -27,8 +92,45 @@ function dispatchAPIEvent(type, data) {
   window.dispatchEvent(event);
 }
 
+// Tabs can ask for a name with ?session=drums, it is kept for reloads of the same tab
+function requestedSessionName() {
+  const name = new URLSearchParams(window.location.search).get('session');
+  if (name) {
+    sessionStorage.setItem(SESSION_NAME_KEY, name);
+  }
+  return name || sessionStorage.getItem(SESSION_NAME_KEY);
+}
+
+function setSessionName(name) {
+  sessionStorage.setItem(SESSION_NAME_KEY, name);
+  sendToAPI({ type: 'set-session-name', name });
+}
+
+// The API server prints a link with ?apiToken=..., the token is remembered and taken out of the address bar
+function apiToken() {
+  const url = new URL(window.location.href);
+  const token = url.searchParams.get('apiToken');
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+    url.searchParams.delete('apiToken');
+    window.history.replaceState(window.history.state, '', url);
+  }
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+function setToken(token) {
+  localStorage.setItem(TOKEN_KEY, token);
+  // reconnect with the new token
+  ws?.close();
+}
+
 function connectWebSocket() {
-  const wsUrl = `ws://localhost:3001`;
+  const name = requestedSessionName();
+  const token = apiToken();
+  const params = new URLSearchParams();
+  name && params.set('name', name);
+  token && params.set('token', token);
+  const wsUrl = `ws://localhost:3001/${params.toString() ? `?${params}` : ''}`;
   
   try {
     ws = new WebSocket(wsUrl);
@@ -58,6 +160,7 @@ function connectWebSocket() {
       console.log('📡 API server connection closed');
       
       // Dispatch disconnection event to UI
+      session = null;
       dispatchAPIEvent('connection', { connected: false });
       
       // Attempt to reconnect after delay
@@ -71,6 +174,9 @@ function connectWebSocket() {
     
     ws.onerror = (error) => {
       console.log('⚠️ API server not available (this is normal if not running)');
+      if (!token) {
+        console.log('🔑 If it is running, open the link with ?apiToken= it printed, or call strudelAPI.setToken(token)');
+      }
     };
     
   } catch (e) {
@@ -79,6 +185,13 @@ function connectWebSocket() {
 }
 
 function handleAPIMessage(message) {
+  if (message.type === 'session') {
+    session = { id: message.id, name: message.name };
+    console.log(`🏷️ API session: ${session.name} (${session.id})`);
+    dispatchAPIEvent('session', session);
+    return;
+  }
+  
   const editor = window.strudelMirror;
   if (!editor) {
     console.warn('❌ Editor not available');
@@ -91,6 +204,9 @@ function handleAPIMessage(message) {
   const description = COMMAND_DESCRIPTIONS[message.type] || `Executing ${message.type}`;
   dispatchAPIEvent('command', { description });
   
+  // editor changes made while handling the command are reported as API edits
+  flushEdit();
+  handlingCommand = true;
   switch (message.type) {
     case 'get-content':
       // Send current editor content back to API
@@ -131,24 +247,222 @@ function handleAPIMessage(message) {
       }
       break;
       
-    case 'evaluate':
-      // Trigger evaluation with error capture
-      try {
-        if (message.selection) {
-          // Evaluate selection (if supported)
-          editor.evaluate();
-        } else {
-          // Evaluate all
-          editor.evaluate();
+    case 'get-selection':
+      sendToAPI({ type: 'selection-response', id: message.id, selection: describeSelection(editor) });
+      break;
+      
+    case 'set-cursor':
+      handleEdit(editor, message, (doc) => {
+        editor.setSelection(resolvePosition(doc, message.position));
+      });
+      break;
+      
+    case 'set-selection':
+      handleEdit(editor, message, (doc) => {
+        editor.setSelection(resolvePosition(doc, message.from), resolvePosition(doc, message.to));
+      });
+      break;
+      
+    case 'insert':
+      handleEdit(editor, message, (doc) => {
+        const at = message.at !== undefined ? resolvePosition(doc, message.at) : editor.getCursorLocation();
+        editor.replaceRange(at, at, message.content);
+      });
+      break;
+      
+    case 'apply-changes':
+      handleEdit(editor, message, (doc) => {
+        message.changes.forEach(({ from, to }) => {
+          if (from < 0 || to > doc.length || from > to) {
+            throw new Error(`Change ${from}-${to} is out of range (0-${doc.length})`);
+          }
+        });
+        editor.replaceRanges(message.changes);
+      });
+      break;
+      
+    case 'edit':
+      handleEdit(editor, message, (doc) => {
+        const from = resolvePosition(doc, message.from);
+        const to = resolvePosition(doc, message.to);
+        if (from > to) {
+          throw new Error(`Range start (${from}) is after range end (${to})`);
         }
-      } catch (error) {
-        reportError(error, 'evaluation');
-      }
+        editor.replaceRange(from, to, message.content);
+      });
+      break;
+      
+    case 'transport':
+      handleTransport(editor, message);
+      break;
+      
+    case 'query-haps':
+      queryHaps(editor, message);
+      break;
+      
+    case 'metrics':
+      sendMetrics(editor, message);
+      break;
+      
+    case 'render-audio':
+      renderAudio(editor, message);
+      break;
+      
+    case 'evaluate':
+      // Evaluate and report the outcome back to the API
+      evaluateForAPI(editor, message);
       break;
       
     default:
       console.warn('❌ Unknown API command:', message.type);
   }
+  handlingCommand = false;
+}
+
+// Evaluate the editor code and answer with an eval-result carrying the request id
+async function evaluateForAPI(editor, message) {
+  let error;
+  evaluationSource = 'api';
+  try {
+    // repl.evaluate catches its own errors and keeps them in the repl state
+    // unset options fall back to the ones of the repl
+    await editor.evaluate({ quantize: message.quantize, crossfade: message.crossfade });
+    error = editor.repl.state.evalError;
+  } catch (e) {
+    error = e;
+  } finally {
+    evaluationSource = 'user';
+  }
+  const { miniLocations = [], patternIds = [], launchCycle } = editor.repl.state;
+  sendToAPI({
+    type: 'eval-result',
+    id: message.id,
+    success: !error,
+    error: error ? serializeError(error) : undefined,
+    miniLocations: miniLocations.length,
+    patterns: patternIds,
+    launchCycle
+  });
+}
+
+function transportStatus(editor) {
+  const { scheduler } = editor.repl;
+  return { started: scheduler.started, cps: scheduler.cps, cycle: scheduler.now() };
+}
+
+// Start the scheduler, evaluating the editor code first if nothing has been evaluated yet
+async function startPlaying(editor) {
+  if (!editor.repl.scheduler.pattern) {
+    await editor.evaluate();
+    return;
+  }
+  await editor.repl.start();
+}
+
+// Run a transport action and answer with the resulting transport status
+async function handleTransport(editor, message) {
+  const { repl } = editor;
+  try {
+    switch (message.action) {
+      case 'start':
+        await startPlaying(editor);
+        break;
+      case 'stop':
+        await editor.stop();
+        break;
+      case 'pause':
+        // the synced NeoCyclist can only be started and stopped
+        if (!repl.scheduler.pause) {
+          throw new Error('Pausing is not supported while sync is enabled');
+        }
+        repl.pause();
+        break;
+      case 'toggle':
+        if (repl.scheduler.started) {
+          await editor.stop();
+        } else {
+          await startPlaying(editor);
+        }
+        break;
+      case 'cps':
+        repl.setCps(message.cps);
+        publishEvent('transport', transportStatus(editor));
+        break;
+      case 'hush':
+        // silence everything but keep the clock running, like hush() in the editor
+        await repl.setPattern(silence, false);
+        break;
+      case 'status':
+        break;
+      default:
+        throw new Error(`Unknown transport action "${message.action}"`);
+    }
+    sendToAPI({ type: 'transport-response', id: message.id, status: transportStatus(editor) });
+  } catch (e) {
+    sendToAPI({ type: 'transport-response', id: message.id, error: e.message });
+  }
+}
+
+// Query the scheduled pattern, starting at the current cycle unless told otherwise
+function queryHaps(editor, message) {
+  const { pattern } = editor.repl.state;
+  if (!pattern) {
+    sendToAPI({ type: 'haps-response', id: message.id, error: 'No pattern has been evaluated yet' });
+    return;
+  }
+  const { scheduler } = editor.repl;
+  const from = message.from ?? scheduler.now();
+  const to = message.to ?? from + 1;
+  if (to <= from) {
+    sendToAPI({ type: 'haps-response', id: message.id, error: `to (${to}) must be after from (${from})` });
+    return;
+  }
+  try {
+    // not queryArc, which logs errors and answers with no haps
+    const haps = pattern.query(new State(new TimeSpan(from, to), { _cps: scheduler.cps }));
+    sendToAPI({ type: 'haps-response', id: message.id, from, to, haps: haps.map((hap) => hap.serialize()) });
+  } catch (e) {
+    sendToAPI({ type: 'haps-response', id: message.id, error: e.message });
+  }
+}
+
+// Answer with the timing measurements of the scheduler, see SchedulerMetrics in @strudel/core
+function sendMetrics(editor, message) {
+  const { scheduler } = editor.repl;
+  if (!scheduler.metrics) {
+    sendToAPI({ type: 'metrics-response', id: message.id, error: 'The scheduler does not record metrics' });
+    return;
+  }
+  const metrics = { started: scheduler.started, cps: scheduler.cps, ...scheduler.metrics.summary() };
+  message.reset && scheduler.metrics.reset();
+  sendToAPI({ type: 'metrics-response', id: message.id, metrics });
+}
+
+// Render cycles of the evaluated pattern offline and answer with the WAV file as base64
+async function renderAudio(editor, message) {
+  const { pattern } = editor.repl.state;
+  if (!pattern) {
+    sendToAPI({ type: 'render-response', id: message.id, error: 'No pattern has been evaluated yet' });
+    return;
+  }
+  const { cycles, cps = editor.repl.scheduler.cps, sampleRate, tail } = message;
+  try {
+    const blob = await renderToWav(pattern, { cycles, cps, sampleRate, tail });
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    sendToAPI({ type: 'render-response', id: message.id, cycles, cps, data: btoa(binary) });
+  } catch (e) {
+    sendToAPI({ type: 'render-response', id: message.id, error: e.message });
+  }
+}
+
+// Syntax errors from acorn carry the location in the user code
+function serializeError(error) {
+  const { name = 'Error', message = String(error), loc } = error;
+  return { name, message, line: loc?.line, column: loc?.column };
 }
 
 function sendToAPI(message) {
@@ -157,6 +471,64 @@ function sendToAPI(message) {
   }
 }
 
+// Report activity to the API server's event stream (/api/events)
+function publishEvent(type, data) {
+  sendToAPI({ type: 'event', event: { type, ...data } });
+}
+
+function publishEdit(source) {
+  const code = window.strudelMirror?.code ?? '';
+  publishEvent('edit', { source, code, length: code.length });
+}
+
+// Report typing that is still waiting for the debounce, so the server sees edits in order
+function flushEdit() {
+  if (editTimeout) {
+    clearTimeout(editTimeout);
+    editTimeout = null;
+    publishEdit('user');
+  }
+}
+
+function reportEdit(source) {
+  // API changes are discrete, each one is reported (and snapshotted by the server) right away.
+  // Pending typing was flushed before the command was applied
+  if (source === 'api') {
+    publishEdit(source);
+    return;
+  }
+  clearTimeout(editTimeout);
+  editTimeout = setTimeout(() => {
+    editTimeout = null;
+    publishEdit(source);
+  }, EDIT_DEBOUNCE);
+}
+
+/**
+ * Follows the repl state (passed as onUpdateState) and reports edits, finished evaluations
+ * and transport changes to the event stream.
+ */
+export function reportReplState(state) {
+  if (lastReplState.code !== undefined && state.code !== lastReplState.code) {
+    reportEdit(handlingCommand ? 'api' : 'user');
+  }
+  if (lastReplState.pending && !state.pending) {
+    flushEdit();
+    const { evalError, miniLocations = [], patternIds = [] } = state;
+    publishEvent('eval', {
+      source: evaluationSource,
+      success: !evalError,
+      error: evalError ? serializeError(evalError) : undefined,
+      miniLocations: miniLocations.length,
+      patterns: patternIds
+    });
+  }
+  if (lastReplState.started !== undefined && state.started !== lastReplState.started && window.strudelMirror) {
+    publishEvent('transport', transportStatus(window.strudelMirror));
+  }
+  lastReplState = { code: state.code, pending: state.pending, started: state.started };
+}
+
 // Error reporting function
 function reportError(error, source = 'javascript') {
   const errorMessage = error instanceof Error ? error.message : String(error);
@@ -175,6 +547,15 @@ if (typeof window !== 'undefined') {
     connectWebSocket();
   }, 1000);
   
+  // Forward logger() output, scheduler errors are logged with the origin of the error
+  document.addEventListener(logger.key, (event) => {
+    const { message, type, data } = event.detail;
+    publishEvent('log', { message, logType: type });
+    if (type === 'error' && data?.origin) {
+      publishEvent('scheduler-error', { origin: data.origin, message });
+    }
+  });
+  
   // Capture global JavaScript errors
   window.addEventListener('error', (event) => {
     reportError(event.error || event.message, 'global');
@@ -209,6 +590,9 @@ if (typeof window !== 'undefined') {
     connect: connectWebSocket,
     send: sendToAPI,
     getEditor: () => window.strudelMirror,
+    getSession: () => session,
+    setSessionName: setSessionName,
+    setToken: setToken,
     reportError: reportError
   };
 }
\ No newline at end of file
@@ -3,6 +3,7 @@ import cx from '@src/cx.mjs';
 
 export function APIStatus() {
   const [isConnected, setIsConnected] = useState(false);
+  const [sessionName, setSessionName] = useState('');
   const [currentMessage, setCurrentMessage] = useState('');
   const [messageQueue, setMessageQueue] = useState([]);
   const [flashActive, setFlashActive] = useState(false);
@@ -38,8 +39,11 @@ export function APIStatus() {
     const handleAPIStatus = (event) => {
       if (event.detail.type === 'connection') {
         setIsConnected(event.detail.connected);
+        if (!event.detail.connected) setSessionName('');
         const statusText = event.detail.connected ? 'AI LINK ESTABLISHED' : 'AI LINK TERMINATED';
         setMessageQueue(prev => [...prev, { text: statusText, id: Date.now() }]);
+      } else if (event.detail.type === 'session') {
+        setSessionName(event.detail.name);
       } else if (event.detail.type === 'command') {
         const cmdText = `> ${event.detail.description.toUpperCase()}`;
         setMessageQueue(prev => [...prev, { text: cmdText, id: Date.now() }]);
@@ -78,6 +82,11 @@ export function APIStatus() {
             <span className="font-medium">
               {isConnected ? 'ONLINE' : 'OFFLINE'}
             </span>
+            {isConnected && sessionName && (
+              <span className="text-green-400/70" title="API session name">
+                {sessionName}
+              </span>
+            )}
           </div>
         </div>
       </div>
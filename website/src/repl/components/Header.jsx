@@ -3,14 +3,26 @@ import StopCircleIcon from '@heroicons/react/20/solid/StopCircleIcon';
 import cx from '@src/cx.mjs';
 import { useSettings, setIsZen } from '../../settings.mjs';
 import { APIStatus } from './APIStatus.jsx';
+import { LaunchCountdown } from './LaunchCountdown.jsx';
 import '../Repl.css';
 
 const { BASE_URL } = import.meta.env;
 const baseNoTrailing = BASE_URL.endsWith('/') ? BASE_URL.slice(0, -1) : BASE_URL;
 
 export function Header({ context, embedded = false }) {
-  const { started, pending, isDirty, activeCode, handleTogglePlay, handleEvaluate, handleShuffle, handleShare } =
-    context;
+  const {
+    started,
+    pending,
+    isDirty,
+    activeCode,
+    launchCycle,
+    getCycle,
+    handleTogglePlay,
+    handleEvaluate,
+    handleShuffle,
+    handleShare,
+    handleExportAudio,
+  } = context;
   const isEmbedded = typeof window !== 'undefined' && (embedded || window.location !== window.parent.location);
   const { isZen, isButtonRowHidden, isCSSAnimationDisabled, fontFamily } = useSettings();
 
@@ -98,6 +110,7 @@ export function Header({ context, embedded = false }) {
           >
             {!isEmbedded && <span>update</span>}
           </button>
+          {started && <LaunchCountdown launchCycle={launchCycle} getCycle={getCycle} />}
           {/* !isEmbedded && (
             <button
               title="shuffle"
@@ -119,6 +132,18 @@ export function Header({ context, embedded = false }) {
               <span>share</span>
             </button>
           )}
+          {!isEmbedded && (
+            <button
+              title="export audio"
+              className={cx(
+                'cursor-pointer hover:opacity-50 flex items-center space-x-1',
+                !isEmbedded ? 'p-2' : 'px-2',
+              )}
+              onClick={handleExportAudio}
+            >
+              <span>export</span>
+            </button>
+          )}
           {!isEmbedded && (
             <a
               title="learn"
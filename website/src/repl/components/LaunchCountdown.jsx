@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+
+// cycles left until the last evaluation has fully launched, see launch quantization in repl
+export function LaunchCountdown({ launchCycle, getCycle }) {
+  const [remaining, setRemaining] = useState(0);
+  useEffect(() => {
+    if (launchCycle === undefined) {
+      setRemaining(0);
+      return;
+    }
+    const update = () => setRemaining(Math.max(0, launchCycle - getCycle()));
+    update();
+    const interval = setInterval(update, 100);
+    return () => clearInterval(interval);
+  }, [launchCycle]);
+  if (remaining <= 0) {
+    return null;
+  }
+  return (
+    <span title="cycles until the update plays" className="flex items-center px-2 tabular-nums opacity-75">
+      in {remaining.toFixed(1)}
+    </span>
+  );
+}
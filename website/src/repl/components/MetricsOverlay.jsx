@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+import cx from '@src/cx.mjs';
+
+// timing of the scheduler while playing, see SchedulerMetrics in @strudel/core
+export function MetricsOverlay({ started, getMetrics }) {
+  const [summary, setSummary] = useState();
+  useEffect(() => {
+    if (!started) {
+      return;
+    }
+    const update = () => setSummary(getMetrics()?.summary());
+    update();
+    const interval = setInterval(update, 500);
+    return () => clearInterval(interval);
+  }, [started]);
+  if (!summary) {
+    return null;
+  }
+  const { queryMs, hapsPerTick, slackMs, late, skipped } = summary;
+  const behind = late + skipped > 0;
+  return (
+    <div
+      className={cx(
+        'absolute bottom-2 right-2 z-10 font-mono text-xs px-3 py-2 rounded border bg-background tabular-nums',
+        behind ? 'border-red-500 text-red-300' : 'border-lineHighlight text-foreground',
+      )}
+    >
+      <div>
+        query {queryMs.avg ?? '-'} / {queryMs.max ?? '-'} ms
+      </div>
+      <div>
+        haps {hapsPerTick.avg ?? '-'} / {hapsPerTick.max ?? '-'} per tick
+      </div>
+      <div>slack {slackMs.min ?? '-'} ms min</div>
+      <div title="ticks that were due before they could be scheduled">
+        {late} late, {skipped} skipped
+        <button className="ml-2 underline opacity-75" onClick={() => getMetrics()?.reset()}>
+          reset
+        </button>
+      </div>
+    </div>
+  );
+}
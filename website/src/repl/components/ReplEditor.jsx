@@ -3,6 +3,7 @@ import { HorizontalPanel, VerticalPanel } from '@src/repl/components/panel/Panel
 import { Code } from '@src/repl/components/Code';
 import UserFacingErrorMessage from '@src/repl/components/UserFacingErrorMessage';
 import { Header } from './Header';
+import { MetricsOverlay } from './MetricsOverlay';
 import { useSettings } from '@src/settings.mjs';
 
 // type Props = {
@@ -11,9 +12,9 @@ import { useSettings } from '@src/settings.mjs';
 
 export default function ReplEditor(Props) {
   const { context, ...editorProps } = Props;
-  const { containerRef, editorRef, error, init, pending } = context;
+  const { containerRef, editorRef, error, init, pending, started, getMetrics } = context;
   const settings = useSettings();
-  const { panelPosition, isZen } = settings;
+  const { panelPosition, isZen, isMetricsOverlayEnabled } = settings;
 
   return (
     <div className="h-full flex flex-col relative" {...editorProps}>
@@ -21,6 +22,7 @@ export default function ReplEditor(Props) {
       <Header context={context} />
       <div className="grow flex relative overflow-hidden">
         <Code containerRef={containerRef} editorRef={editorRef} init={init} />
+        {isMetricsOverlayEnabled && <MetricsOverlay started={started} getMetrics={getMetrics} />}
         {!isZen && panelPosition === 'right' && <VerticalPanel context={context} />}
       </div>
       <UserFacingErrorMessage error={error} />
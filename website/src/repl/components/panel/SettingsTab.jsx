@@ -85,6 +85,30 @@ const fontFamilyOptions = {
 
 const RELOAD_MSG = 'Changing this setting requires the window to reload itself. OK?';
 
+// text setting that is applied on blur, as it needs a reload
+function ReloadingTextbox({ setting, value, placeholder }) {
+  return (
+    <Textbox
+      onBlur={(e) => {
+        const input = e.target.value.trim();
+        if (input === value) {
+          return;
+        }
+        confirmDialog(RELOAD_MSG).then((r) => {
+          if (r == true) {
+            settingsMap.setKey(setting, input);
+            return window.location.reload();
+          }
+          e.target.value = value;
+        });
+      }}
+      onChange={() => {}}
+      placeholder={placeholder}
+      defaultValue={value}
+    />
+  );
+}
+
 export function SettingsTab({ started }) {
   const {
     theme,
@@ -99,6 +123,7 @@ export function SettingsTab({ started }) {
     isFlashEnabled,
     isButtonRowHidden,
     isCSSAnimationDisabled,
+    isMetricsOverlayEnabled,
     isSyncEnabled,
     isLineWrappingEnabled,
     fontSize,
@@ -111,6 +136,9 @@ export function SettingsTab({ started }) {
     multiChannelOrbits,
     isTabIndentationEnabled,
     isMultiCursorEnabled,
+    midiClockInput,
+    syncServerUrl,
+    launchQuantize,
   } = useSettings();
   const shouldAlwaysSync = isUdels();
   const canChangeAudioDevice = AudioContext.prototype.setSinkId != null;
@@ -145,6 +173,33 @@ export function SettingsTab({ started }) {
           }}
         />
       </FormItem>
+      <FormItem label="Follow MIDI Clock">
+        <ReloadingTextbox
+          setting="midiClockInput"
+          value={midiClockInput}
+          placeholder="MIDI input name, empty for the internal clock"
+        />
+      </FormItem>
+      <FormItem label="Network Sync Server">
+        <ReloadingTextbox
+          setting="syncServerUrl"
+          value={syncServerUrl}
+          placeholder="e.g. ws://192.168.1.10:4322, empty to play alone"
+        />
+      </FormItem>
+
+      <FormItem label="Launch Quantization (cycles)">
+        <Textbox
+          min={0}
+          onChange={(v) => {
+            v = Math.max(0, Number(v));
+            settingsMap.setKey('launchQuantize', isNaN(v) ? 0 : v);
+          }}
+          type="number"
+          placeholder="0 updates right away"
+          value={launchQuantize ?? 0}
+        />
+      </FormItem>
 
       <FormItem label="Maximum Polyphony">
         <Textbox
@@ -274,6 +329,11 @@ export function SettingsTab({ started }) {
           onChange={(cbEvent) => settingsMap.setKey('isMultiCursorEnabled', cbEvent.target.checked)}
           value={isMultiCursorEnabled}
         />
+        <Checkbox
+          label="Show scheduler metrics (query time, slack, late ticks)"
+          onChange={(cbEvent) => settingsMap.setKey('isMetricsOverlayEnabled', cbEvent.target.checked)}
+          value={isMetricsOverlayEnabled}
+        />
         <Checkbox
           label="Enable flashing on evaluation"
           onChange={(cbEvent) => settingsMap.setKey('isFlashEnabled', cbEvent.target.checked)}
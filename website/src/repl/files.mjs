@@ -24,12 +24,16 @@ async function loadStrudelJson(subpath) {
   const contents = await readTextFile(subpath + '/strudel.json', { dir });
   const sampleMap = JSON.parse(contents);
   processSampleMap(sampleMap, (key, bank) => {
-    registerSound(key, (t, hapValue, onended) => onTriggerSample(t, hapValue, onended, bank, fileResolver(subpath)), {
-      type: 'sample',
-      samples: bank,
-      fileSystem: true,
-      tag: 'local',
-    });
+    registerSound(
+      key,
+      (t, hapValue, onended, ac) => onTriggerSample(t, hapValue, onended, bank, fileResolver(subpath), ac),
+      {
+        type: 'sample',
+        samples: bank,
+        fileSystem: true,
+        tag: 'local',
+      },
+    );
   });
 }
 
@@ -72,13 +72,17 @@ export function registerSamplesFromDB(config = userSamplesDBConfig, onComplete =
               })
               .map((title) => titlePathMap.get(title));
 
-            registerSound(key, (t, hapValue, onended) => onTriggerSample(t, hapValue, onended, value), {
-              type: 'sample',
-              samples: value,
-              baseUrl: undefined,
-              prebake: false,
-              tag: undefined,
-            });
+            registerSound(
+              key,
+              (t, hapValue, onended, ac) => onTriggerSample(t, hapValue, onended, value, undefined, ac),
+              {
+                type: 'sample',
+                samples: value,
+                baseUrl: undefined,
+                prebake: false,
+                tag: undefined,
+              },
+            );
           });
 
           logger('imported sounds registered!', 'success');
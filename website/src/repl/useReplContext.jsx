@@ -4,7 +4,7 @@ Copyright (C) 2022 Strudel contributors - see <https://codeberg.org/uzu/strudel/
 This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
 */
 
-import { code2hash, getPerformanceTimeSeconds, logger, silence } from '@strudel/core';
+import { NetworkCyclist, code2hash, getPerformanceTimeSeconds, logger, silence } from '@strudel/core';
 import { getDrawContext } from '@strudel/draw';
 import { transpiler } from '@strudel/transpiler';
 import {
@@ -14,6 +14,7 @@ import {
   resetLoadedSounds,
   initAudioOnFirstClick,
   resetDefaults,
+  renderToWav,
 } from '@strudel/webaudio';
 import { setVersionDefaultsFrom } from './util.mjs';
 import { StrudelMirror, defaultSettings } from '@strudel/codemirror';
@@ -29,6 +30,7 @@ import {
   setViewingPatternData,
 } from '../user_pattern_utils.mjs';
 import { superdirtOutput } from '@strudel/osc/superdirtoutput';
+import { midiClockScheduler } from '@strudel/midi';
 import { audioEngineTargets } from '../settings.mjs';
 import { useStore } from '@nanostores/react';
 import { prebake } from './prebake.mjs';
@@ -36,7 +38,7 @@ import { getRandomTune, initCode, loadModules, shareCode } from './util.mjs';
 import './Repl.css';
 import { setInterval, clearInterval } from 'worker-timers';
 import { getMetadata } from '../metadata_parser';
-import './api-client.mjs'; // Initialize API client
+import { reportReplState } from './api-client.mjs'; // Initializes the API client
 
 const { latestCode, maxPolyphony, audioDeviceName, multiChannelOrbits } = settingsMap.get();
 let modulesLoading, presets, drawContext, clearCanvas, audioReady;
@@ -63,8 +65,18 @@ async function getModule(name) {
 
 const initialCode = `// LOADING`;
 
+// an external clock replaces the default scheduler, see repl in @strudel/core
+function getSchedulerFactory({ midiClockInput, syncServerUrl }) {
+  if (midiClockInput) {
+    return midiClockScheduler(midiClockInput);
+  }
+  if (syncServerUrl) {
+    return (schedulerOptions) => new NetworkCyclist({ ...schedulerOptions, url: syncServerUrl });
+  }
+}
+
 export function useReplContext() {
-  const { isSyncEnabled, audioEngineTarget } = useSettings();
+  const { isSyncEnabled, audioEngineTarget, midiClockInput, syncServerUrl, launchQuantize } = useSettings();
   const shouldUseWebaudio = audioEngineTarget !== audioEngineTargets.osc;
   const defaultOutput = shouldUseWebaudio ? webaudioOutput : superdirtOutput;
   const getTime = shouldUseWebaudio ? getAudioContextCurrentTime : getPerformanceTimeSeconds;
@@ -74,6 +86,8 @@ export function useReplContext() {
     const drawContext = getDrawContext();
     const editor = new StrudelMirror({
       sync: isSyncEnabled,
+      createScheduler: getSchedulerFactory({ midiClockInput, syncServerUrl }),
+      quantize: launchQuantize,
       defaultOutput,
       getTime,
       setInterval,
@@ -88,6 +102,7 @@ export function useReplContext() {
       prebake: async () => Promise.all([modulesLoading, presets]),
       onUpdateState: (state) => {
         setReplState({ ...state });
+        reportReplState(state);
       },
       onToggle: (playing) => {
         if (!playing) {
@@ -151,7 +166,7 @@ export function useReplContext() {
   }, []);
 
   const [replState, setReplState] = useState({});
-  const { started, isDirty, error, activeCode, pending } = replState;
+  const { started, isDirty, error, activeCode, pending, launchCycle } = replState;
   const editorRef = useRef();
   const containerRef = useRef();
 
@@ -168,6 +183,10 @@ export function useReplContext() {
     editorRef.current?.updateSettings(editorSettings);
   }, [_settings]);
 
+  useEffect(() => {
+    editorRef.current?.repl.setQuantize(launchQuantize);
+  }, [launchQuantize]);
+
   //
   // UI Actions
   //
@@ -216,15 +235,45 @@ export function useReplContext() {
   };
 
   const handleShare = async () => shareCode(replState.code);
+  const getCycle = () => editorRef.current?.repl.scheduler.now() ?? 0;
+  const getMetrics = () => editorRef.current?.repl.scheduler.metrics;
+  const handleExportAudio = async () => {
+    const input = window.prompt('How many cycles should be rendered?', '8');
+    const cycles = Number(input);
+    if (!input || !(cycles > 0)) {
+      return;
+    }
+    const { repl, code } = editorRef.current;
+    if (!repl.state.pattern) {
+      await repl.evaluate(code, false);
+    }
+    logger(`[repl] rendering ${cycles} cycles to audio...`);
+    try {
+      const blob = await renderToWav(repl.state.pattern, { cycles, cps: repl.scheduler.cps });
+      const downloadLink = document.createElement('a');
+      downloadLink.href = window.URL.createObjectURL(blob);
+      downloadLink.download = `strudel_${new Date().toISOString().split('T')[0]}.wav`;
+      document.body.appendChild(downloadLink);
+      downloadLink.click();
+      document.body.removeChild(downloadLink);
+      logger(`[repl] exported ${cycles} cycles`, 'highlight');
+    } catch (e) {
+      logger(`[repl] audio export failed: ${e.message}`, 'error');
+    }
+  };
   const context = {
     started,
     pending,
     isDirty,
     activeCode,
+    launchCycle,
+    getCycle,
+    getMetrics,
     handleTogglePlay,
     handleUpdate,
     handleShuffle,
     handleShare,
+    handleExportAudio,
     handleEvaluate,
     init,
     error,
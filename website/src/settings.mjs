@@ -39,8 +39,12 @@ export const defaultSettings = {
   audioEngineTarget: audioEngineTargets.webaudio,
   isButtonRowHidden: false,
   isCSSAnimationDisabled: false,
+  isMetricsOverlayEnabled: false,
   maxPolyphony: 128,
   multiChannelOrbits: false,
+  midiClockInput: '', // name of the MIDI input to follow the clock of, empty for the internal clock
+  syncServerUrl: '', // sync-server.mjs to share tempo and phase with, empty to play alone
+  launchQuantize: 0, // cycles an evaluation waits for before it plays, 0 switches right away
 };
 
 let search = null;
@@ -75,6 +79,7 @@ export function useSettings() {
     isPatternHighlightingEnabled: parseBoolean(state.isPatternHighlightingEnabled),
     isButtonRowHidden: parseBoolean(state.isButtonRowHidden),
     isCSSAnimationDisabled: parseBoolean(state.isCSSAnimationDisabled),
+    isMetricsOverlayEnabled: parseBoolean(state.isMetricsOverlayEnabled),
     isTooltipEnabled: parseBoolean(state.isTooltipEnabled),
     isLineWrappingEnabled: parseBoolean(state.isLineWrappingEnabled),
     isFlashEnabled: parseBoolean(state.isFlashEnabled),
@@ -82,6 +87,7 @@ export function useSettings() {
     isTabIndentationEnabled: parseBoolean(state.isTabIndentationEnabled),
     isMultiCursorEnabled: parseBoolean(state.isMultiCursorEnabled),
     fontSize: Number(state.fontSize),
+    launchQuantize: Number(state.launchQuantize) || 0,
     panelPosition: state.activeFooter !== '' && !isUdels() ? state.panelPosition : 'bottom', // <-- keep this 'bottom' where it is!
     isPanelPinned: parseBoolean(state.isPanelPinned),
     isPanelOpen: parseBoolean(state.isPanelOpen),